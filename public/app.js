@@ -7,6 +7,7 @@ const joinScreen   = document.getElementById('join-screen');
 const appEl        = document.getElementById('app');
 const usernameInput= document.getElementById('username-input');
 const roomInput    = document.getElementById('room-input');
+const passwordInput= document.getElementById('password-input');
 const joinBtn      = document.getElementById('join-btn');
 
 const pitchCanvas  = document.getElementById('pitch-canvas');
@@ -26,7 +27,10 @@ const sizeVal       = document.getElementById('size-val');
 const userListEl    = document.getElementById('user-list');
 const toastContainer= document.getElementById('toast-container');
 const ownEraseCheck = document.getElementById('own-erase-check');
-const arrowDashedCheck = document.getElementById('arrow-dashed-check');
+const arrowKindSelect = document.getElementById('arrow-kind-select');
+const arrowPathSelect = document.getElementById('arrow-path-select');
+const ownUndoCheck  = document.getElementById('own-undo-check');
+const pitchSelect   = document.getElementById('pitch-select');
 
 // ── State ─────────────────────────────────────────────────────
 let socket;
@@ -34,42 +38,45 @@ let myId    = null;
 let myColor = '#ffffff';
 let myName  = '';
 let myRoom  = 'lobby';
+let myPassword    = '';  // room password, resent on reconnect
+let myPermissions = [];  // granted by the server from our room role
+let amRoomOwner   = false;
 
-let activeTool   = 'draw'; // draw | arrow | erase | ping | select
+let activeTool   = 'draw'; // draw | arrow | erase | ping | select | rect | ellipse | polygon | text
 let isDrawing    = false;
 let currentPath  = [];   // [{x,y}] for current stroke
-let arrowStart   = null; // {x,y} for arrow tool
+let arrowStart   = null; // {x,y} drag start for the arrow and zone tools
 let strokeSeq    = 0;    // local stroke ID counter
 let arrowSeq     = 0;    // local arrow ID counter
+let zoneSeq      = 0;    // local zone ID counter
+let textSeq      = 0;    // local text ID counter
 let ownEraseOnly = false; // only erase own lines when checked
-let arrowDashed  = false; // dashed arrows
+let arrowKind    = 'run';      // run | pass | dribble | shot
+let arrowPathMode = 'straight'; // straight | curve | poly
+let polyDraft    = null;  // { points } placed so far for a multi-point arrow or polygon zone
 let isReplaying  = false; // true while a server replay is running
 
 // Throttle timestamps
 let _lastCursorEmit = 0;
 
-// ── Per-user undo stack ───────────────────────────────────────
-// Each entry: { type: 'stroke'|'arrow'|'token', id }
-const myUndoStack = [];
+// ── Undo / redo ───────────────────────────────────────────────
+// History lives on the server and is shared by the room; with "only mine"
+// checked, undo/redo skip over other people's actions.
+let undoOwnOnly = false;
 
 function undoLast() {
-  if (!myUndoStack.length) return;
-  const entry = myUndoStack.pop();
-  if (entry.type === 'stroke') {
-    for (let i = allStrokes.length - 1; i >= 0; i--) {
-      if (allStrokes[i].id === entry.id) { allStrokes.splice(i, 1); break; }
-    }
-    socket?.emit('stroke-remove', { ids: [entry.id] });
-    redrawStrokes();
-  } else if (entry.type === 'arrow') {
-    for (let i = allArrows.length - 1; i >= 0; i--) {
-      if (allArrows[i].id === entry.id) { allArrows.splice(i, 1); break; }
-    }
-    socket?.emit('arrow-remove', { ids: [entry.id] });
-    redrawStrokes();
-  } else if (entry.type === 'token') {
-    socket?.emit('token-remove', { id: entry.id });
-  }
+  if (!can('edit') || isReplaying) return;
+  socket?.emit('undo', { scope: undoOwnOnly ? 'mine' : 'room' });
+}
+
+function redoLast() {
+  if (!can('edit') || isReplaying) return;
+  socket?.emit('redo', { scope: undoOwnOnly ? 'mine' : 'room' });
+}
+
+function updateHistoryButtons({ undo, redo }) {
+  document.getElementById('tool-undo').disabled = !undo;
+  document.getElementById('tool-redo').disabled = !redo;
 }
 
 // Other users' live strokes: socketId → {points: [{x,y}], color, width}
@@ -81,9 +88,12 @@ const tokens = {};
 // Remote cursors: socketId → el
 const remoteCursors = {};
 
-// Canvas dimensions (logical)
-const PITCH_W = 900;
-const PITCH_H = 580;
+// Drawing shared with the server's renderer (board-render.js)
+const {
+  PITCH_W, PITCH_H, PITCH_TEMPLATES, ICONS, TEXT_PADDING, LASER_FADE, PING_MS,
+  renderPitch, pitchField, renderLiveStroke, renderArrow, arrowPathPoints, strokePolyline,
+  renderZone, rotatePoint, renderDrawings, renderBoard
+} = BoardRender;
 
 // ── Canvas sizing ─────────────────────────────────────────────
 function resizeCanvases() {
@@ -125,220 +135,276 @@ function toPixel(lx, ly) {
 }
 
 // ── Draw pitch ────────────────────────────────────────────────
-function drawPitch() {
-  const ctx = pitchCtx;
-  const W = pitchCanvas.width;
-  const H = pitchCanvas.height;
-
-  // Alternating stripes
-  const stripeCount = 10;
-  const stripeW = W / stripeCount;
-  for (let i = 0; i < stripeCount; i++) {
-    ctx.fillStyle = i % 2 === 0 ? '#3a7d2c' : '#44942f';
-    ctx.fillRect(i * stripeW, 0, stripeW, H);
-  }
-
-  ctx.strokeStyle = 'rgba(255,255,255,0.85)';
-  ctx.lineWidth   = Math.max(1.5, W * 0.0018);
-  ctx.lineCap     = 'round';
-
-  const m  = W * 0.04;  // margin
-  const fw = W - m * 2; // field width
-  const fh = H - m * 2; // field height
+// Markings come from board-render.js; the template is chosen per room.
+let pitchTemplate = 'full';
 
-  // Outer boundary
-  rect(ctx, m, m, fw, fh);
-
-  // Halfway line
-  line(ctx, m + fw / 2, m, m + fw / 2, m + fh);
-
-  // Centre circle
-  circle(ctx, m + fw / 2, m + fh / 2, fh * 0.155);
-  dot(ctx, m + fw / 2, m + fh / 2, W * 0.004);
-
-  // ── Left penalty area
-  const paW = fw * 0.165;
-  const paH = fh * 0.60;
-  rect(ctx, m, m + (fh - paH) / 2, paW, paH);
-
-  // Left 6-yard box
-  const sixW = fw * 0.062;
-  const sixH = fh * 0.29;
-  rect(ctx, m, m + (fh - sixH) / 2, sixW, sixH);
-
-  // Left penalty dot
-  dot(ctx, m + fw * 0.115, m + fh / 2, W * 0.004);
-
-  // Left penalty arc
-  arc(ctx, m + fw * 0.115, m + fh / 2, fh * 0.155, -0.92, 0.92, false);
-
-  // Left goal
-  const gW = fw * 0.018;
-  const gH = fh * 0.18;
-  rect(ctx, m - gW, m + (fh - gH) / 2, gW, gH);
-
-  // ── Right penalty area
-  rect(ctx, m + fw - paW, m + (fh - paH) / 2, paW, paH);
-  rect(ctx, m + fw - sixW, m + (fh - sixH) / 2, sixW, sixH);
-  dot(ctx, m + fw - fw * 0.115, m + fh / 2, W * 0.004);
-  arc(ctx, m + fw - fw * 0.115, m + fh / 2, fh * 0.155, Math.PI - 0.92, Math.PI + 0.92, false);
-
-  // Right goal
-  rect(ctx, m + fw, m + (fh - gH) / 2, gW, gH);
-
-  // Corner arcs
-  const cr = fh * 0.025;
-  arc(ctx, m,      m,      cr, 0,         Math.PI / 2, false);
-  arc(ctx, m + fw, m,      cr, Math.PI / 2, Math.PI, false);
-  arc(ctx, m,      m + fh, cr, -Math.PI / 2, 0, false);
-  arc(ctx, m + fw, m + fh, cr, Math.PI, Math.PI * 1.5, false);
+function drawPitch() {
+  renderPitch(pitchCtx, pitchCanvas.width, pitchCanvas.height, pitchTemplate);
 }
 
-function rect(ctx, x, y, w, h) {
-  ctx.strokeRect(x, y, w, h);
-}
-function line(ctx, x1, y1, x2, y2) {
-  ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke();
-}
-function circle(ctx, cx, cy, r) {
-  ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
-}
-function dot(ctx, cx, cy, r) {
-  ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2);
-  ctx.fillStyle = 'rgba(255,255,255,0.85)'; ctx.fill();
-}
-function arc(ctx, cx, cy, r, startA, endA, anti) {
-  ctx.beginPath(); ctx.arc(cx, cy, r, startA, endA, anti); ctx.stroke();
+function setPitchTemplate(id) {
+  if (!PITCH_TEMPLATES[id]) id = 'full';
+  pitchTemplate = id;
+  pitchSelect.value = id;
+  drawPitch();
 }
 
 // ── Stored strokes ────────────────────────────────────────────
 const allStrokes = [];
 const allArrows  = [];
+const allZones   = [];
+const allTexts   = [];
 const laserStrokes = [];
 
 function redrawStrokes() {
   strokesCtx.clearRect(0, 0, strokesCanvas.width, strokesCanvas.height);
-  allStrokes.forEach(s => renderStroke(strokesCtx, s));
-  allArrows.forEach(a  => renderArrow(strokesCtx, a));
-  
-  // Render fading laser strokes
-  const now = Date.now();
-  laserStrokes.forEach(s => {
-    const age = now - s.timestamp;
-    if (age > 1500) return;
-    const opacity = 1 - (age / 1500);
-    renderLaser(strokesCtx, s, opacity);
-  });
+  renderDrawings(strokesCtx, {
+    zones: allZones, trails, strokes: allStrokes, arrows: allArrows, tokens,
+    texts: allTexts.filter(t => t.id !== editingTextId),
+    lasers: laserStrokes, now: Date.now()
+  }, tokenRenderOpts(strokesCtx));
+
+  // Drop the selection if the shape is gone (erased, undone, board replaced)
+  if (selectedShape && !findShape(selectedShape)) deselectShape();
 }
 
-function renderLaser(ctx, stroke, opacity) {
-  if (!stroke.points || stroke.points.length < 2) return;
-  ctx.save();
-  ctx.beginPath();
-  ctx.strokeStyle = `rgba(255, 255, 255, ${opacity})`;
-  ctx.lineWidth = toPixelSize(stroke.width) * 0.8;
-  ctx.lineCap = 'round';
-  ctx.lineJoin = 'round';
-  ctx.shadowColor = stroke.color;
-  ctx.shadowBlur = toPixelSize(stroke.width) * 3;
-  
-  const p0 = toPixel(stroke.points[0].x, stroke.points[0].y);
-  ctx.moveTo(p0.x, p0.y);
-  stroke.points.forEach(p => {
-    const px = toPixel(p.x, p.y);
-    ctx.lineTo(px.x, px.y);
+// ── Arrow geometry ────────────────────────────────────────────
+// Arrows keep their ends in x1/y1 → x2/y2. With path 'curve' they bend through
+// the quadratic control point cx/cy; with path 'poly' they run through `via`.
+const ARROW_KINDS = {
+  run:     { label: 'Run',     style: 'solid' },
+  pass:    { label: 'Pass',    style: 'dashed' },
+  dribble: { label: 'Dribble', style: 'solid' },
+  shot:    { label: 'Shot',    style: 'solid' }
+};
+
+// Quadratic control point that makes the curve pass through the point of the
+// drawn gesture farthest from the straight line; null when the gesture is straight
+function curveControlFromPath(path, start, end) {
+  let far = null, farDist = 4;
+  path.forEach(p => {
+    const d = distToSegment(p, start, end);
+    if (d > farDist) { far = p; farDist = d; }
   });
-  ctx.stroke();
-  
-  // Outer glow
-  ctx.strokeStyle = `rgba(${hexToRgb(stroke.color)}, ${opacity * 0.8})`;
-  ctx.lineWidth = toPixelSize(stroke.width) * 2;
-  ctx.shadowBlur = 0;
-  ctx.stroke();
-  ctx.restore();
+  if (!far) return null;
+  return { cx: 2 * far.x - (start.x + end.x) / 2, cy: 2 * far.y - (start.y + end.y) / 2 };
 }
 
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}` : '255, 255, 255';
+// Arrow under construction with the current tool settings
+function draftArrow(geometry) {
+  return {
+    tool:  activeTool,
+    path:  'straight',
+    ...geometry,
+    color: colorPicker.value,
+    width: +sizePicker.value,
+    kind:  arrowKind,
+    style: ARROW_KINDS[arrowKind].style
+  };
 }
 
-function renderStroke(ctx, stroke) {
-  if (!stroke.points || stroke.points.length < 2) return;
-  ctx.beginPath();
-  ctx.globalCompositeOperation = stroke.tool === 'erase' ? 'destination-out' : 'source-over';
-  ctx.strokeStyle = stroke.color;
-  ctx.lineWidth   = toPixelSize(stroke.width);
-  ctx.lineCap     = 'round';
-  ctx.lineJoin    = 'round';
-  const p0 = toPixel(stroke.points[0].x, stroke.points[0].y);
-  ctx.moveTo(p0.x, p0.y);
-  stroke.points.forEach(p => {
-    const px = toPixel(p.x, p.y);
-    ctx.lineTo(px.x, px.y);
-  });
-  ctx.stroke();
-  ctx.globalCompositeOperation = 'source-over';
+function commitArrow(geometry) {
+  const shape = { ...draftArrow(geometry), id: `${myId}-a${++arrowSeq}`, socketId: myId };
+  allArrows.push(shape);
+  socket?.emit('arrow-done', shape);
+  redrawStrokes();
 }
 
-function renderArrow(ctx, arrow) {
-  const start = toPixel(arrow.x1, arrow.y1);
-  const end   = toPixel(arrow.x2, arrow.y2);
-  if (arrow.tool === 'line') {
-    drawLineLine(ctx, start.x, start.y, end.x, end.y, arrow.color, toPixelSize(arrow.width), arrow.style);
-  } else {
-    drawArrowLine(ctx, start.x, start.y, end.x, end.y, arrow.color, toPixelSize(arrow.width), arrow.style);
+// Multi-point arrows and polygon zones: each click adds a point; double-click
+// or Enter finishes, and clicking a polygon's first corner closes it
+function addPolyPoint(pos) {
+  if (!polyDraft) polyDraft = { points: [pos] };
+  const pts = polyDraft.points;
+  const last = pts[pts.length - 1];
+  if (activeTool === 'polygon' && pts.length >= 3 && Math.hypot(pos.x - pts[0].x, pos.y - pts[0].y) <= HANDLE_RADIUS) {
+    finishPolyDraft();
+    return;
   }
+  if (Math.hypot(pos.x - last.x, pos.y - last.y) > 4) pts.push(pos);
+  redrawLive();
 }
 
-function drawLineLine(ctx, x1, y1, x2, y2, color, width, style) {
-  ctx.globalCompositeOperation = 'source-over';
-  ctx.strokeStyle = color;
-  ctx.lineWidth   = width;
-  ctx.lineCap     = 'round';
-
-  if (style === 'dashed') {
-    ctx.setLineDash([width * 4, width * 3]);
-  } else {
-    ctx.setLineDash([]);
+function finishPolyDraft() {
+  if (!polyDraft) return;
+  const pts = polyDraft.points;
+  polyDraft = null;
+  if (activeTool === 'polygon') {
+    if (pts.length >= 3) commitZone({ shape: 'polygon', points: pts });
+  } else if (pts.length >= 2) {
+    const first = pts[0], last = pts[pts.length - 1];
+    commitArrow({ path: 'poly', x1: first.x, y1: first.y, x2: last.x, y2: last.y, via: pts.slice(1, -1) });
   }
+  redrawLive();
+}
 
-  ctx.beginPath();
-  ctx.moveTo(x1, y1);
-  ctx.lineTo(x2, y2);
-  ctx.stroke();
-  ctx.setLineDash([]);
+function cancelPolyDraft() {
+  if (!polyDraft) return;
+  polyDraft = null;
+  redrawLive();
 }
 
-function drawArrowLine(ctx, x1, y1, x2, y2, color, width, style) {
-  ctx.globalCompositeOperation = 'source-over';
-  ctx.strokeStyle = color;
-  ctx.fillStyle   = color;
-  ctx.lineWidth   = width;
-  ctx.lineCap     = 'round';
+// ── Zones ─────────────────────────────────────────────────────
+// Shaded areas. 'rect' and 'ellipse' keep their box in x/y/w/h, 'polygon'
+// keeps its corners in points. Filled at the zone's opacity, optionally hatched.
+const ZONE_TOOLS = ['rect', 'ellipse', 'polygon'];
+const zoneOpacityInput = document.getElementById('zone-opacity');
+const zoneHatchCheck   = document.getElementById('zone-hatch');
 
-  // Dashed?
-  if (style === 'dashed') {
-    ctx.setLineDash([width * 4, width * 3]);
-  } else {
-    ctx.setLineDash([]);
+// Zone under construction with the current tool settings
+function draftZone(geometry) {
+  return {
+    ...geometry,
+    color:   colorPicker.value,
+    opacity: +zoneOpacityInput.value / 100,
+    hatch:   zoneHatchCheck.checked,
+    width:   +sizePicker.value,
+    style:   'solid'
+  };
+}
+
+function commitZone(geometry) {
+  const zone = { ...draftZone(geometry), id: `${myId}-z${++zoneSeq}`, socketId: myId };
+  allZones.push(zone);
+  socket?.emit('zone-done', zone);
+  redrawStrokes();
+}
+
+// Rectangle or ellipse spanned by the current drag gesture
+function dragZoneGeometry() {
+  const last = currentPath[currentPath.length - 1];
+  return {
+    shape: activeTool,
+    x: Math.min(arrowStart.x, last.x),
+    y: Math.min(arrowStart.y, last.y),
+    w: Math.abs(last.x - arrowStart.x),
+    h: Math.abs(last.y - arrowStart.y)
+  };
+}
+
+function pointInZone(pos, zone) {
+  if (zone.shape === 'polygon') {
+    // Even-odd ray cast
+    let inside = false;
+    const pts = zone.points;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const a = pts[i], b = pts[j];
+      if ((a.y > pos.y) !== (b.y > pos.y) && pos.x < (b.x - a.x) * (pos.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
   }
+  if (zone.shape === 'ellipse') {
+    const rx = zone.w / 2, ry = zone.h / 2;
+    if (!rx || !ry) return false;
+    const nx = (pos.x - zone.x - rx) / rx, ny = (pos.y - zone.y - ry) / ry;
+    return nx * nx + ny * ny <= 1;
+  }
+  return pos.x >= zone.x && pos.x <= zone.x + zone.w && pos.y >= zone.y && pos.y <= zone.y + zone.h;
+}
+
+// ── Text annotations ──────────────────────────────────────────
+// Boxes of wrapped text: x/y is the top-left of the unrotated box, w its width
+// and size the font size, all logical; the height follows from the wrapped
+// lines. rotation is in degrees about the box centre.
+const TEXT_DEFAULT_W   = 200;
+const TEXT_MAX_LENGTH  = 500;  // matches the server
+const textSizeSelect = document.getElementById('text-size');
+const textBgCheck    = document.getElementById('text-bg-check');
+const textBgColor    = document.getElementById('text-bg-color');
+const measureCtx     = document.createElement('canvas').getContext('2d');
+let editingTextId = null; // hidden on the canvas while its editor is open
+
+// Line breaks are measured in logical units so every screen wraps alike
+function layoutText(t) {
+  return BoardRender.layoutText(t, measureCtx);
+}
+
+function textCenter(t, h = layoutText(t).h) {
+  return { x: t.x + t.w / 2, y: t.y + h / 2 };
+}
+
+// Box corners clockwise from top-left, rotated into place
+function textCorners(t) {
+  const { h } = layoutText(t);
+  const c = textCenter(t, h);
+  return [[t.x, t.y], [t.x + t.w, t.y], [t.x + t.w, t.y + h], [t.x, t.y + h]]
+    .map(([x, y]) => rotatePoint({ x, y }, c, t.rotation));
+}
+
+function pointInText(pos, t) {
+  const { h } = layoutText(t);
+  const p = rotatePoint(pos, textCenter(t, h), -(t.rotation || 0));
+  return p.x >= t.x && p.x <= t.x + t.w && p.y >= t.y && p.y <= t.y + h;
+}
 
-  ctx.beginPath();
-  ctx.moveTo(x1, y1);
-  ctx.lineTo(x2, y2);
-  ctx.stroke();
-  ctx.setLineDash([]);
+// Inline editor over the board; existing texts are retyped in place.
+// Enter commits (Shift+Enter for a new line), Escape cancels.
+function openTextEditor(pos, existing) {
+  if (!can('edit') || tokenLayer.querySelector('.text-edit-input')) return;
+  const t = existing || {
+    x: pos.x, y: pos.y, w: TEXT_DEFAULT_W,
+    size: +textSizeSelect.value, color: colorPicker.value,
+    background: textBgCheck.checked ? textBgColor.value : null,
+    rotation: 0
+  };
+  const rect = canvasStack.getBoundingClientRect();
+  const scale = rect.width / PITCH_W;
+  const input = document.createElement('textarea');
+  input.className = 'text-edit-input';
+  input.value = existing ? existing.text : '';
+  input.maxLength = TEXT_MAX_LENGTH;
+  input.rows = Math.max(1, input.value.split('\n').length);
+  Object.assign(input.style, {
+    left:       (t.x * scale) + 'px',
+    top:        (t.y * (rect.height / PITCH_H)) + 'px',
+    width:      (t.w * scale) + 'px',
+    fontSize:   (t.size * scale) + 'px',
+    padding:    (TEXT_PADDING * scale) + 'px',
+    color:      t.color,
+    background: t.background || 'rgba(0,0,0,.35)'
+  });
+  if (existing) {
+    editingTextId = existing.id;
+    redrawStrokes();
+  }
+  tokenLayer.appendChild(input);
+  input.focus();
+  if (existing) input.select();
+
+  let done = false;
+  const close = () => {
+    done = true;
+    input.remove();
+    editingTextId = null;
+    redrawStrokes();
+  };
+  const commit = () => {
+    if (done) return;
+    const text = input.value.replace(/\s+$/, '');
+    close();
+    if (!existing) {
+      if (text.trim()) commitText({ ...t, text });
+    } else if (!text.trim()) {
+      socket?.emit('text-remove', { ids: [existing.id] });
+    } else if (text !== existing.text) {
+      existing.text = text;
+      redrawStrokes();
+      socket?.emit('text-update', { id: existing.id, changes: { text } });
+    }
+  };
+  input.addEventListener('blur', commit);
+  input.addEventListener('input', () => { input.rows = Math.max(1, input.value.split('\n').length); });
+  input.addEventListener('keydown', e => {
+    e.stopPropagation(); // keep tool shortcuts out of the text
+    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); commit(); }
+    if (e.key === 'Escape') close();
+  });
+}
 
-  // Arrowhead
-  const angle = Math.atan2(y2 - y1, x2 - x1);
-  const hw = Math.max(10, width * 3.5);
-  ctx.beginPath();
-  ctx.moveTo(x2, y2);
-  ctx.lineTo(x2 - hw * Math.cos(angle - 0.4), y2 - hw * Math.sin(angle - 0.4));
-  ctx.lineTo(x2 - hw * Math.cos(angle + 0.4), y2 - hw * Math.sin(angle + 0.4));
-  ctx.closePath();
-  ctx.fill();
+function commitText(fields) {
+  const text = { ...fields, id: `${myId}-t${++textSeq}`, socketId: myId };
+  allTexts.push(text);
+  socket?.emit('text-add', text);
+  redrawStrokes();
 }
 
 function toPixelSize(logicalSize) {
@@ -392,28 +458,7 @@ function redrawLive() {
   liveCtx.clearRect(0, 0, liveCanvas.width, liveCanvas.height);
 
   // Render other users' active strokes
-  Object.values(liveStrokes).forEach(s => {
-    if (!s.points || s.points.length < 2) return;
-    liveCtx.save();
-    if (s.tool === 'erase') {
-      // Show a dashed outline so the eraser is visible but doesn't paint over the board
-      liveCtx.strokeStyle = 'rgba(255,255,255,0.4)';
-      liveCtx.lineWidth   = toPixelSize(s.width) * 4;
-      liveCtx.setLineDash([7, 5]);
-    } else {
-      liveCtx.strokeStyle = s.color;
-      liveCtx.lineWidth   = toPixelSize(s.width);
-      liveCtx.setLineDash([]);
-    }
-    liveCtx.lineCap  = 'round';
-    liveCtx.lineJoin = 'round';
-    liveCtx.beginPath();
-    const p0 = toPixel(s.points[0].x, s.points[0].y);
-    liveCtx.moveTo(p0.x, p0.y);
-    s.points.forEach(p => { const px = toPixel(p.x, p.y); liveCtx.lineTo(px.x, px.y); });
-    liveCtx.stroke();
-    liveCtx.restore();
-  });
+  Object.values(liveStrokes).forEach(s => renderLiveStroke(liveCtx, s));
 
   // Current user's own live stroke
   if (isDrawing && activeTool === 'draw' && currentPath.length >= 2) {
@@ -427,18 +472,51 @@ function redrawLive() {
     liveCtx.stroke();
   }
 
-  // Arrow / Line preview
+  // Arrow / Line preview, drawn exactly as the finished shape will be
   if (isDrawing && (activeTool === 'arrow' || activeTool === 'line') && arrowStart && currentPath.length) {
-    const last = currentPath[currentPath.length - 1];
-    const s = toPixel(arrowStart.x, arrowStart.y);
-    const e = toPixel(last.x, last.y);
-    if (activeTool === 'line') {
-      drawLineLine(liveCtx, s.x, s.y, e.x, e.y, colorPicker.value, toPixelSize(+sizePicker.value), arrowDashed ? 'dashed' : 'solid');
-    } else {
-      drawArrowLine(liveCtx, s.x, s.y, e.x, e.y, colorPicker.value, toPixelSize(+sizePicker.value), arrowDashed ? 'dashed' : 'solid');
+    renderArrow(liveCtx, draftArrow(dragArrowGeometry()));
+  }
+  if (isDrawing && ZONE_TOOLS.includes(activeTool) && arrowStart && currentPath.length) {
+    renderZone(liveCtx, draftZone(dragZoneGeometry()));
+  }
+  if (polyDraft && activeTool === 'polygon') {
+    const pts = lastMousePos ? [...polyDraft.points, lastMousePos] : polyDraft.points;
+    if (pts.length >= 3) {
+      renderZone(liveCtx, draftZone({ shape: 'polygon', points: pts }));
+    } else if (pts.length === 2) {
+      liveCtx.save();
+      liveCtx.strokeStyle = colorPicker.value;
+      liveCtx.lineWidth   = toPixelSize(+sizePicker.value);
+      strokePolyline(liveCtx, pts.map(p => toPixel(p.x, p.y)));
+      liveCtx.restore();
+    }
+  }
+  if (polyDraft && (activeTool === 'arrow' || activeTool === 'line')) {
+    const pts = lastMousePos ? [...polyDraft.points, lastMousePos] : polyDraft.points;
+    if (pts.length >= 2) {
+      const first = pts[0], last = pts[pts.length - 1];
+      renderArrow(liveCtx, draftArrow({ path: 'poly', x1: first.x, y1: first.y, x2: last.x, y2: last.y, via: pts.slice(1, -1) }));
     }
   }
 
+  // Selection marquee
+  if (marquee) {
+    const a = toPixel(marquee.x0, marquee.y0);
+    const b = toPixel(marquee.x1, marquee.y1);
+    liveCtx.save();
+    liveCtx.fillStyle   = 'rgba(79,195,247,0.12)';
+    liveCtx.strokeStyle = 'rgba(79,195,247,0.9)';
+    liveCtx.lineWidth   = 1;
+    liveCtx.setLineDash([5, 4]);
+    liveCtx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    liveCtx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    liveCtx.restore();
+  }
+
+  // Selected stroke / arrow / zone
+  const shape = findShape(selectedShape);
+  if (shape) drawShapeHandles(liveCtx, selectedShape.kind, shape);
+
   // Eraser preview circle
   if (activeTool === 'erase' && lastMousePos) {
     const px = toPixel(lastMousePos.x, lastMousePos.y);
@@ -455,7 +533,27 @@ let lastMousePos = null;
 
 // ── Pointer events on liveCanvas ──────────────────────────────
 liveCanvas.addEventListener('pointerdown', e => {
-  if (activeTool === 'select' || isReplaying) return;
+  if (isReplaying) return;
+  if (passFrom) { endPass(); return; } // clicked past every player
+  if (activeTool === 'select') {
+    if (!can('edit')) return;
+    const pos = toLogical(e.clientX, e.clientY);
+    // Arrow end handles first, then any stroke or arrow under the pointer
+    const handle = shapeHandleAt(pos);
+    const hit = handle ? selectedShape : (!e.shiftKey && hitTestShape(pos));
+    if (hit) {
+      clearSelection();
+      selectShape(hit);
+      shapeDrag = { mode: handle ? handle.mode : 'move', index: handle?.index, last: pos };
+      liveCanvas.setPointerCapture(e.pointerId);
+      return;
+    }
+    deselectShape();
+    marquee = { x0: pos.x, y0: pos.y, x1: pos.x, y1: pos.y, additive: e.shiftKey };
+    liveCanvas.setPointerCapture(e.pointerId);
+    return;
+  }
+  if (activeTool !== 'ping' && !can('edit')) return;
   const pos = toLogical(e.clientX, e.clientY);
 
   if (activeTool === 'ping') {
@@ -465,10 +563,22 @@ liveCanvas.addEventListener('pointerdown', e => {
     return; // Don't start drawing
   }
 
+  if (activeTool === 'text') {
+    e.preventDefault(); // keep focus in the editor that is about to open
+    const hit = allTexts.slice().reverse().find(t => pointInText(pos, t));
+    openTextEditor(pos, hit);
+    return;
+  }
+
+  if (activeTool === 'polygon' || ((activeTool === 'arrow' || activeTool === 'line') && arrowPathMode === 'poly')) {
+    addPolyPoint(pos);
+    return;
+  }
+
   isDrawing = true;
   liveCanvas.setPointerCapture(e.pointerId); // capture so pointerup fires even outside canvas
   currentPath = [pos];
-  if (activeTool === 'arrow' || activeTool === 'line') arrowStart = pos;
+  if (activeTool === 'arrow' || activeTool === 'line' || ZONE_TOOLS.includes(activeTool)) arrowStart = pos;
 
   socket?.emit('draw-move', {
     tool: activeTool,
@@ -489,7 +599,17 @@ liveCanvas.addEventListener('pointermove', e => {
     _lastCursorEmit = now;
   }
 
-  if (!isDrawing) { if (activeTool === 'erase') redrawLive(); return; }
+  if (shapeDrag) {
+    dragSelectedShape(pos);
+    return;
+  }
+  if (marquee) {
+    marquee.x1 = pos.x; marquee.y1 = pos.y;
+    redrawLive();
+    return;
+  }
+
+  if (!isDrawing) { if (activeTool === 'erase' || polyDraft) redrawLive(); return; }
 
   currentPath.push(pos);
 
@@ -507,6 +627,21 @@ liveCanvas.addEventListener('pointermove', e => {
 });
 
 liveCanvas.addEventListener('pointerup', e => {
+  if (shapeDrag) {
+    // Final geometry so every client ends on the same shape
+    const shape = findShape(selectedShape);
+    if (shape && shapeDrag.moved) emitShapeUpdate(shapeGeometry(selectedShape.kind, shape));
+    shapeDrag = null;
+    return;
+  }
+  if (marquee) {
+    // A plain click on empty pitch clears the selection; shift keeps it
+    const picked = tokensInMarquee(marquee);
+    setSelection(marquee.additive ? [...selectedTokens, ...picked] : picked);
+    marquee = null;
+    redrawLive();
+    return;
+  }
   if (!isDrawing) return;
   isDrawing = false;
 
@@ -530,10 +665,9 @@ liveCanvas.addEventListener('pointerup', e => {
           laserStrokes.splice(idx, 1);
           redrawStrokes();
         }
-      }, 1500); // laser fades after 1.5s
+      }, LASER_FADE);
     } else {
       allStrokes.push(stroke);
-      myUndoStack.push({ type: 'stroke', id: stroke.id });
     }
     
     socket?.emit('stroke-done', stroke);
@@ -566,29 +700,18 @@ liveCanvas.addEventListener('pointerup', e => {
         width: +sizePicker.value * 4
       };
       allStrokes.push(stroke);
-      myUndoStack.push({ type: 'stroke', id: stroke.id });
       socket?.emit('stroke-done', stroke);
       redrawStrokes();
     }
   }
 
   if ((activeTool === 'arrow' || activeTool === 'line') && arrowStart && currentPath.length >= 2) {
-    const last = currentPath[currentPath.length - 1];
-    const tempId = `${myId}-a${++arrowSeq}`;
-    const shape = {
-      id: tempId,
-      socketId: myId,
-      tool: activeTool,
-      x1: arrowStart.x, y1: arrowStart.y,
-      x2: last.x,       y2: last.y,
-      color: colorPicker.value,
-      width: +sizePicker.value,
-      style: arrowDashed ? 'dashed' : 'solid'
-    };
-    allArrows.push(shape);
-    myUndoStack.push({ type: 'arrow', id: tempId, _pending: true }); // using 'arrow' type for both straight lines and arrows
-    socket?.emit('arrow-done', shape);
-    redrawStrokes();
+    commitArrow(dragArrowGeometry());
+  }
+
+  if (ZONE_TOOLS.includes(activeTool) && arrowStart && currentPath.length >= 2) {
+    const geometry = dragZoneGeometry();
+    if (geometry.w >= 4 && geometry.h >= 4) commitZone(geometry);
   }
 
   currentPath = [];
@@ -596,20 +719,27 @@ liveCanvas.addEventListener('pointerup', e => {
   redrawLive();
 });
 
+// Straight or curved arrow from the current drag gesture
+function dragArrowGeometry() {
+  const last = currentPath[currentPath.length - 1];
+  const geometry = { x1: arrowStart.x, y1: arrowStart.y, x2: last.x, y2: last.y };
+  const control = arrowPathMode === 'curve' && curveControlFromPath(currentPath, arrowStart, last);
+  return control ? { ...geometry, path: 'curve', ...control } : geometry;
+}
+
+liveCanvas.addEventListener('dblclick', e => {
+  if (polyDraft) { finishPolyDraft(); return; }
+  // Double-click a text with the select tool to retype it
+  if (activeTool === 'select' && selectedShape?.kind === 'texts') {
+    const text = findShape(selectedShape);
+    if (text && pointInText(toLogical(e.clientX, e.clientY), text)) openTextEditor(null, text);
+  }
+});
+
 liveCanvas.addEventListener('pointerleave', () => {
   lastMousePos = null;
   redrawLive();
 });
-const ICONS = {
-  ball: `<svg viewBox="0 0 512 512"><circle cx="256" cy="256" r="248" fill="#ffffff" /><path fill="#222222" d="M504 256c0 136.967-111.033 248-248 248S8 392.967 8 256 119.033 8 256 8s248 111.033 248 248zm-48 0l-.003-.282-26.064 22.741-62.679-58.5 16.454-84.355 34.303 3.072c-24.889-34.216-60.004-60.089-100.709-73.141l13.651 31.939L256 139l-74.953-41.525 13.651-31.939c-40.631 13.028-75.78 38.87-100.709 73.141l34.565-3.073 16.192 84.355-62.678 58.5-26.064-22.741-.003.282c0 43.015 13.497 83.952 38.472 117.991l7.704-33.897 85.138 10.447 36.301 77.826-29.902 17.786c40.202 13.122 84.29 13.148 124.572 0l-29.902-17.786 36.301-77.826 85.138-10.447 7.704 33.897C442.503 339.952 456 299.015 456 256zm-248.102 69.571l-29.894-91.312L256 177.732l77.996 56.527-29.622 91.312h-96.476z"/></svg>`,
-  flag: `<svg viewBox="0 0 24 24" fill="none" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M4 22v-7" stroke="#222"/><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1v12z" fill="#e74c3c" stroke="#c0392b"/></svg>`,
-  cone: `<svg viewBox="0 0 24 24" fill="none" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l8 18H4z" fill="#e67e22" stroke="#d35400"/><path d="M9.5 8h5 M8 13h8" stroke="white" stroke-width="3"/></svg>`,
-  x: `<svg viewBox="0 0 24 24" fill="none" stroke="#e74c3c" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>`,
-  star: `<svg viewBox="0 0 24 24" fill="#f1c40f" stroke="#f39c12" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>`,
-  shield: `<svg viewBox="0 0 24 24" fill="none" stroke="#2980b9" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" fill="#3498db"/></svg>`,
-  target: `<svg viewBox="0 0 24 24" fill="none" stroke="#e74c3c" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10" fill="#fff"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2" fill="#e74c3c"/></svg>`,
-  trophy: `<svg viewBox="0 0 24 24" fill="none" stroke="#e67e22" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M8 21h8M12 17v4M7 4h10v3a5 5 0 01-10 0V4z" fill="#f1c40f"/><path d="M7 4H4a2 2 0 00-2 2v1a5 5 0 005 5h0M17 4h3a2 2 0 01-5 5h0"/></svg>`
-};
 const iconImages = {};
 Object.entries(ICONS).forEach(([name, svgTxt]) => {
   const img = new Image();
@@ -618,6 +748,11 @@ Object.entries(ICONS).forEach(([name, svgTxt]) => {
   iconImages[name] = img;
 });
 
+// Tokens drawn onto a canvas match their 36px DOM size on screen
+function tokenRenderOpts(ctx) {
+  return { icons: iconImages, tokenScale: ctx.canvas.width / pitchCanvas.width };
+}
+
 // ── Tokens ────────────────────────────────────────────────────
 
 function createTokenEl(token) {
@@ -639,10 +774,11 @@ function createTokenEl(token) {
   } else {
     el.className = 'token';
     el.textContent = token.label || '1';
-    el.style.background = token.color;
-    if (token.color === '#ffffff' || token.color === '#fff') el.style.color = '#222';
+    applyTokenColor(el, token.color);
+    renderTokenName(el, token);
   }
   el.classList.add('pop-in');
+  if (selectedTokens.has(token.id)) el.classList.add('selected');
 
   // Place
   positionToken(el, token.x, token.y);
@@ -652,16 +788,19 @@ function createTokenEl(token) {
   del.className = 'token-delete';
   del.textContent = '×';
   del.title = 'Remove';
+  del.dataset.perm = 'edit';
   del.addEventListener('click', e => {
     e.stopPropagation();
     socket?.emit('token-remove', { id: token.id });
   });
   el.appendChild(del);
+  applyPermissions(el);
 
   // Double-click to rename (not for icons or balls)
   if (token.shape !== 'ball' && token.shape !== 'icon') {
     el.addEventListener('dblclick', e => {
       e.stopPropagation();
+      if (!can('edit')) return;
       const input = document.createElement('input');
       input.type = 'text';
       input.className = 'token-rename-input';
@@ -692,8 +831,25 @@ function createTokenEl(token) {
   let dragging = false, ox = 0, oy = 0;
   let _lastTokenEmit = 0;
   el.addEventListener('pointerdown', e => {
-    if (e.target === del) return;
+    if (e.target === del || !can('edit')) return;
+    if (passFrom) {
+      e.stopPropagation();
+      if (isPlayer(token)) socket?.emit('ball-pass', { id: passFrom, to: token.id });
+      endPass();
+      return;
+    }
+    if (activeTool === 'select') {
+      if (e.shiftKey) {
+        toggleTokenSelection(token.id);
+        e.stopPropagation();
+        return;
+      }
+      if (!selectedTokens.has(token.id)) setSelection([token.id]);
+      deselectShape();
+    }
     dragging = true;
+    dragStarts = {};
+    (isGroupDrag() ? selectedTokenList() : [token]).forEach(t => { dragStarts[t.id] = { x: t.x, y: t.y }; });
     el.classList.add('dragging');
     el.setPointerCapture(e.pointerId);
     ox = e.clientX; oy = e.clientY;
@@ -706,15 +862,22 @@ function createTokenEl(token) {
     const rect = canvasStack.getBoundingClientRect();
     const scaleX = PITCH_W / rect.width;
     const scaleY = PITCH_H / rect.height;
+    if (isGroupDrag()) {
+      moveSelectionBy(dx * scaleX, dy * scaleY);
+      e.stopPropagation();
+      return;
+    }
+    const fromX = token.x, fromY = token.y;
     token.x += dx * scaleX;
     token.y += dy * scaleY;
     // Clamp
     token.x = Math.max(0, Math.min(PITCH_W, token.x));
     token.y = Math.max(0, Math.min(PITCH_H, token.y));
     positionToken(el, token.x, token.y);
+    carryBalls(token, token.x - fromX, token.y - fromY);
     const now = Date.now();
     if (now - _lastTokenEmit > 33) { // ~30fps
-      socket?.emit('token-move', { id: token.id, x: token.x, y: token.y });
+      socket?.emit('token-move', { id: token.id, x: token.x, y: token.y, trail: trailStep([token], false) });
       _lastTokenEmit = now;
     }
     e.stopPropagation();
@@ -724,13 +887,42 @@ function createTokenEl(token) {
     dragging = false;
     el.classList.remove('dragging');
     // Emit final position on pointer up to ensure sync
-    socket?.emit('token-move', { id: token.id, x: token.x, y: token.y });
+    if (isGroupDrag()) emitSelectionMove(true);
+    else socket?.emit('token-move', { id: token.id, x: token.x, y: token.y, trail: trailStep([token], true) });
+    dragStarts = null;
+    // A ball dropped on a player goes to that player; dragged away from its holder it is loose
+    if (isBall(token) && !isGroupDrag()) {
+      const playerId = playerNear(token)?.id || null;
+      if (playerId !== (token.heldBy || null)) socket?.emit('ball-attach', { id: token.id, playerId });
+    }
     e.stopPropagation();
   });
 
+  // Dragging one of several selected tokens moves the whole group
+  function isGroupDrag() {
+    return activeTool === 'select' && selectedTokens.size > 1 && selectedTokens.has(token.id);
+  }
+
   return el;
 }
 
+function applyTokenColor(el, color) {
+  el.style.background = color;
+  el.style.color = color === '#ffffff' || color === '#fff' ? '#222' : '';
+}
+
+// Roster name shown under a bound token
+function renderTokenName(el, token) {
+  let tag = el.querySelector('.token-name');
+  if (!token.name) { tag?.remove(); return; }
+  if (!tag) {
+    tag = document.createElement('span');
+    tag.className = 'token-name';
+    el.appendChild(tag);
+  }
+  tag.textContent = token.name;
+}
+
 function positionToken(el, lx, ly) {
   const rect  = canvasStack.getBoundingClientRect();
   const scaleX = rect.width  / PITCH_W;
@@ -739,6 +931,617 @@ function positionToken(el, lx, ly) {
   el.style.top  = (ly * scaleY) + 'px';
 }
 
+function addTokenEl(token) {
+  document.getElementById('token-' + token.id)?.remove();
+  tokens[token.id] = token;
+  tokenLayer.appendChild(createTokenEl(token));
+}
+
+function removeTokenEl(id) {
+  delete tokens[id];
+  document.getElementById('token-' + id)?.remove();
+  if (selectedTokens.delete(id)) updateSelectionBar();
+}
+
+// ── Movement trails ───────────────────────────────────────────
+// With trails on, a token drag leaves a dashed path back to a faded ghost where
+// it started; "as arrows" turns each released drag into a permanent movement
+// arrow instead (the server adds it). Moves carry the same `trail` flag the
+// server keeps, and extendTrail matches the server's, so everyone — and every
+// replay — draws the same path.
+const TRAIL_MAX_POINTS = 400;
+const TRAIL_MIN_STEP   = 3;
+const trailCheck      = document.getElementById('trail-check');
+const trailArrowCheck = document.getElementById('trail-arrow-check');
+let trails = {};         // tokenId → { points, color, label, shape, closed }
+let dragStarts = null;   // tokenId → {x,y} for the drag in progress
+
+// Applies one move of `token` (still at its old position) to `trails`
+function extendTrail(trails, token, x, y, trail) {
+  let t = trails[token.id];
+  if (!t || t.closed) {
+    if (x === token.x && y === token.y) return null;
+    t = trails[token.id] = {
+      points: [{ x: token.x, y: token.y }],
+      color: token.color, label: token.label, shape: token.shape, closed: false
+    };
+  }
+  const last = t.points[t.points.length - 1];
+  const step = Math.hypot(x - last.x, y - last.y);
+  if (trail === true ? step >= TRAIL_MIN_STEP && t.points.length < TRAIL_MAX_POINTS : step > 0) t.points.push({ x, y });
+  if (trail === 'end') t.closed = true;
+  if (trail === 'arrow') delete trails[token.id];
+  return t;
+}
+
+function setTrails(list) {
+  trails = list || {};
+  redrawStrokes();
+}
+
+// Trail flag for a move of the dragged tokens, after extending our own copy
+// of their trails; undefined when both toggles are off or nothing is being dragged
+function trailStep(list, final) {
+  if (!(trailCheck.checked || trailArrowCheck.checked) || !dragStarts) return undefined;
+  const flag = !final ? true : trailArrowCheck.checked ? 'arrow' : 'end';
+  list.forEach(t => {
+    if (dragStarts[t.id]) extendTrail(trails, { ...t, ...dragStarts[t.id] }, t.x, t.y, flag);
+  });
+  redrawStrokes();
+  return flag;
+}
+
+document.getElementById('clear-trails-btn').addEventListener('click', () => socket?.emit('trails-clear'));
+
+// ── Ball possession ───────────────────────────────────────────
+// A ball can be held by a player (ball.heldBy); it follows that player's moves
+// the same way the server's moveWithBall does. Dropping the ball on a player
+// hands it over; "pass" and a click on the receiver plays a pass.
+const BALL_ATTACH_RADIUS = 24;
+const PASS_ANIM_MS = 600;
+const selectionPass = document.getElementById('selection-pass');
+const passLogList   = document.getElementById('pass-log');
+let passFrom = null; // ball waiting for its receiver to be clicked
+let passLog  = [];
+
+function isBall(token) {
+  return token.shape === 'ball' || (token.shape === 'icon' && token.label === 'ball');
+}
+
+function isPlayer(token) {
+  return token.shape !== 'ball' && token.shape !== 'icon' && token.shape !== 'emoji';
+}
+
+// Moves the balls `token` holds along with it; `moving` holds the ids of a
+// batch moved together, whose balls travel on their own
+function carryBalls(token, dx, dy, moving) {
+  if (!dx && !dy) return;
+  Object.values(tokens).forEach(b => {
+    if (b.heldBy !== token.id || moving?.has(b.id)) return;
+    b.x += dx; b.y += dy;
+    const el = document.getElementById('token-' + b.id);
+    if (el) positionToken(el, b.x, b.y);
+  });
+}
+
+function playerNear(ball) {
+  let best = null, bestDist = BALL_ATTACH_RADIUS;
+  Object.values(tokens).forEach(t => {
+    const dist = Math.hypot(t.x - ball.x, t.y - ball.y);
+    if (t.id !== ball.id && isPlayer(t) && dist < bestDist) { best = t; bestDist = dist; }
+  });
+  return best;
+}
+
+// The held ball behind a single selected ball or ball carrier
+function selectedBall() {
+  if (selectedTokens.size !== 1) return null;
+  const only = tokens[[...selectedTokens][0]];
+  if (!only) return null;
+  if (isBall(only)) return tokens[only.heldBy] ? only : null;
+  return Object.values(tokens).find(b => isBall(b) && b.heldBy === only.id) || null;
+}
+
+function startPass() {
+  const ball = selectedBall();
+  if (!ball) return;
+  passFrom = ball.id;
+  tokenLayer.classList.add('passing');
+  toast('⚽ Click the player to pass to');
+}
+
+function endPass() {
+  passFrom = null;
+  tokenLayer.classList.remove('passing');
+}
+
+// Where a gliding ball is shown until it arrives: tokenId → { x, y }
+const ballGlides = {};
+
+// Glides the ball element from `from` to where the ball now is
+function animateBall(ball, from) {
+  const el = document.getElementById('token-' + ball.id);
+  if (!el) return;
+  const start = performance.now();
+  const step = now => {
+    delete ballGlides[ball.id];
+    if (tokens[ball.id] !== ball) return; // removed or replaced meanwhile
+    const t = Math.min(1, (now - start) / PASS_ANIM_MS);
+    const e = easeInOutCubic(t);
+    const at = { x: from.x + (ball.x - from.x) * e, y: from.y + (ball.y - from.y) * e };
+    positionToken(el, at.x, at.y);
+    if (t < 1) {
+      ballGlides[ball.id] = at;
+      requestAnimationFrame(step);
+    }
+  };
+  requestAnimationFrame(step);
+}
+
+function setPassLog(list) {
+  passLog = list || [];
+  passLogList.innerHTML = '';
+  if (!passLog.length) {
+    passLogList.innerHTML = '<li class="no-presets">No passes yet</li>';
+    return;
+  }
+  passLog.slice(-30).forEach(p => {
+    const li = document.createElement('li');
+    li.textContent = `${p.fromLabel} → ${p.toLabel}`;
+    passLogList.appendChild(li);
+  });
+  passLogList.scrollTop = passLogList.scrollHeight;
+}
+
+selectionPass.addEventListener('click', startPass);
+document.getElementById('pass-log-clear-btn').addEventListener('click', () => socket?.emit('pass-log-clear'));
+
+// ── Token selection ───────────────────────────────────────────
+// The select tool picks tokens by click, shift-click or marquee; the group
+// then drags, aligns, recolours and deletes together as one batched event.
+const selectedTokens = new Set();
+let marquee = null; // { x0, y0, x1, y1, additive } in logical coords while dragging out a box
+let _lastGroupEmit = 0;
+
+function setSelection(ids) {
+  selectedTokens.forEach(id => document.getElementById('token-' + id)?.classList.remove('selected'));
+  selectedTokens.clear();
+  ids.forEach(id => {
+    if (!tokens[id]) return;
+    selectedTokens.add(id);
+    document.getElementById('token-' + id)?.classList.add('selected');
+  });
+  updateSelectionBar();
+}
+
+function toggleTokenSelection(id) {
+  const ids = new Set(selectedTokens);
+  if (ids.has(id)) ids.delete(id); else ids.add(id);
+  setSelection([...ids]);
+}
+
+function clearSelection() {
+  if (selectedTokens.size) setSelection([]);
+}
+
+function selectedTokenList() {
+  return [...selectedTokens].map(id => tokens[id]).filter(Boolean);
+}
+
+function updateSelectionBar() {
+  const bar = document.getElementById('selection-bar');
+  const count = selectedTokens.size;
+  bar.classList.toggle('hidden', count === 0);
+  document.getElementById('selection-count').textContent = `${count} selected`;
+  bar.querySelectorAll('[data-align]').forEach(b => { b.disabled = count < 2; });
+  bar.querySelectorAll('[data-distribute]').forEach(b => { b.disabled = count < 3; });
+  const only = count === 1 ? tokens[[...selectedTokens][0]] : null;
+  selectionPlayer.disabled = !only || only.shape === 'icon' || only.shape === 'ball' || only.shape === 'emoji';
+  selectionPlayer.value = only?.playerId || '';
+  // Team shows when the whole selection agrees; icons and emoji have no team
+  const kitted = selectedTokenList().filter(t => t.shape !== 'icon' && t.shape !== 'ball' && t.shape !== 'emoji');
+  const teams = new Set(kitted.map(t => t.team || ''));
+  selectionTeam.disabled = !kitted.length;
+  selectionTeam.value = teams.size === 1 ? [...teams][0] : 'mixed';
+  selectionGk.disabled = !only?.team;
+  selectionGk.classList.toggle('active', !!only?.gk);
+  selectionPass.disabled = !selectedBall();
+  renderAnimMarkers();
+}
+
+// Moves the group by a logical delta, clamped so no token leaves the board
+function moveSelectionBy(dx, dy) {
+  const list = selectedTokenList();
+  if (!list.length) return;
+  const xs = list.map(t => t.x), ys = list.map(t => t.y);
+  dx = Math.max(-Math.min(...xs), Math.min(PITCH_W - Math.max(...xs), dx));
+  dy = Math.max(-Math.min(...ys), Math.min(PITCH_H - Math.max(...ys), dy));
+  list.forEach(t => {
+    t.x += dx; t.y += dy;
+    const el = document.getElementById('token-' + t.id);
+    if (el) positionToken(el, t.x, t.y);
+    carryBalls(t, dx, dy, selectedTokens);
+  });
+  const now = Date.now();
+  if (now - _lastGroupEmit > 33) { // ~30fps, like single drags
+    emitSelectionMove();
+    _lastGroupEmit = now;
+  }
+}
+
+function emitSelectionMove(final = false) {
+  const list = selectedTokenList();
+  socket?.emit('tokens-move', { moves: list.map(t => ({ id: t.id, x: t.x, y: t.y })), trail: trailStep(list, final) });
+}
+
+// Places tokens locally and sends every new position in one event
+function applyGroupMoves(moves) {
+  const moving = new Set(moves.map(m => m.id));
+  moves.forEach(({ id, x, y }) => {
+    const t = tokens[id];
+    if (!t) return;
+    carryBalls(t, x - t.x, y - t.y, moving);
+    t.x = x; t.y = y;
+    const el = document.getElementById('token-' + id);
+    if (el) positionToken(el, x, y);
+  });
+  socket?.emit('tokens-move', { moves });
+}
+
+function alignSelection(mode) {
+  const list = selectedTokenList();
+  if (list.length < 2) return;
+  const axis = ['left', 'center', 'right'].includes(mode) ? 'x' : 'y';
+  const values = list.map(t => t[axis]);
+  const target = mode === 'left' || mode === 'top' ? Math.min(...values)
+    : mode === 'right' || mode === 'bottom' ? Math.max(...values)
+    : (Math.min(...values) + Math.max(...values)) / 2;
+  applyGroupMoves(list.map(t => ({ id: t.id, x: t.x, y: t.y, [axis]: target })));
+}
+
+// Even spacing between the outermost tokens, keeping their order
+function distributeSelection(axis) {
+  const list = selectedTokenList().sort((a, b) => a[axis] - b[axis]);
+  if (list.length < 3) return;
+  const first = list[0][axis];
+  const step = (list[list.length - 1][axis] - first) / (list.length - 1);
+  applyGroupMoves(list.map((t, i) => ({ id: t.id, x: t.x, y: t.y, [axis]: first + step * i })));
+}
+
+function deleteSelection() {
+  const ids = [...selectedTokens];
+  if (!ids.length) return;
+  socket?.emit('tokens-remove', { ids });
+}
+
+function tokensInMarquee({ x0, y0, x1, y1 }) {
+  const [minX, maxX] = [Math.min(x0, x1), Math.max(x0, x1)];
+  const [minY, maxY] = [Math.min(y0, y1), Math.max(y0, y1)];
+  return Object.values(tokens)
+    .filter(t => t.x >= minX && t.x <= maxX && t.y >= minY && t.y <= maxY)
+    .map(t => t.id);
+}
+
+document.querySelectorAll('#selection-bar [data-align]').forEach(btn => {
+  btn.addEventListener('click', () => alignSelection(btn.dataset.align));
+});
+document.querySelectorAll('#selection-bar [data-distribute]').forEach(btn => {
+  btn.addEventListener('click', () => distributeSelection(btn.dataset.distribute));
+});
+document.getElementById('selection-color').addEventListener('change', e => {
+  socket?.emit('tokens-recolor', { ids: [...selectedTokens], color: e.target.value });
+});
+document.getElementById('selection-delete-btn').addEventListener('click', deleteSelection);
+
+// ── Shape selection ───────────────────────────────────────────
+// Finished strokes, arrows, zones and texts can be picked with the select
+// tool, dragged whole, have their arrow ends, zone corners or text box
+// width and angle changed, and be restyled from the shape panel.
+let selectedShape = null; // { kind: 'strokes'|'arrows'|'zones'|'texts', id }
+let shapeDrag = null;     // { mode: 'move'|'start'|'end'|'control'|'via'|'corner'|'vertex'|'resize'|'rotate', index, anchor, last: {x,y}, moved }
+let _lastShapeEmit = 0;
+const HANDLE_RADIUS = 8;  // logical px
+
+const shapePanel      = document.getElementById('shape-panel');
+const shapeColorInput = document.getElementById('shape-color');
+const shapeWidthInput = document.getElementById('shape-width');
+const shapeDashCheck  = document.getElementById('shape-dash');
+const shapeKindSelect = document.getElementById('shape-kind');
+const shapeOpacityInput = document.getElementById('shape-opacity');
+const shapeHatchCheck   = document.getElementById('shape-hatch');
+const shapeFontSize     = document.getElementById('shape-font-size');
+const shapeBgCheck      = document.getElementById('shape-bg-check');
+const shapeBgColor      = document.getElementById('shape-bg-color');
+
+const SHAPE_LISTS  = { strokes: allStrokes, arrows: allArrows, zones: allZones, texts: allTexts };
+const SHAPE_EVENTS = {
+  strokes: { update: 'stroke-update', remove: 'stroke-remove' },
+  arrows:  { update: 'arrow-update',  remove: 'arrow-remove' },
+  zones:   { update: 'zone-update',   remove: 'zone-remove' },
+  texts:   { update: 'text-update',   remove: 'text-remove' }
+};
+
+function findShape(sel) {
+  if (!sel) return null;
+  return SHAPE_LISTS[sel.kind].find(s => s.id === sel.id) || null;
+}
+
+function distToSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Topmost first: texts, then arrows, strokes and zones; later shapes over earlier ones
+function hitTestShape(pos) {
+  const tolerance = width => Math.max(6, width / 2 + 4);
+  for (let i = allTexts.length - 1; i >= 0; i--) {
+    if (pointInText(pos, allTexts[i])) return { kind: 'texts', id: allTexts[i].id };
+  }
+  for (let i = allArrows.length - 1; i >= 0; i--) {
+    const a = allArrows[i];
+    const pts = arrowPathPoints(a);
+    for (let j = 1; j < pts.length; j++) {
+      if (distToSegment(pos, pts[j - 1], pts[j]) <= tolerance(a.width)) return { kind: 'arrows', id: a.id };
+    }
+  }
+  for (let i = allStrokes.length - 1; i >= 0; i--) {
+    const s = allStrokes[i];
+    if (s.tool === 'erase' || s.tool === 'laser' || !s.points) continue;
+    for (let j = 1; j < s.points.length; j++) {
+      if (distToSegment(pos, s.points[j - 1], s.points[j]) <= tolerance(s.width)) {
+        return { kind: 'strokes', id: s.id };
+      }
+    }
+  }
+  for (let i = allZones.length - 1; i >= 0; i--) {
+    if (pointInZone(pos, allZones[i])) return { kind: 'zones', id: allZones[i].id };
+  }
+  return null;
+}
+
+// Draggable points of an arrow: its ends, the curve control point, the waypoints
+function arrowHandles(a) {
+  const handles = [{ mode: 'end', x: a.x2, y: a.y2 }, { mode: 'start', x: a.x1, y: a.y1 }];
+  if (a.path === 'curve' && Number.isFinite(a.cx)) handles.push({ mode: 'control', x: a.cx, y: a.cy });
+  if (a.path === 'poly' && Array.isArray(a.via)) a.via.forEach((p, i) => handles.push({ mode: 'via', index: i, x: p.x, y: p.y }));
+  return handles;
+}
+
+// Box corners clockwise from top-left, or the polygon's corners
+function zoneHandles(z) {
+  if (z.shape === 'polygon') return z.points.map((p, i) => ({ mode: 'vertex', index: i, x: p.x, y: p.y }));
+  return [[z.x, z.y], [z.x + z.w, z.y], [z.x + z.w, z.y + z.h], [z.x, z.y + z.h]]
+    .map(([x, y], i) => ({ mode: 'corner', index: i, x, y }));
+}
+
+// Width grip on the bottom-right corner, rotation grip above the top edge
+function textHandles(t) {
+  const { h } = layoutText(t);
+  const c = textCenter(t, h);
+  return [
+    { mode: 'resize', ...rotatePoint({ x: t.x + t.w, y: t.y + h }, c, t.rotation) },
+    { mode: 'rotate', ...rotatePoint({ x: c.x, y: t.y - 20 }, c, t.rotation) }
+  ];
+}
+
+function shapeHandles(kind, shape) {
+  if (kind === 'arrows') return arrowHandles(shape);
+  if (kind === 'zones')  return zoneHandles(shape);
+  if (kind === 'texts')  return textHandles(shape);
+  return [];
+}
+
+function shapeHandleAt(pos) {
+  const shape = findShape(selectedShape);
+  if (!shape) return null;
+  return shapeHandles(selectedShape.kind, shape).find(h => Math.hypot(pos.x - h.x, pos.y - h.y) <= HANDLE_RADIUS) || null;
+}
+
+function drawShapeHandles(ctx, kind, shape) {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(79,195,247,0.9)';
+  ctx.fillStyle   = '#fff';
+  ctx.lineWidth   = 1.5;
+  if (kind !== 'strokes') {
+    if (kind === 'arrows' && shape.path === 'curve' && Number.isFinite(shape.cx)) {
+      // Guide lines from the ends to the control point
+      const c = toPixel(shape.cx, shape.cy);
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      [[shape.x1, shape.y1], [shape.x2, shape.y2]].forEach(([x, y]) => {
+        const p = toPixel(x, y);
+        ctx.moveTo(p.x, p.y); ctx.lineTo(c.x, c.y);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    if (kind === 'texts') {
+      // Rotated box outline
+      const corners = textCorners(shape).map(p => toPixel(p.x, p.y));
+      ctx.setLineDash([5, 4]);
+      ctx.beginPath();
+      corners.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    shapeHandles(kind, shape).forEach(h => {
+      const p = toPixel(h.x, h.y);
+      const r = toPixelSize(HANDLE_RADIUS) * 0.75;
+      ctx.beginPath();
+      if (h.mode === 'control') ctx.rect(p.x - r, p.y - r, r * 2, r * 2);
+      else ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+      ctx.fill(); ctx.stroke();
+    });
+  } else {
+    const xs = shape.points.map(p => p.x), ys = shape.points.map(p => p.y);
+    const pad = shape.width / 2 + 4;
+    const a = toPixel(Math.min(...xs) - pad, Math.min(...ys) - pad);
+    const b = toPixel(Math.max(...xs) + pad, Math.max(...ys) + pad);
+    ctx.setLineDash([5, 4]);
+    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+  }
+  ctx.restore();
+}
+
+function selectShape(sel) {
+  selectedShape = { ...sel };
+  updateShapePanel();
+  redrawLive();
+}
+
+function deselectShape() {
+  if (!selectedShape) return;
+  selectedShape = null;
+  shapeDrag = null;
+  updateShapePanel();
+  redrawLive();
+}
+
+function updateShapePanel() {
+  const shape = findShape(selectedShape);
+  shapePanel.classList.toggle('hidden', !shape);
+  if (!shape) return;
+  shapeColorInput.value = shape.color;
+  shapeWidthInput.value = shape.width;
+  shapeDashCheck.checked = shape.style === 'dashed';
+  shapeKindSelect.classList.toggle('hidden', selectedShape.kind !== 'arrows');
+  shapeKindSelect.value = shape.kind || (shape.style === 'dashed' ? 'pass' : 'run');
+  const isZone = selectedShape.kind === 'zones';
+  shapeOpacityInput.classList.toggle('hidden', !isZone);
+  shapeHatchCheck.parentElement.classList.toggle('hidden', !isZone);
+  if (isZone) {
+    shapeOpacityInput.value = Math.round((shape.opacity ?? 0.25) * 100);
+    shapeHatchCheck.checked = !!shape.hatch;
+  }
+  const isText = selectedShape.kind === 'texts';
+  shapeWidthInput.classList.toggle('hidden', isText);
+  shapeDashCheck.parentElement.classList.toggle('hidden', isText);
+  shapeFontSize.classList.toggle('hidden', !isText);
+  shapeBgCheck.parentElement.classList.toggle('hidden', !isText);
+  shapeBgColor.classList.toggle('hidden', !isText);
+  if (isText) {
+    shapeFontSize.value = shape.size;
+    shapeBgCheck.checked = !!shape.background;
+    if (shape.background) shapeBgColor.value = shape.background;
+  }
+}
+
+function shapeGeometry(kind, shape) {
+  if (kind === 'strokes') return { points: shape.points };
+  if (kind === 'zones') return shape.shape === 'polygon' ? { points: shape.points } : { x: shape.x, y: shape.y, w: shape.w, h: shape.h };
+  if (kind === 'texts') return { x: shape.x, y: shape.y, w: shape.w, rotation: shape.rotation || 0 };
+  const geometry = { x1: shape.x1, y1: shape.y1, x2: shape.x2, y2: shape.y2 };
+  if (shape.path === 'curve') Object.assign(geometry, { cx: shape.cx, cy: shape.cy });
+  if (shape.path === 'poly')  geometry.via = shape.via;
+  return geometry;
+}
+
+function emitShapeUpdate(changes) {
+  if (!selectedShape) return;
+  socket?.emit(SHAPE_EVENTS[selectedShape.kind].update, { id: selectedShape.id, changes });
+}
+
+function dragSelectedShape(pos) {
+  const shape = findShape(selectedShape);
+  if (!shape) return;
+  const dx = pos.x - shapeDrag.last.x;
+  const dy = pos.y - shapeDrag.last.y;
+  shapeDrag.last = pos;
+  shapeDrag.moved = true;
+  if (shapeDrag.mode === 'resize') {
+    // Only the width changes; the text re-wraps to fit
+    const local = rotatePoint(pos, textCenter(shape), -(shape.rotation || 0));
+    shape.w = Math.max(shape.size * 2, local.x - shape.x);
+  } else if (shapeDrag.mode === 'rotate') {
+    const c = textCenter(shape);
+    const deg = Math.atan2(pos.y - c.y, pos.x - c.x) * 180 / Math.PI + 90;
+    const snapped = Math.round(deg / 15) * 15;
+    shape.rotation = Math.round(Math.abs(deg - snapped) < 4 ? snapped : deg);
+  } else if (selectedShape.kind === 'texts') {
+    shape.x += dx; shape.y += dy;
+  } else if (selectedShape.kind === 'strokes' || (selectedShape.kind === 'zones' && shape.shape === 'polygon' && shapeDrag.mode === 'move')) {
+    shape.points = shape.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+  } else if (shapeDrag.mode === 'vertex') {
+    shape.points = shape.points.map((p, i) => (i === shapeDrag.index ? { x: pos.x, y: pos.y } : p));
+  } else if (shapeDrag.mode === 'corner') {
+    // Resize against the opposite corner, which stays put for the whole drag
+    if (!shapeDrag.anchor) shapeDrag.anchor = zoneHandles(shape)[(shapeDrag.index + 2) % 4];
+    const { anchor } = shapeDrag;
+    Object.assign(shape, {
+      x: Math.min(anchor.x, pos.x), y: Math.min(anchor.y, pos.y),
+      w: Math.abs(pos.x - anchor.x), h: Math.abs(pos.y - anchor.y)
+    });
+  } else if (selectedShape.kind === 'zones') {
+    shape.x += dx; shape.y += dy;
+  } else if (shapeDrag.mode === 'start') {
+    shape.x1 = pos.x; shape.y1 = pos.y;
+  } else if (shapeDrag.mode === 'end') {
+    shape.x2 = pos.x; shape.y2 = pos.y;
+  } else if (shapeDrag.mode === 'control') {
+    shape.cx = pos.x; shape.cy = pos.y;
+  } else if (shapeDrag.mode === 'via') {
+    shape.via = shape.via.map((p, i) => (i === shapeDrag.index ? { x: pos.x, y: pos.y } : p));
+  } else {
+    shape.x1 += dx; shape.y1 += dy;
+    shape.x2 += dx; shape.y2 += dy;
+    if (shape.path === 'curve') { shape.cx += dx; shape.cy += dy; }
+    if (shape.path === 'poly')  shape.via = shape.via.map(p => ({ x: p.x + dx, y: p.y + dy }));
+  }
+  redrawStrokes();
+  redrawLive();
+  const now = Date.now();
+  if (now - _lastShapeEmit > 33) { // ~30fps, like token drags
+    emitShapeUpdate(shapeGeometry(selectedShape.kind, shape));
+    _lastShapeEmit = now;
+  }
+}
+
+function applyShapeUpdate(kind, id, changes) {
+  const shape = SHAPE_LISTS[kind].find(s => s.id === id);
+  if (!shape) return;
+  Object.assign(shape, changes);
+  redrawStrokes();
+  if (selectedShape?.kind === kind && selectedShape.id === id) {
+    updateShapePanel();
+    redrawLive();
+  }
+}
+
+// Property panel edits apply locally and go to the server as one update
+function restyleSelectedShape(changes) {
+  const shape = findShape(selectedShape);
+  if (!shape) return;
+  Object.assign(shape, changes);
+  redrawStrokes();
+  redrawLive();
+  emitShapeUpdate(changes);
+}
+
+function deleteSelectedShape() {
+  if (!selectedShape) return;
+  socket?.emit(SHAPE_EVENTS[selectedShape.kind].remove, { ids: [selectedShape.id] });
+}
+
+shapeColorInput.addEventListener('change', () => restyleSelectedShape({ color: shapeColorInput.value }));
+shapeWidthInput.addEventListener('change', () => restyleSelectedShape({ width: +shapeWidthInput.value }));
+shapeDashCheck.addEventListener('change',  () => restyleSelectedShape({ style: shapeDashCheck.checked ? 'dashed' : 'solid' }));
+shapeOpacityInput.addEventListener('change', () => restyleSelectedShape({ opacity: +shapeOpacityInput.value / 100 }));
+shapeHatchCheck.addEventListener('change',   () => restyleSelectedShape({ hatch: shapeHatchCheck.checked }));
+shapeFontSize.addEventListener('change',     () => restyleSelectedShape({ size: +shapeFontSize.value }));
+shapeBgCheck.addEventListener('change',      () => restyleSelectedShape({ background: shapeBgCheck.checked ? shapeBgColor.value : null }));
+shapeBgColor.addEventListener('change',      () => {
+  shapeBgCheck.checked = true;
+  restyleSelectedShape({ background: shapeBgColor.value });
+});
+shapeKindSelect.addEventListener('change', () => {
+  const kind = shapeKindSelect.value;
+  restyleSelectedShape({ kind, style: ARROW_KINDS[kind].style });
+});
+document.getElementById('shape-delete-btn').addEventListener('click', deleteSelectedShape);
+
 function repositionAllTokens() {
   Object.values(tokens).forEach(t => {
     const el = document.getElementById('token-' + t.id);
@@ -782,6 +1585,445 @@ document.querySelectorAll('.token-swatch').forEach(btn => {
   });
 });
 
+// ── Roster ────────────────────────────────────────────────────
+// Room-wide list of named players. Binding a token copies the player's number
+// and name onto it (server side), so edits here relabel every bound token.
+let roster = [];
+let _swapFrom = null; // player picked first for a swap
+const rosterModal     = document.getElementById('roster-modal');
+const rosterList      = document.getElementById('roster-list');
+const selectionPlayer = document.getElementById('selection-player');
+
+function setRoster(list) {
+  roster = list || [];
+  if (_swapFrom && !roster.some(p => p.id === _swapFrom)) _swapFrom = null;
+  renderRoster();
+  renderPlayerOptions();
+  updateSelectionBar();
+}
+
+function playerLabel(p) {
+  return [p.number && `#${p.number}`, p.name || p.initials, p.position && `(${p.position})`].filter(Boolean).join(' ');
+}
+
+function renderPlayerOptions() {
+  selectionPlayer.innerHTML = '<option value="">— No player —</option>';
+  roster.forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = playerLabel(p);
+    selectionPlayer.appendChild(opt);
+  });
+}
+
+function renderRoster() {
+  if (!roster.length) {
+    rosterList.innerHTML = '<li class="no-presets">No players yet</li>';
+    return;
+  }
+  rosterList.innerHTML = '';
+  roster.forEach(p => {
+    const li = document.createElement('li');
+    li.className = 'roster-item' + (p.id === _swapFrom ? ' swapping' : '');
+    li.innerHTML = `
+      <span class="roster-avatar">${escHtml(p.initials || '?')}</span>
+      <input class="roster-number" data-field="number" maxlength="3" placeholder="#" />
+      <input class="roster-name" data-field="name" maxlength="40" placeholder="Name" />
+      <input class="roster-position" data-field="position" maxlength="4" placeholder="Pos" />
+      <button class="roster-swap" data-perm="edit" title="Swap with another player — click here, then on the other player">⇄</button>
+      <button class="preset-delete roster-delete" data-perm="edit" title="Remove from roster">×</button>
+    `;
+    li.querySelectorAll('input').forEach(input => {
+      input.value = p[input.dataset.field] || '';
+      input.disabled = !can('edit'); // viewers still read the roster
+      input.addEventListener('change', () => {
+        socket?.emit('roster-update', { id: p.id, changes: { [input.dataset.field]: input.value } });
+      });
+      input.addEventListener('keydown', e => { if (e.key === 'Enter') input.blur(); });
+    });
+    li.querySelector('.roster-swap').addEventListener('click', () => {
+      if (!_swapFrom || _swapFrom === p.id) {
+        _swapFrom = _swapFrom === p.id ? null : p.id;
+      } else {
+        socket?.emit('roster-swap', { a: _swapFrom, b: p.id });
+        _swapFrom = null;
+      }
+      renderRoster();
+    });
+    li.querySelector('.roster-delete').addEventListener('click', () => {
+      socket?.emit('roster-remove', { id: p.id });
+    });
+    rosterList.appendChild(li);
+  });
+  applyPermissions(rosterList);
+}
+
+document.getElementById('roster-add-form').addEventListener('submit', e => {
+  e.preventDefault();
+  const form = e.target;
+  const player = { number: form.number.value, name: form.name.value.trim(), position: form.position.value };
+  if (!player.name && !player.number) return;
+  socket?.emit('roster-add', { player });
+  form.reset();
+  form.number.focus();
+});
+
+// Keep tool shortcuts out of the roster fields; Escape still closes the modal
+rosterModal.addEventListener('keydown', e => {
+  if (e.target.matches('input') && e.key !== 'Escape') e.stopPropagation();
+});
+
+selectionPlayer.addEventListener('change', () => {
+  const [id] = selectedTokens;
+  if (id) socket?.emit('token-bind', { id, playerId: selectionPlayer.value || null });
+});
+
+// ── Session plans ─────────────────────────────────────────────
+// Ordered drills built from the room's presets, each with notes, duration,
+// player count and equipment. Every edit sends the whole plan back; the
+// server turns a plan into a printable PDF.
+let sessionPlans = [];
+let _editingPlanId = null;
+const plansModal    = document.getElementById('plans-modal');
+const plansList     = document.getElementById('plans-list');
+const planEditor    = document.getElementById('plan-editor');
+const planTitle     = document.getElementById('plan-editor-title');
+const planDrills    = document.getElementById('plan-drills');
+const planAddPreset = document.getElementById('plan-add-preset');
+
+function setPlans(list) {
+  sessionPlans = list || [];
+  if (!editingPlan()) _editingPlanId = null;
+  renderPlansList();
+  // Don't rebuild the editor under someone typing in it
+  if (!planEditor.contains(document.activeElement)) renderPlanEditor();
+}
+
+function editingPlan() {
+  return sessionPlans.find(p => p.id === _editingPlanId) || null;
+}
+
+function printPlan(planId) {
+  socket?.emit('export-print', { source: 'plan', planId, format: 'pdf' });
+}
+
+function renderPlansList() {
+  if (!sessionPlans.length) {
+    plansList.innerHTML = '<li class="no-presets">No session plans yet</li>';
+    return;
+  }
+  plansList.innerHTML = '';
+  sessionPlans.forEach(plan => {
+    const total = plan.drills.reduce((sum, d) => sum + d.duration, 0);
+    const li = document.createElement('li');
+    li.className = 'preset-item' + (plan.id === _editingPlanId ? ' active' : '');
+    li.innerHTML = `
+      <div class="preset-info" title="Open the plan">
+        <div class="preset-name">${escHtml(plan.title)}</div>
+        <div class="preset-time">${plan.drills.length} drill${plan.drills.length !== 1 ? 's' : ''}${total ? ` · ${total} min` : ''}</div>
+      </div>
+      <div class="preset-actions">
+        <button class="preset-print" data-perm="save" title="Download as PDF">🖨️</button>
+        <button class="preset-delete" data-perm="destroy" title="Delete">×</button>
+      </div>
+    `;
+    li.querySelector('.preset-info').addEventListener('click', () => {
+      _editingPlanId = plan.id === _editingPlanId ? null : plan.id;
+      renderPlansList();
+      renderPlanEditor();
+    });
+    li.querySelector('.preset-print').addEventListener('click', () => printPlan(plan.id));
+    li.querySelector('.preset-delete').addEventListener('click', () => {
+      socket?.emit('delete-plan', { planId: plan.id });
+    });
+    plansList.appendChild(li);
+  });
+  applyPermissions(plansList);
+}
+
+// Preset picker; a drill whose preset was deleted keeps pointing at it
+function fillPresetOptions(select, selected) {
+  select.innerHTML = '';
+  const options = _boardPresets.map(p => [p.id, p.name]);
+  if (selected != null && !_boardPresets.some(p => p.id === selected)) options.unshift([selected, '(deleted preset)']);
+  options.forEach(([id, name]) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+  if (selected != null) select.value = selected;
+}
+
+function updateDrills(plan, change) {
+  const drills = plan.drills.map(d => ({ ...d }));
+  change(drills);
+  socket?.emit('save-plan', { plan: { ...plan, drills } });
+}
+
+function renderPlanEditor() {
+  const plan = editingPlan();
+  planEditor.classList.toggle('hidden', !plan);
+  if (!plan) return;
+  const editable = can('save');
+  planTitle.value = plan.title;
+  planTitle.disabled = !editable;
+  planDrills.innerHTML = '';
+  plan.drills.forEach((drill, i) => {
+    const li = document.createElement('li');
+    li.className = 'plan-drill';
+    li.innerHTML = `
+      <div class="rec-editor-row">
+        <span class="plan-drill-num">${i + 1}.</span>
+        <select data-field="presetId" title="Preset the drill is drawn on"></select>
+        <button class="roster-swap" data-move="-1" data-perm="save" title="Move up">↑</button>
+        <button class="roster-swap" data-move="1" data-perm="save" title="Move down">↓</button>
+        <button class="preset-delete" data-perm="save" title="Remove drill">×</button>
+      </div>
+      <div class="rec-editor-row">
+        <label><input type="number" data-field="duration" min="0" max="600" /> min</label>
+        <label><input type="number" data-field="players" min="0" max="99" /> players</label>
+        <input class="plan-drill-equipment" data-field="equipment" maxlength="200" placeholder="Equipment" />
+      </div>
+      <textarea data-field="description" maxlength="2000" placeholder="Description and coaching points"></textarea>
+    `;
+    li.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      if (field === 'presetId') fillPresetOptions(input, drill.presetId);
+      else input.value = drill[field] || '';
+      input.disabled = !editable;
+      input.addEventListener('change', () => {
+        updateDrills(plan, drills => { drills[i][field] = field === 'presetId' ? +input.value : input.value; });
+      });
+    });
+    li.querySelectorAll('[data-move]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const j = i + +btn.dataset.move;
+        if (j < 0 || j >= plan.drills.length) return;
+        updateDrills(plan, drills => { [drills[i], drills[j]] = [drills[j], drills[i]]; });
+      });
+    });
+    li.querySelector('.preset-delete').addEventListener('click', () => {
+      updateDrills(plan, drills => drills.splice(i, 1));
+    });
+    planDrills.appendChild(li);
+  });
+  fillPresetOptions(planAddPreset);
+  applyPermissions(planEditor);
+}
+
+document.getElementById('plan-add-form').addEventListener('submit', e => {
+  e.preventDefault();
+  socket?.emit('save-plan', { plan: { title: e.target.title.value, drills: [] } });
+  e.target.reset();
+});
+planTitle.addEventListener('change', () => {
+  const plan = editingPlan();
+  if (plan) socket?.emit('save-plan', { plan: { ...plan, title: planTitle.value } });
+});
+document.getElementById('plan-add-drill-btn').addEventListener('click', () => {
+  const plan = editingPlan();
+  if (!plan || !planAddPreset.value) return;
+  updateDrills(plan, drills => drills.push({ presetId: +planAddPreset.value, description: '', duration: 10, players: 0, equipment: '' }));
+});
+document.getElementById('plan-print-btn').addEventListener('click', () => {
+  if (_editingPlanId !== null) printPlan(_editingPlanId);
+});
+
+// Keep tool shortcuts out of the plan fields; Escape still closes the modal
+plansModal.addEventListener('keydown', e => {
+  if (e.target.matches('input, textarea') && e.key !== 'Escape') e.stopPropagation();
+});
+
+// ── Teams ─────────────────────────────────────────────────────
+// Tokens can play for the home or away team. The server keeps the room's kit
+// and goalkeeper colours and re-dresses a team's tokens when they change.
+let teamKits = { home: { kit: '#e74c3c', gk: '#f1c40f' }, away: { kit: '#3498db', gk: '#2ecc71' } };
+const selectionTeam = document.getElementById('selection-team');
+const selectionGk   = document.getElementById('selection-gk');
+
+function setKits(kits) {
+  if (kits) teamKits = kits;
+  formationColor.value   = teamKits[formationSide.value].kit;
+  formationGkColor.value = teamKits[formationSide.value].gk;
+}
+
+selectionTeam.addEventListener('change', () => {
+  socket?.emit('tokens-team', { ids: [...selectedTokens], team: selectionTeam.value || null });
+});
+selectionGk.addEventListener('click', () => {
+  const [id] = selectedTokens;
+  const token = tokens[id];
+  if (token?.team) socket?.emit('tokens-team', { ids: [id], team: token.team, gk: !token.gk });
+});
+
+// ── Formations ────────────────────────────────────────────────
+// Players are [shirt number, depth, width] as fractions of the pitch for a team
+// defending the left-hand goal: depth 0 is its own goal line and 0.5 halfway,
+// width 0 the top touchline (the team's left side).
+const FORMATIONS = {
+  '4-4-2': [
+    [1, .04, .5],
+    [2, .2, .85], [5, .17, .62], [6, .17, .38], [3, .2, .15],
+    [7, .33, .85], [4, .3, .6], [8, .3, .4], [11, .33, .15],
+    [9, .45, .6], [10, .45, .4]
+  ],
+  '4-3-3': [
+    [1, .04, .5],
+    [2, .2, .85], [5, .17, .62], [6, .17, .38], [3, .2, .15],
+    [4, .28, .5], [8, .33, .7], [10, .33, .3],
+    [7, .45, .82], [9, .47, .5], [11, .45, .18]
+  ],
+  '3-5-2': [
+    [1, .04, .5],
+    [4, .17, .72], [5, .16, .5], [6, .17, .28],
+    [2, .32, .9], [8, .3, .65], [10, .36, .5], [7, .3, .35], [3, .32, .1],
+    [9, .46, .6], [11, .46, .4]
+  ],
+  '4-2-3-1': [
+    [1, .04, .5],
+    [2, .2, .85], [5, .17, .62], [6, .17, .38], [3, .2, .15],
+    [4, .27, .6], [8, .27, .4],
+    [7, .38, .84], [10, .38, .5], [11, .38, .16],
+    [9, .47, .5]
+  ],
+  '5-3-2': [
+    [1, .04, .5],
+    [2, .24, .9], [4, .17, .7], [5, .16, .5], [6, .17, .3], [3, .24, .1],
+    [7, .32, .72], [8, .3, .5], [10, .32, .28],
+    [9, .46, .6], [11, .46, .4]
+  ]
+};
+
+const CUSTOM_FORMATIONS_KEY = 'tac-board-formations';
+
+const formationSelect = document.getElementById('formation-select');
+const formationSide   = document.getElementById('formation-side');
+const formationColor  = document.getElementById('formation-color');
+const formationGkColor = document.getElementById('formation-gk-color');
+
+let customFormations = {}; // name → players, kept in this browser
+try {
+  customFormations = JSON.parse(localStorage.getItem(CUSTOM_FORMATIONS_KEY)) || {};
+} catch { /* corrupt storage — start empty */ }
+
+// The opposition is turned half a circle, so its left side is on the far touchline
+// On an upright pitch the home team attacks the top goal, its left side on the left
+function formationToBoard(field, depth, width, side) {
+  if (side === 'away') { depth = 1 - depth; width = 1 - width; }
+  if (field.rotate) [depth, width] = [width, 1 - depth];
+  return {
+    x: PITCH_W * (field.x + field.w * depth),
+    y: PITCH_H * (field.y + field.h * width)
+  };
+}
+
+function boardToFormation(field, x, y, side) {
+  let depth = (x / PITCH_W - field.x) / field.w;
+  let width = (y / PITCH_H - field.y) / field.h;
+  if (field.rotate) [depth, width] = [1 - width, depth];
+  const round = v => Math.round(v * 1000) / 1000;
+  return side === 'away' ? [round(1 - depth), round(1 - width)] : [round(depth), round(width)];
+}
+
+function renderFormationOptions() {
+  formationSelect.innerHTML = '';
+  Object.keys(FORMATIONS).forEach(name => {
+    formationSelect.appendChild(new Option(name, name));
+  });
+  const names = Object.keys(customFormations);
+  if (names.length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Saved';
+    names.forEach(name => group.appendChild(new Option(name, 'custom:' + name)));
+    formationSelect.appendChild(group);
+  }
+  updateFormationButtons();
+}
+
+function updateFormationButtons() {
+  document.getElementById('formation-delete-btn').disabled = !formationSelect.value.startsWith('custom:');
+}
+
+function selectedFormation() {
+  const value = formationSelect.value;
+  return value.startsWith('custom:') ? customFormations[value.slice(7)] : FORMATIONS[value];
+}
+
+// Formations span a whole pitch, so templates showing part of one can't hold them
+function formationField() {
+  const field = pitchField(pitchTemplate);
+  if (!field) toast(`Formations need a whole pitch — switch from ${PITCH_TEMPLATES[pitchTemplate].label}`);
+  return field;
+}
+
+function placeFormation() {
+  const players = selectedFormation();
+  if (!players) return;
+  const field = formationField();
+  if (!field) return;
+  const side  = formationSide.value;
+  const color = teamKits[side].kit;
+  socket?.emit('tokens-add', {
+    tokens: players.map(([label, depth, width]) => ({
+      ...formationToBoard(field, depth, width, side),
+      color: String(label) === '1' ? teamKits[side].gk : color,
+      label: String(label),
+      shape: 'circle',
+      team: side,
+      gk: String(label) === '1',
+      createdBy: myId
+    }))
+  });
+  // Keep the numbered swatch for this colour counting on from the squad
+  const numbers = players.map(([label]) => parseInt(label, 10)).filter(n => !isNaN(n));
+  tokenCounters[color] = Math.max(tokenCounters[color] || 0, ...numbers);
+}
+
+// Saves every player of the chosen team, relative to its side. Tokens without
+// a team count when they wear its kit colour.
+function saveFormation() {
+  const field = formationField();
+  if (!field) return;
+  const side  = formationSide.value;
+  const color = teamKits[side].kit.toLowerCase();
+  const players = Object.values(tokens)
+    .filter(t => (t.shape || 'circle') === 'circle' &&
+      (t.team ? t.team === side : (t.color || '').toLowerCase() === color));
+  if (!players.length) {
+    toast('No players in this team to save');
+    return;
+  }
+  const name = prompt('Name this formation:', `${players.length} players`);
+  if (!name || !name.trim()) return;
+  customFormations[name.trim()] = players.map(t => [t.label, ...boardToFormation(field, t.x, t.y, side)]);
+  localStorage.setItem(CUSTOM_FORMATIONS_KEY, JSON.stringify(customFormations));
+  renderFormationOptions();
+  formationSelect.value = 'custom:' + name.trim();
+  updateFormationButtons();
+  toast(`💾 Formation "${name.trim()}" saved`);
+}
+
+renderFormationOptions();
+formationSelect.addEventListener('change', updateFormationButtons);
+formationSide.addEventListener('change', () => setKits(teamKits));
+formationColor.addEventListener('change', () => {
+  socket?.emit('kits-set', { team: formationSide.value, kit: formationColor.value });
+});
+formationGkColor.addEventListener('change', () => {
+  socket?.emit('kits-set', { team: formationSide.value, gk: formationGkColor.value });
+});
+document.getElementById('swap-sides-btn').addEventListener('click', () => socket?.emit('swap-sides'));
+document.getElementById('formation-place-btn').addEventListener('click', placeFormation);
+document.getElementById('formation-save-btn').addEventListener('click', saveFormation);
+document.getElementById('formation-delete-btn').addEventListener('click', () => {
+  const name = formationSelect.value.slice(7);
+  if (!customFormations[name] || !confirm(`Delete formation "${name}"?`)) return;
+  delete customFormations[name];
+  localStorage.setItem(CUSTOM_FORMATIONS_KEY, JSON.stringify(customFormations));
+  renderFormationOptions();
+});
+
 // ── Remote cursors ────────────────────────────────────────────
 function getOrCreateCursor(socketId, username, color) {
   if (remoteCursors[socketId]) return remoteCursors[socketId];
@@ -836,12 +2078,47 @@ function connectSocket(username) {
     Object.keys(liveStrokes).forEach(k => delete liveStrokes[k]);
     redrawLive();
     document.getElementById('conn-status')?.classList.remove('disconnected');
-    socket.emit('join', { username, room: myRoom });
+    socket.emit('join', {
+      username,
+      room: myRoom,
+      password: myPassword || undefined,
+      ownerKey: localStorage.getItem('tac-board-owner:' + myRoom) || undefined,
+      userKey: localStorage.getItem('tac-board-user:' + myRoom) || undefined
+    });
+  });
+
+  socket.on('join-error', ({ reason }) => {
+    // Stay off the board until the right password (or a free name) is entered
+    socket.removeAllListeners();
+    socket.disconnect();
+    appEl.classList.add('hidden');
+    joinScreen.classList.remove('hidden');
+    if (reason === 'name-taken') {
+      usernameInput.focus();
+      usernameInput.select();
+      toast('👤 Someone in this room already goes by that name');
+      return;
+    }
+    passwordInput.classList.add('needs-password');
+    passwordInput.value = '';
+    passwordInput.focus();
+    toast(reason === 'wrong-password' ? '🔒 Wrong room password' : '🔒 This room needs a password');
   });
 
-  socket.on('init-state', ({ strokes, tokens: tokenList, arrows, users, you, room, recActive, repActive, repDuration, repPosition, repPaused }) => {
+  socket.on('init-state', ({ strokes, tokens: tokenList, arrows, zones, texts, roster: players, kits, trails: trailMap, passes, animation: anim, animTime: animAt, users, you, room, recActive, repActive, repDuration, repPosition, repPaused, repRate, repMarkers, repRecId, repAudio, permissions, ownerKey, userKey, settings, history, frame, pitch }) => {
     myColor = you.color;
     colorPicker.value = myColor;
+    passwordInput.classList.remove('needs-password');
+
+    amRoomOwner = !!you.owner;
+    if (ownerKey) localStorage.setItem('tac-board-owner:' + (room || myRoom), ownerKey);
+    if (userKey) localStorage.setItem('tac-board-user:' + (room || myRoom), userKey);
+    setPermissions(permissions || []);
+    if (history) updateHistoryButtons(history);
+    updateFrameBar(frame);
+    setPitchTemplate(pitch);
+    setRoster(players);
+    setKits(kits);
 
     // Update room badge
     if (room) {
@@ -849,6 +2126,7 @@ function connectSocket(username) {
       const badge = document.getElementById('room-badge');
       if (badge) badge.textContent = '🏠 ' + room;
     }
+    applyRoomSettings(settings);
 
     _recActive = !!recActive;
     if (_recActive) {
@@ -869,6 +2147,9 @@ function connectSocket(username) {
       _replayDuration = repDuration;
       _replayPlaybackPosition = repPosition;
       _replayLastTick = Date.now();
+      setReplayRate(repRate);
+      renderReplayMarkers(repMarkers);
+      startReplayAudio(repRecId, repAudio);
       liveCanvas.style.pointerEvents = 'none';
       document.getElementById('replay-bar').classList.remove('hidden');
       document.getElementById('replay-playpause-btn').textContent = isReplayPaused ? '▶' : '⏸';
@@ -879,9 +2160,11 @@ function connectSocket(username) {
     }
 
     // Re-render strokes
-    allStrokes.length = 0; allArrows.length = 0;
+    allStrokes.length = 0; allArrows.length = 0; allZones.length = 0; allTexts.length = 0;
     strokes.forEach(s => allStrokes.push(s));
     arrows.forEach(a  => allArrows.push(a));
+    (zones || []).forEach(z => allZones.push(z));
+    (texts || []).forEach(t => allTexts.push(t));
     redrawStrokes();
 
     // Re-render tokens
@@ -891,6 +2174,11 @@ function connectSocket(username) {
       tokens[t.id] = t;
       tokenLayer.appendChild(createTokenEl(t));
     });
+    setTrails(trailMap);
+    setPassLog(passes);
+    stopAnimPlayback();
+    animTime = animAt || 0;
+    setAnimation(anim);
 
     updateUserList(users);
     toast(`Welcome, ${you.username}! Color: <span style="color:${you.color}">■</span>`);
@@ -907,6 +2195,18 @@ function connectSocket(username) {
   });
   socket.on('user-list', (users) => updateUserList(users));
 
+  socket.on('role-changed', ({ role, permissions }) => {
+    setPermissions(permissions);
+    toast(`Your role is now <b>${escHtml(role)}</b>`);
+  });
+
+  socket.on('room-settings', applyRoomSettings);
+
+  socket.on('permission-denied', ({ action, role }) => {
+    toast(`⛔ A ${escHtml(role)} can't do that (${escHtml(action)})`);
+    if (action === 'recording-start') releaseVoiceStream();
+  });
+
   // Live draw from others
   socket.on('draw-move', ({ socketId, tool, width, points, color }) => {
     liveStrokes[socketId] = { tool, width, points, color };
@@ -929,7 +2229,7 @@ function connectSocket(username) {
           laserStrokes.splice(idx, 1);
           redrawStrokes();
         }
-      }, 1500);
+      }, LASER_FADE);
     } else {
       allStrokes.push(stroke);
     }
@@ -947,10 +2247,7 @@ function connectSocket(username) {
   socket.on('arrow-confirmed', ({ tempId, arrow }) => {
     const idx = allArrows.findIndex(a => a.id === tempId);
     if (idx !== -1) allArrows[idx] = arrow;
-    // Update undo stack entry
-    const ue = (myUndoStack.findLast ? myUndoStack.findLast(e => e._pending && e.id === tempId)
-                                     : [...myUndoStack].reverse().find(e => e._pending && e.id === tempId));
-    if (ue) { ue.id = arrow.id; delete ue._pending; }
+    if (selectedShape?.id === tempId) selectedShape.id = arrow.id;
     redrawStrokes();
   });
 
@@ -962,16 +2259,69 @@ function connectSocket(username) {
     redrawStrokes();
   });
 
-  // Token events
-  socket.on('token-add', (token) => {
-    tokens[token.id] = token;
-    tokenLayer.appendChild(createTokenEl(token));
-    // Push to undo stack if I placed this token
-    if (token.createdBy === myId) {
-      myUndoStack.push({ type: 'token', id: token.id });
+  // Zones work like arrows: others get zone-done, the sender a confirmation
+  socket.on('zone-done', (zone) => {
+    allZones.push(zone);
+    delete liveStrokes[zone.socketId];
+    redrawStrokes();
+    redrawLive();
+  });
+
+  socket.on('zone-confirmed', ({ tempId, zone }) => {
+    const idx = allZones.findIndex(z => z.id === tempId);
+    if (idx !== -1) allZones[idx] = zone;
+    if (selectedShape?.id === tempId) selectedShape.id = zone.id;
+    redrawStrokes();
+  });
+
+  socket.on('zone-remove', ({ ids }) => {
+    for (let i = allZones.length - 1; i >= 0; i--) {
+      if (ids.includes(allZones[i].id)) allZones.splice(i, 1);
+    }
+    redrawStrokes();
+  });
+
+  socket.on('text-add', (text) => {
+    allTexts.push(text);
+    redrawStrokes();
+  });
+
+  socket.on('text-confirmed', ({ tempId, text }) => {
+    const idx = allTexts.findIndex(t => t.id === tempId);
+    if (idx !== -1) allTexts[idx] = text;
+    if (selectedShape?.id === tempId) selectedShape.id = text.id;
+    redrawStrokes();
+  });
+
+  socket.on('text-remove', ({ ids }) => {
+    for (let i = allTexts.length - 1; i >= 0; i--) {
+      if (ids.includes(allTexts[i].id)) allTexts.splice(i, 1);
     }
+    redrawStrokes();
+  });
+
+  // Edits made with the select tool (or undone) by anyone
+  socket.on('stroke-update', ({ id, changes }) => applyShapeUpdate('strokes', id, changes));
+  socket.on('arrow-update',  ({ id, changes }) => applyShapeUpdate('arrows', id, changes));
+  socket.on('zone-update',   ({ id, changes }) => applyShapeUpdate('zones', id, changes));
+  socket.on('text-update',   ({ id, changes }) => applyShapeUpdate('texts', id, changes));
+
+  // Shapes put back by undo or redo, at their original positions
+  socket.on('stroke-restore', ({ items }) => { restoreShapes(allStrokes, items); redrawStrokes(); });
+  socket.on('arrow-restore',  ({ items }) => { restoreShapes(allArrows, items);  redrawStrokes(); });
+  socket.on('zone-restore',   ({ items }) => { restoreShapes(allZones, items);   redrawStrokes(); });
+  socket.on('text-restore',   ({ items }) => { restoreShapes(allTexts, items);   redrawStrokes(); });
+
+  socket.on('history-state', updateHistoryButtons);
+  socket.on('history-empty', ({ direction }) => {
+    toast(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo', 1200);
   });
 
+  // Token events
+  socket.on('token-add', addTokenEl);
+  socket.on('tokens-add', ({ tokens: list }) => list.forEach(addTokenEl));
+  socket.on('tokens-refused', ({ reason }) => toast(`⚠️ ${reason}`));
+
   socket.on('token-relabel', ({ id, label }) => {
     if (tokens[id]) {
       tokens[id].label = label;
@@ -981,23 +2331,113 @@ function connectSocket(username) {
     }
   });
 
-  socket.on('token-move', ({ id, x, y }) => {
+  // Roster bindings — number, name and player id copied onto each token
+  socket.on('tokens-bind', ({ items }) => {
+    items.forEach(({ id, ...binding }) => {
+      const token = tokens[id];
+      if (!token) return;
+      Object.assign(token, binding);
+      const el = document.getElementById('token-' + id);
+      if (!el) return;
+      el.childNodes[0].textContent = token.label;
+      renderTokenName(el, token);
+    });
+    updateSelectionBar();
+  });
+  socket.on('roster-updated', ({ roster: list }) => setRoster(list));
+
+  socket.on('tokens-team', ({ items }) => {
+    items.forEach(({ id, ...team }) => {
+      const token = tokens[id];
+      if (!token) return;
+      Object.assign(token, team);
+      const el = document.getElementById('token-' + id);
+      if (el) applyTokenColor(el, token.color);
+    });
+    updateSelectionBar();
+  });
+  socket.on('kits-updated', ({ kits }) => setKits(kits));
+
+  socket.on('token-move', ({ id, x, y, trail }) => {
     if (tokens[id]) {
+      if (trail) extendTrail(trails, tokens[id], x, y, trail);
+      carryBalls(tokens[id], x - tokens[id].x, y - tokens[id].y);
       tokens[id].x = x; tokens[id].y = y;
       const el = document.getElementById('token-' + id);
       if (el) positionToken(el, x, y);
+      if (trail) redrawStrokes();
     }
   });
 
-  socket.on('token-remove', ({ id }) => {
-    delete tokens[id];
+  socket.on('token-remove', ({ id }) => removeTokenEl(id));
+  socket.on('tokens-remove', ({ ids }) => ids.forEach(removeTokenEl));
+
+  socket.on('tokens-move', ({ moves, trail }) => {
+    const moving = new Set(moves.map(m => m.id));
+    moves.forEach(({ id, x, y }) => {
+      if (!tokens[id]) return;
+      if (trail) extendTrail(trails, tokens[id], x, y, trail);
+      carryBalls(tokens[id], x - tokens[id].x, y - tokens[id].y, moving);
+      tokens[id].x = x; tokens[id].y = y;
+      const el = document.getElementById('token-' + id);
+      if (el) positionToken(el, x, y);
+    });
+    if (trail) redrawStrokes();
+  });
+  socket.on('trails-clear', () => setTrails({}));
+
+  socket.on('ball-attach', ({ id, heldBy, x, y }) => {
+    const ball = tokens[id];
+    if (!ball) return;
+    Object.assign(ball, { heldBy, x, y });
     const el = document.getElementById('token-' + id);
-    if (el) el.remove();
+    if (el) positionToken(el, x, y);
+    updateSelectionBar();
+  });
+  socket.on('ball-pass', ({ id, heldBy, x, y, pass }) => {
+    const ball = tokens[id];
+    if (ball) {
+      const from = { x: ball.x, y: ball.y };
+      Object.assign(ball, { heldBy, x, y });
+      animateBall(ball, from);
+    }
+    setPassLog([...passLog, pass]);
+    updateSelectionBar();
+  });
+  socket.on('pass-log', ({ passes }) => setPassLog(passes));
+
+  socket.on('animation-updated', ({ animation: anim }) => setAnimation(anim));
+  socket.on('anim-time', ({ t }) => setAnimTime(t));
+  socket.on('anim-play', data => {
+    startAnimPlayback(data);
+    if (_animVideo) startVideoCapture('animation');
+  });
+  socket.on('anim-stopped', ({ t, moves }) => {
+    stopAnimPlayback();
+    applyPose(moves);
+    setAnimTime(t);
+    if (_animVideo) {
+      _animVideo = false;
+      setTimeout(() => {
+        stopVideoCapture();
+        setTimeout(() => downloadVideoBlob('animation', 'tac-board-animation'), 300); // let the recorder finish
+      }, 200);
+    }
+  });
+
+  socket.on('tokens-recolor', ({ items }) => {
+    items.forEach(({ id, color }) => {
+      if (!tokens[id]) return;
+      tokens[id].color = color;
+      const el = document.getElementById('token-' + id);
+      if (el) applyTokenColor(el, color);
+    });
   });
 
   // Clear
   socket.on('clear-board', () => {
-    allStrokes.length = 0; allArrows.length = 0;
+    allStrokes.length = 0; allArrows.length = 0; allZones.length = 0; allTexts.length = 0;
+    trails = {};
     Object.keys(liveStrokes).forEach(k => delete liveStrokes[k]);
     redrawStrokes();
     liveCtx.clearRect(0, 0, liveCanvas.width, liveCanvas.height);
@@ -1005,6 +2445,7 @@ function connectSocket(username) {
 
   // Server cleared all tokens (fired alongside clear-board)
   socket.on('tokens-cleared', () => {
+    clearSelection();
     Object.keys(tokens).forEach(k => delete tokens[k]);
     tokenLayer.innerHTML = '';
     // Reset token counters so labels stay in sync across all clients
@@ -1038,8 +2479,10 @@ function connectSocket(username) {
   });
 
   // ── Recording / Replay socket events ────────────────────────────
-  socket.on('recording-started', () => {
+  // Only whoever started the recording speaks over it
+  socket.on('recording-started', ({ by } = {}) => {
     _recActive = true;
+    if (by === myId) startVoiceCapture(); else releaseVoiceStream();
     const recBtn = document.getElementById('record-btn');
     recBtn.textContent = '⏹ Stop Rec';
     recBtn.classList.add('recording');
@@ -1047,6 +2490,17 @@ function connectSocket(username) {
     toast('🔴 Recording started');
   });
 
+  socket.on('recording-token', receiveRecordingToken);
+
+  socket.on('recording-edit-refused', ({ reason }) => {
+    toast(`⚠️ ${reason}`);
+  });
+
+  socket.on('recording-refused', ({ reason }) => {
+    releaseVoiceStream();
+    toast(`⚠️ ${reason}`);
+  });
+
   socket.on('recording-saved', (recordings) => {
     _recActive = false;
     _recordings = recordings;
@@ -1058,6 +2512,7 @@ function connectSocket(username) {
     renderRecordingsList();
     updateReplayButton();
     const last = recordings[recordings.length - 1];
+    finishVoiceCapture(last.id);
     const secs = (last.duration / 1000).toFixed(1);
     toast(`✅ Recording saved — ${secs}s · ${last.eventCount} events`);
   });
@@ -1071,12 +2526,15 @@ function connectSocket(username) {
   socket.on('replay-init',    applyBoardSnapshot);
   socket.on('replay-restore', applyBoardSnapshot);
 
-  socket.on('replay-started', ({ duration }) => {
+  socket.on('replay-started', ({ duration, recId, rate, markers, audio }) => {
     isReplaying     = true;
     isReplayPaused  = false;
     _replayDuration = duration;
     _replayPlaybackPosition = 0;
     _replayLastTick = Date.now();
+    setReplayRate(rate);
+    renderReplayMarkers(markers);
+    startReplayAudio(recId, audio);
     liveCanvas.style.pointerEvents = 'none';
     document.getElementById('replay-bar').classList.remove('hidden');
     document.getElementById('replay-slider').value = 0;
@@ -1091,39 +2549,68 @@ function connectSocket(username) {
 
   socket.on('replay-paused', () => {
     isReplayPaused = true;
+    _replayAudio?.el.pause();
     document.getElementById('replay-playpause-btn').textContent = '▶';
   });
 
   socket.on('replay-resumed', () => {
     isReplayPaused = false;
     _replayLastTick = Date.now();
+    syncReplayAudio();
     document.getElementById('replay-playpause-btn').textContent = '⏸';
   });
 
-  socket.on('replay-sync-state', ({ position, strokes, arrows, tokens: tokenList }) => {
+  socket.on('replay-rate', ({ rate, position }) => {
+    setReplayRate(rate);
+    _replayPlaybackPosition = position;
+    _replayLastTick = Date.now();
+    syncReplayAudio();
+  });
+
+  socket.on('replay-sync-state', ({ position, strokes, arrows, zones, texts, tokens: tokenList, trails: trailMap, passes, pitch }) => {
     _replayPlaybackPosition = position;
     if (!isReplayPaused) _replayLastTick = Date.now();
+    syncReplayAudio();
+    if (pitch) setPitchTemplate(pitch);
     
-    allStrokes.length = 0; allArrows.length = 0;
+    allStrokes.length = 0; allArrows.length = 0; allZones.length = 0; allTexts.length = 0;
     strokes.forEach(s => allStrokes.push(s));
     arrows.forEach(a  => allArrows.push(a));
-    redrawStrokes();
+    (zones || []).forEach(z => allZones.push(z));
+    (texts || []).forEach(t => allTexts.push(t));
+    clearSelection();
     tokenLayer.innerHTML = '';
     Object.keys(tokens).forEach(k => delete tokens[k]);
     tokenList.forEach(t => { tokens[t.id] = t; tokenLayer.appendChild(createTokenEl(t)); });
+    setTrails(trailMap); // drawn once the tokens they belong to are back
+    setPassLog(passes);
   });
 
   // ── Board Presets socket events ───────────────────────────────────────
   socket.on('presets-list', (presets) => {
     _boardPresets = presets;
     renderPresetsList();
+    if (!planEditor.contains(document.activeElement)) renderPlanEditor();
   });
 
+  socket.on('plans-list', setPlans);
+  // Our new plan opens in the editor; the list with it follows right after
+  socket.on('plan-created', ({ planId }) => { _editingPlanId = planId; });
+
   socket.on('preset-saved', ({ id, name }) => {
     toast(`💾 Preset saved: ${name}`);
   });
 
-  socket.on('preset-loaded', applyBoardSnapshot);
+  // Whole-board replacement: preset load, import, and undo/redo of clears
+  socket.on('board-state', applyBoardSnapshot);
+
+  // Moved to another frame of the sequence
+  socket.on('frame-changed', applyFrame);
+  socket.on('pitch-changed', ({ pitch }) => setPitchTemplate(pitch));
+
+  // Reply to export-board: every frame, ready to download
+  socket.on('board-export', downloadBoardFile);
+  socket.on('print-export', downloadPrintFile);
 }
 
 // ── User list ─────────────────────────────────────────────────
@@ -1131,19 +2618,86 @@ function updateUserList(users) {
   userListEl.innerHTML = '';
   users.forEach(u => {
     const li = document.createElement('li');
-    li.innerHTML = `<span class="user-dot" style="background:${u.color}"></span>${escHtml(u.username)}${u.id === myId ? ' <em style="font-size:.7rem;color:#888">(you)</em>' : ''}`;
+    li.innerHTML = `<span class="user-dot" style="background:${u.color}"></span>${u.owner ? '👑 ' : ''}${escHtml(u.username)}${u.id === myId ? ' <em style="font-size:.7rem;color:#888">(you)</em>' : ''}`;
+    if (can('manage') && !u.owner && u.id !== myId) {
+      // Coaches can change anyone's role except the owner's
+      const select = document.createElement('select');
+      select.className = 'role-select';
+      select.title = 'Change role';
+      ROLES.forEach(r => {
+        const opt = document.createElement('option');
+        opt.value = r; opt.textContent = r;
+        if (r === u.role) opt.selected = true;
+        select.appendChild(opt);
+      });
+      select.addEventListener('change', () => socket?.emit('set-role', { userId: u.id, role: select.value }));
+      li.appendChild(select);
+    } else {
+      const badge = document.createElement('span');
+      badge.className = `role-badge role-${u.role}`;
+      badge.textContent = u.role;
+      li.appendChild(badge);
+    }
     userListEl.appendChild(li);
   });
+  _lastUserList = users;
+}
+
+// ── Roles & permissions ───────────────────────────────────────
+const ROLES = ['coach', 'analyst', 'viewer'];
+let _lastUserList = [];
+
+function can(perm) {
+  return myPermissions.includes(perm);
+}
+
+// Hide every [data-perm] control the current role may not use
+function applyPermissions(root = document) {
+  root.querySelectorAll('[data-perm]').forEach(el => {
+    el.classList.toggle('perm-hidden', !can(el.dataset.perm));
+  });
+}
+
+function setPermissions(permissions) {
+  myPermissions = permissions;
+  applyPermissions();
+  if (activeTool !== 'ping' && !can('edit')) setTool('ping');
+  updateUserList(_lastUserList);
+  renderRoster();
+  renderPlanEditor();
+}
+
+function applyRoomSettings(settings) {
+  if (!settings) return;
+  document.getElementById('room-admin').classList.toggle('hidden', !amRoomOwner);
+  document.getElementById('default-role-select').value = settings.defaultRole;
+  const badge = document.getElementById('room-badge');
+  if (badge) badge.textContent = `🏠 ${myRoom}${settings.hasPassword ? ' 🔒' : ''}`;
 }
 
+document.getElementById('room-password-btn').addEventListener('click', () => {
+  const pw = prompt('New room password (leave empty to remove):', '');
+  if (pw === null) return;
+  socket?.emit('room-settings', { password: pw });
+  toast(pw ? '🔒 Room password set' : '🔓 Room password removed');
+});
+
+document.getElementById('default-role-select').addEventListener('change', e => {
+  socket?.emit('room-settings', { defaultRole: e.target.value });
+});
+
 // ── Toolbar ───────────────────────────────────────────────────
 function setTool(tool) {
+  if (tool !== 'ping' && !can('edit')) return;
+  if (tool !== 'select') { clearSelection(); deselectShape(); }
+  if (tool !== activeTool) cancelPolyDraft();
   activeTool = tool;
   document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
   document.getElementById('tool-' + tool)?.classList.add('active');
   liveCanvas.style.cursor = tool === 'select' ? 'default'
     : tool === 'erase' ? 'cell'
     : tool === 'ping' ? 'crosshair'
+    : tool === 'text' ? 'text'
     : 'crosshair';
 }
 
@@ -1154,11 +2708,29 @@ document.getElementById('tool-laser').addEventListener('click',  () => setTool('
 document.getElementById('tool-erase').addEventListener('click',  () => setTool('erase'));
 document.getElementById('tool-ping').addEventListener('click',   () => setTool('ping'));
 document.getElementById('tool-select').addEventListener('click', () => setTool('select'));
+document.getElementById('tool-rect').addEventListener('click',    () => setTool('rect'));
+document.getElementById('tool-ellipse').addEventListener('click', () => setTool('ellipse'));
+document.getElementById('tool-polygon').addEventListener('click', () => setTool('polygon'));
+document.getElementById('tool-text').addEventListener('click',    () => setTool('text'));
 document.getElementById('tool-undo').addEventListener('click',   () => undoLast());
+document.getElementById('tool-redo').addEventListener('click',   () => redoLast());
 
 sizePicker.addEventListener('input', () => { sizeVal.textContent = sizePicker.value; });
 ownEraseCheck?.addEventListener('change',      () => { ownEraseOnly = ownEraseCheck.checked; updateClearBtnLabels(); });
-arrowDashedCheck?.addEventListener('change',   () => { arrowDashed  = arrowDashedCheck.checked; });
+arrowKindSelect.addEventListener('change', () => { arrowKind = arrowKindSelect.value; });
+arrowPathSelect.addEventListener('change', () => { cancelPolyDraft(); arrowPathMode = arrowPathSelect.value; });
+ownUndoCheck?.addEventListener('change',       () => { undoOwnOnly  = ownUndoCheck.checked; });
+
+Object.entries(PITCH_TEMPLATES).forEach(([id, tpl]) => {
+  const opt = document.createElement('option');
+  opt.value = id; opt.textContent = tpl.label;
+  pitchSelect.appendChild(opt);
+});
+pitchSelect.addEventListener('change', () => {
+  const id = pitchSelect.value;
+  pitchSelect.value = pitchTemplate; // the server broadcasts the change back
+  socket?.emit('pitch-set', { pitch: id });
+});
 
 // ── Color Presets ─────────────────────────────────────────────
 const recentColors = new Set();
@@ -1214,35 +2786,112 @@ colorPicker.addEventListener('change', () => {
 });
 
 // ── Board Presets ─────────────────────────────────────────────────
+// Library filters, matched the same way as GET /api/presets: every search
+// word must appear in the name, folder or a tag. folder '*' shows them all.
+const presetFilter = { q: '', tag: '', folder: '*', sort: 'date', order: 'desc' };
+const presetSearch    = document.getElementById('preset-search');
+const presetFolderSel = document.getElementById('preset-folder');
+const presetSortSel   = document.getElementById('preset-sort');
+const presetTagBtn    = document.getElementById('preset-tag-filter');
+
+function visiblePresets() {
+  const words = presetFilter.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const dir = presetFilter.order === 'asc' ? 1 : -1;
+  return _boardPresets
+    .filter(p => {
+      if (presetFilter.tag && !p.tags.includes(presetFilter.tag)) return false;
+      if (presetFilter.folder !== '*' && p.folder !== presetFilter.folder) return false;
+      const text = [p.name, p.folder, ...p.tags].join(' ').toLowerCase();
+      return words.every(w => text.includes(w));
+    })
+    .sort((a, b) => dir * (presetFilter.sort === 'name'
+      ? a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true })
+      : a.timestamp - b.timestamp));
+}
+
+// Folder choices come from the presets themselves; a folder that empties
+// out drops from the list, and the filter falls back to all folders
+function renderPresetFilters() {
+  const folders = [...new Set(_boardPresets.map(p => p.folder).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  const hasUnfiled = _boardPresets.some(p => !p.folder);
+  if (presetFilter.folder !== '*' && !(presetFilter.folder ? folders.includes(presetFilter.folder) : hasUnfiled)) {
+    presetFilter.folder = '*';
+  }
+  presetFolderSel.replaceChildren(
+    new Option('All folders', '*'),
+    ...folders.map(f => new Option(`📁 ${f}`, f)),
+    ...(folders.length && hasUnfiled ? [new Option('Unfiled', '')] : [])
+  );
+  presetFolderSel.value = presetFilter.folder;
+  document.getElementById('preset-folder-names').replaceChildren(...folders.map(f => new Option('', f)));
+  presetTagBtn.textContent = `✕ #${presetFilter.tag}`;
+  presetTagBtn.classList.toggle('hidden', !presetFilter.tag);
+}
+
+presetSearch.addEventListener('input', () => {
+  presetFilter.q = presetSearch.value;
+  renderPresetsList();
+});
+presetFolderSel.addEventListener('change', () => {
+  presetFilter.folder = presetFolderSel.value;
+  renderPresetsList();
+});
+presetSortSel.addEventListener('change', () => {
+  [presetFilter.sort, presetFilter.order] = presetSortSel.value.split('-');
+  renderPresetsList();
+});
+presetTagBtn.addEventListener('click', () => {
+  presetFilter.tag = '';
+  renderPresetsList();
+});
+
 function renderPresetsList() {
   const list = document.getElementById('presets-list');
+  renderPresetFilters();
   if (!_boardPresets.length) {
     list.innerHTML = '<li class="no-presets">No presets saved</li>';
     return;
   }
+  const shown = visiblePresets();
+  if (!shown.length) {
+    list.innerHTML = '<li class="no-presets">No presets match</li>';
+    return;
+  }
   list.innerHTML = '';
-  _boardPresets.forEach(preset => {
+  shown.forEach(preset => {
     const li = document.createElement('li');
     li.className = 'preset-item';
     const time = new Date(preset.timestamp).toLocaleString();
     const parts = [];
     if (preset.strokeCount) parts.push(`${preset.strokeCount} stroke${preset.strokeCount !== 1 ? 's' : ''}`);
     if (preset.arrowCount) parts.push(`${preset.arrowCount} arrow${preset.arrowCount !== 1 ? 's' : ''}`);
+    if (preset.zoneCount) parts.push(`${preset.zoneCount} zone${preset.zoneCount !== 1 ? 's' : ''}`);
+    if (preset.textCount) parts.push(`${preset.textCount} text${preset.textCount !== 1 ? 's' : ''}`);
+    if (preset.playerCount) parts.push(`${preset.playerCount} player${preset.playerCount !== 1 ? 's' : ''}`);
     if (preset.tokenCount) parts.push(`${preset.tokenCount} token${preset.tokenCount !== 1 ? 's' : ''}`);
+    if (preset.frameCount > 1) parts.push(`${preset.frameCount} frames`);
     const summary = parts.length ? parts.join(', ') : 'empty';
+    const folder = preset.folder ? `<span class="preset-folder-badge">📁 ${escHtml(preset.folder)}</span>` : '';
+    const tags = preset.tags.map(t => `<button class="preset-tag" data-tag="${escHtml(t)}" title="Show presets tagged ${escHtml(t)}">#${escHtml(t)}</button>`).join('');
     li.innerHTML = `
+      ${preset.thumbnail ? `<img class="preset-thumb" src="${preset.thumbnail}" alt="" />` : '<div class="preset-thumb"></div>'}
       <div class="preset-info" data-id="${preset.id}">
         <div class="preset-name">${escHtml(preset.name)}</div>
         <div class="preset-time">${time} · ${summary}</div>
+        ${folder || tags ? `<div class="preset-tags">${folder}${tags}</div>` : ''}
       </div>
       <div class="preset-actions">
-        <button class="preset-load" data-id="${preset.id}" title="Load — click twice to confirm">↩</button>
-        <button class="preset-edit" data-id="${preset.id}" title="Rename">✏️</button>
-        <button class="preset-delete" data-id="${preset.id}" title="Delete">×</button>
+        <button class="preset-load" data-id="${preset.id}" data-perm="destroy" title="Load — click twice to confirm">↩</button>
+        <button class="preset-edit" data-id="${preset.id}" data-perm="save" title="Rename">✏️</button>
+        <button class="preset-meta" data-id="${preset.id}" data-perm="save" title="Folder and tags">🏷️</button>
+        <button class="preset-print" data-id="${preset.id}" data-perm="save" title="Download as PDF">🖨️</button>
+        <button class="preset-delete" data-id="${preset.id}" data-perm="destroy" title="Delete">×</button>
       </div>
     `;
     list.appendChild(li);
   });
+  applyPermissions(list);
 
   // Load handlers — two-click confirmation (no blocking confirm())
   list.querySelectorAll('.preset-load').forEach(btn => {
@@ -1270,6 +2919,13 @@ function renderPresetsList() {
     });
   });
 
+  list.querySelectorAll('.preset-print').forEach(btn => {
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      socket?.emit('export-print', { source: 'preset', presetId: +btn.dataset.id, format: 'pdf' });
+    });
+  });
+
   // Edit handlers — inline rename
   list.querySelectorAll('.preset-edit').forEach(btn => {
     btn.addEventListener('click', e => {
@@ -1304,6 +2960,49 @@ function renderPresetsList() {
     });
   });
 
+  list.querySelectorAll('.preset-tag').forEach(btn => {
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      presetFilter.tag = btn.dataset.tag;
+      renderPresetsList();
+    });
+  });
+
+  // Folder and tags — inline form, each field saved when it changes
+  list.querySelectorAll('.preset-meta').forEach(btn => {
+    btn.addEventListener('click', e => {
+      e.stopPropagation();
+      const preset = _boardPresets.find(p => p.id === +btn.dataset.id);
+      if (!preset) return;
+      const info = btn.closest('.preset-item').querySelector('.preset-info');
+      const open = info.querySelector('.preset-meta-form');
+      if (open) { open.remove(); return; }
+      const form = document.createElement('div');
+      form.className = 'preset-meta-form';
+      form.innerHTML = `
+        <input class="preset-meta-folder" list="preset-folder-names" maxlength="60" placeholder="Folder" />
+        <input class="preset-meta-tags" maxlength="200" placeholder="Tags, comma separated" />
+      `;
+      const folderInput = form.querySelector('.preset-meta-folder');
+      const tagsInput = form.querySelector('.preset-meta-tags');
+      folderInput.value = preset.folder;
+      tagsInput.value = preset.tags.join(', ');
+      folderInput.addEventListener('change', () => {
+        socket?.emit('update-preset', { presetId: preset.id, folder: folderInput.value });
+      });
+      tagsInput.addEventListener('change', () => {
+        socket?.emit('update-preset', { presetId: preset.id, tags: tagsInput.value.split(',') });
+      });
+      form.addEventListener('keydown', ev => {
+        if (ev.key === 'Enter') { ev.preventDefault(); ev.target.blur(); }
+        if (ev.key === 'Escape') form.remove();
+      });
+      form.addEventListener('click', ev => ev.stopPropagation());
+      info.appendChild(form);
+      folderInput.focus();
+    });
+  });
+
   // Delete handlers
   list.querySelectorAll('.preset-delete').forEach(btn => {
     btn.addEventListener('click', e => {
@@ -1318,17 +3017,19 @@ function renderPresetsList() {
 document.getElementById('save-preset-btn').addEventListener('click', () => {
   const name = prompt('Name this preset:', `Board ${new Date().toLocaleTimeString()}`);
   if (name && name.trim()) {
-    socket?.emit('save-preset', { name: name.trim() });
+    // Saving while one folder is shown files the new preset there
+    const folder = presetFilter.folder === '*' ? '' : presetFilter.folder;
+    socket?.emit('save-preset', { name: name.trim(), folder });
   }
 });
 
 // ── Export / Import ─────────────────────────────────────────────────
 document.getElementById('export-board-btn').addEventListener('click', () => {
-  const data = {
-    strokes: allStrokes,
-    arrows: allArrows,
-    tokens: Object.values(tokens)
-  };
+  // The server holds every frame, so ask it for the full sequence
+  socket?.emit('export-board');
+});
+
+function downloadBoardFile(data) {
   const json = JSON.stringify(data, null, 2);
   const blob = new Blob([json], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
@@ -1343,8 +3044,31 @@ document.getElementById('export-board-btn').addEventListener('click', () => {
   
   toast('⬇️ Board exported');
   closeModal(document.getElementById('presets-modal'));
+}
+
+// Vector copies for printing, drawn by the server
+document.getElementById('print-svg-btn').addEventListener('click', () => {
+  socket?.emit('export-print', { source: 'frame', format: 'svg' });
+});
+document.getElementById('print-pdf-btn').addEventListener('click', () => {
+  socket?.emit('export-print', { source: 'board', format: 'pdf' });
 });
 
+const PRINT_TYPES = { svg: 'image/svg+xml', pdf: 'application/pdf' };
+
+function downloadPrintFile({ name, format, data, error }) {
+  if (error) { toast(`❌ ${error}`); return; }
+  const url = URL.createObjectURL(new Blob([data], { type: PRINT_TYPES[format] }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `tac-board-${name.replace(/[^\w-]+/g, '-')}.${format}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  toast(`🖨️ ${format.toUpperCase()} downloaded`);
+}
+
 const importFileInput = document.getElementById('import-file');
 document.getElementById('import-board-btn').addEventListener('click', () => {
   importFileInput.click();
@@ -1358,14 +3082,21 @@ importFileInput.addEventListener('change', (e) => {
   reader.onload = (ev) => {
     try {
       const data = JSON.parse(ev.target.result);
-      if (!Array.isArray(data.strokes) || !Array.isArray(data.arrows) || !Array.isArray(data.tokens)) {
+      const isBoard = b => b && Array.isArray(b.strokes) && Array.isArray(b.arrows) && Array.isArray(b.tokens) &&
+        (b.zones === undefined || Array.isArray(b.zones)) && (b.texts === undefined || Array.isArray(b.texts));
+      if (!isBoard(data) || (data.frames !== undefined && !(Array.isArray(data.frames) && data.frames.every(isBoard)))) {
         throw new Error('Invalid file format');
       }
       
       socket?.emit('import-board', {
         strokes: data.strokes,
         arrows: data.arrows,
-        tokens: data.tokens
+        zones: data.zones,
+        texts: data.texts,
+        tokens: data.tokens,
+        frames: data.frames,
+        pitch: data.pitch,
+        roster: Array.isArray(data.roster) ? data.roster : undefined
       });
       
       toast('⬆️ Board imported successfully');
@@ -1379,6 +3110,21 @@ importFileInput.addEventListener('change', (e) => {
   e.target.value = ''; // Reset input
 });
 
+// Drops this user's strokes, arrows, zones and texts; returns how many went
+function removeOwnShapes() {
+  let removed = 0;
+  Object.entries(SHAPE_LISTS).forEach(([kind, list]) => {
+    const ids = list.filter(s => s.socketId === myId).map(s => s.id).filter(Boolean);
+    if (!ids.length) return;
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (ids.includes(list[i].id)) list.splice(i, 1);
+    }
+    socket?.emit(SHAPE_EVENTS[kind].remove, { ids });
+    removed += ids.length;
+  });
+  return removed;
+}
+
 function updateClearBtnLabels() {
   const linesBtn = document.getElementById('clear-drawings-btn');
   const allBtn   = document.getElementById('clear-board-btn');
@@ -1392,22 +3138,8 @@ document.getElementById('clear-drawings-btn').addEventListener('click', () => {
   const idleLabel = ownEraseOnly ? '🗑️ Clear My Lines' : '🗑️ Clear Lines';
   armConfirm('clear-drawings-btn', idleLabel, 'Sure? Click again', () => {
     if (ownEraseOnly) {
-      // Remove only my own strokes and arrows
-      const myStrokeIds = allStrokes.filter(s => s.socketId === myId).map(s => s.id).filter(Boolean);
-      const myArrowIds  = allArrows.filter(a => a.socketId === myId).map(a => a.id).filter(Boolean);
-      if (myStrokeIds.length) {
-        for (let i = allStrokes.length - 1; i >= 0; i--) {
-          if (myStrokeIds.includes(allStrokes[i].id)) allStrokes.splice(i, 1);
-        }
-        socket?.emit('stroke-remove', { ids: myStrokeIds });
-      }
-      if (myArrowIds.length) {
-        for (let i = allArrows.length - 1; i >= 0; i--) {
-          if (myArrowIds.includes(allArrows[i].id)) allArrows.splice(i, 1);
-        }
-        socket?.emit('arrow-remove', { ids: myArrowIds });
-      }
-      if (myStrokeIds.length || myArrowIds.length) redrawStrokes();
+      // Remove only my own drawings
+      if (removeOwnShapes()) redrawStrokes();
     } else {
       socket?.emit('clear-drawings');
     }
@@ -1417,22 +3149,8 @@ document.getElementById('clear-board-btn').addEventListener('click', () => {
   const idleLabel = ownEraseOnly ? '💥 Clear My Stuff' : '💥 Clear All';
   armConfirm('clear-board-btn', idleLabel, '⚠️ Click to confirm', () => {
     if (ownEraseOnly) {
-      // Remove only my own strokes, arrows, and tokens
-      const myStrokeIds = allStrokes.filter(s => s.socketId === myId).map(s => s.id).filter(Boolean);
-      const myArrowIds  = allArrows.filter(a => a.socketId === myId).map(a => a.id).filter(Boolean);
-      if (myStrokeIds.length) {
-        for (let i = allStrokes.length - 1; i >= 0; i--) {
-          if (myStrokeIds.includes(allStrokes[i].id)) allStrokes.splice(i, 1);
-        }
-        socket?.emit('stroke-remove', { ids: myStrokeIds });
-      }
-      if (myArrowIds.length) {
-        for (let i = allArrows.length - 1; i >= 0; i--) {
-          if (myArrowIds.includes(allArrows[i].id)) allArrows.splice(i, 1);
-        }
-        socket?.emit('arrow-remove', { ids: myArrowIds });
-      }
-      if (myStrokeIds.length || myArrowIds.length) redrawStrokes();
+      // Remove only my own drawings and tokens
+      if (removeOwnShapes()) redrawStrokes();
       // Remove only my own tokens (those I placed, tracked by createdBy)
       Object.values(tokens)
         .filter(t => t.createdBy === myId)
@@ -1472,11 +3190,21 @@ function armConfirm(btnId, labelIdle, labelArmed, action) {
 let _windowJustFocused = false;
 window.addEventListener('focus', () => { _windowJustFocused = true; setTimeout(() => { _windowJustFocused = false; }, 300); });
 window.addEventListener('keydown', e => {
-  if (document.activeElement === usernameInput) return;
+  if (e.target.closest?.('input, textarea, select')) return; // typing, not shortcuts
+  if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.shiftKey && (e.key === 'z' || e.key === 'Z')))) {
+    e.preventDefault(); redoLast(); return;
+  }
   if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
     if (_windowJustFocused) return; // ignore stray Ctrl+Z from Ctrl+Tab
     e.preventDefault(); undoLast(); return;
   }
+  if ((e.key === 'Delete' || e.key === 'Backspace') && (selectedTokens.size || selectedShape)) {
+    e.preventDefault();
+    if (selectedShape) deleteSelectedShape(); else deleteSelection();
+    return;
+  }
+  if (e.key === 'Escape') { clearSelection(); deselectShape(); cancelPolyDraft(); endPass(); }
+  if (e.key === 'Enter' && polyDraft) { finishPolyDraft(); return; }
   if (e.key === 'd' || e.key === 'D') setTool('draw');
   if (e.key === 'a' || e.key === 'A') setTool('arrow');
   if (e.key === 'e' || e.key === 'E') setTool('erase');
@@ -1484,6 +3212,12 @@ window.addEventListener('keydown', e => {
   if (e.key === 's' || e.key === 'S') setTool('select');
   if (e.key === 'l' || e.key === 'L') setTool('line');
   if (e.key === 'w' || e.key === 'W') setTool('laser');
+  if (e.key === 'r' || e.key === 'R') setTool('rect');
+  if (e.key === 'o' || e.key === 'O') setTool('ellipse');
+  if (e.key === 'g' || e.key === 'G') setTool('polygon');
+  if (e.key === 't' || e.key === 'T') setTool('text');
+  if (e.key === '[' && can('edit')) socket?.emit('frame-prev');
+  if (e.key === ']' && can('edit')) socket?.emit('frame-next');
   
   if (e.key >= '1' && e.key <= '8') {
     const presets = Array.from(document.querySelectorAll('.color-preset'));
@@ -1496,7 +3230,14 @@ window.addEventListener('keydown', e => {
 });
 
 // ── Ping Renderer ───────────────────────────────────────────
+// Pings still showing, kept so screenshots and video capture can draw them
+const activePings = [];
+
 function renderPing(lx, ly, color) {
+  const ping = { x: lx, y: ly, color, timestamp: Date.now() };
+  activePings.push(ping);
+  setTimeout(() => activePings.splice(activePings.indexOf(ping), 1), PING_MS);
+
   const el = document.createElement('div');
   el.className = 'ping-blip';
   el.style.borderColor = color;
@@ -1523,8 +3264,9 @@ let _replayRafId    = null;
 let isReplayPaused  = false;
 let isSeeking       = false;
 let _selectedRecId  = null;
+let _replayRate     = 1;      // playback speed, shared by everyone in the room
 
-// Video recording (MP4 capture during replay)
+// Video recording (canvas capture for the animation export)
 let _videoRecorder     = null;
 let _videoChunks       = [];
 let _capturedVideoBlob = null;
@@ -1533,68 +3275,271 @@ let _isCapturingVideo  = false;
 let _captureCanvas     = null;
 let _captureStream     = null;
 
-function drawCompositeFrame(ctx, w, h) {
-  ctx.clearRect(0, 0, w, h);
-  ctx.drawImage(pitchCanvas,   0, 0, w, h);
-  ctx.drawImage(strokesCanvas, 0, 0, w, h);
-  ctx.drawImage(liveCanvas,    0, 0, w, h);
-  // Draw tokens manually (they live in the DOM, not a canvas)
-  Object.values(tokens).forEach(t => drawTokenFrame(ctx, t, w, h));
+// The board as everyone sees it, built from state rather than copied off the
+// screen layers, so it leaves out local-only things like selection handles
+function boardState() {
+  const shown = Object.values(tokens).map(t => (ballGlides[t.id] ? { ...t, ...ballGlides[t.id] } : t));
+  return {
+    pitch: pitchTemplate, zones: allZones, trails, strokes: allStrokes, arrows: allArrows,
+    texts: allTexts, tokens: shown, lasers: laserStrokes, pings: activePings,
+    live: Object.values(liveStrokes), now: Date.now()
+  };
 }
 
-function drawTokenFrame(ctx, t, w, h) {
-  const sx = w / PITCH_W;
-  const sy = h / PITCH_H;
-  const cx = t.x * sx;
-  const cy = t.y * sy;
-  const r  = 18 * (w / pitchCanvas.width); // match 36px CSS token radius
-
-  ctx.save();
-  if (t.shape === 'icon' || t.shape === 'ball') {
-    const iconName = t.shape === 'ball' ? 'ball' : t.label;
-    const img = iconImages[iconName];
-    if (img) {
-      ctx.shadowColor = 'rgba(0,0,0,0.5)';
-      ctx.shadowBlur = 4;
-      ctx.shadowOffsetY = 2;
-      ctx.drawImage(img, cx - r, cy - r, r*2, r*2);
-    }
-  } else if (t.shape === 'emoji') {
-    ctx.font = `${r * 1.6}px serif`;
-    ctx.textAlign    = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(t.label, cx, cy);
-  } else {
-    ctx.beginPath();
-    ctx.arc(cx, cy, r, 0, Math.PI * 2);
-    ctx.fillStyle = t.color;
-    ctx.fill();
-    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-    ctx.lineWidth   = Math.max(1, r * 0.1);
-    ctx.stroke();
-    ctx.font         = `bold ${Math.max(8, r * 0.8)}px sans-serif`;
-    ctx.textAlign    = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillStyle    = (t.color === '#ffffff' || t.color === '#fff') ? '#222' : '#fff';
-
-    ctx.shadowColor  = 'rgba(0,0,0,0.7)';
-    ctx.shadowBlur   = 2;
-    ctx.fillText(t.label || '', cx, cy);
-    ctx.shadowBlur   = 0;
+// Screenshots and video capture both draw through here
+let _exportLayer = null;
+function renderBoardTo(canvas) {
+  if (!_exportLayer) _exportLayer = document.createElement('canvas');
+  if (_exportLayer.width !== canvas.width || _exportLayer.height !== canvas.height) {
+    _exportLayer.width  = canvas.width;
+    _exportLayer.height = canvas.height;
   }
-  ctx.restore();
+  const ctx = canvas.getContext('2d');
+  renderBoard(ctx, boardState(), { ...tokenRenderOpts(ctx), layer: _exportLayer });
+}
+
+function restoreShapes(list, items) {
+  [...items].sort((a, b) => a.index - b.index).forEach(({ index, item }) => {
+    if (!list.some(s => s.id === item.id)) list.splice(Math.min(index, list.length), 0, item);
+  });
 }
 
-function applyBoardSnapshot({ strokes, arrows, tokens: tokenList }) {
-  allStrokes.length = 0; allArrows.length = 0;
+function applyBoardSnapshot({ strokes, arrows, zones, texts, tokens: tokenList, frame, pitch }) {
+  cancelAnimationFrame(_frameAnimId);
+  updateFrameBar(frame);
+  if (pitch) setPitchTemplate(pitch);
+  trails = {};
+  allStrokes.length = 0; allArrows.length = 0; allZones.length = 0; allTexts.length = 0;
   strokes.forEach(s => allStrokes.push(s));
   arrows.forEach(a  => allArrows.push(a));
+  (zones || []).forEach(z => allZones.push(z));
+  (texts || []).forEach(t => allTexts.push(t));
   redrawStrokes();
+  clearSelection();
   tokenLayer.innerHTML = '';
   Object.keys(tokens).forEach(k => delete tokens[k]);
   tokenList.forEach(t => { tokens[t.id] = t; tokenLayer.appendChild(createTokenEl(t)); });
 }
 
+// ── Frames (phases) ─────────────────────────────────────────
+const FRAME_ANIM_MS = 700;
+let frameIndex   = 0;
+let frameCount   = 1;
+let _frameAnimId = null;
+
+function updateFrameBar(frame) {
+  if (!frame) return;
+  frameIndex = frame.index;
+  frameCount = frame.count;
+  document.getElementById('frame-label').textContent = `Frame ${frameIndex + 1}/${frameCount}`;
+  document.getElementById('frame-prev-btn').disabled   = frameIndex === 0;
+  document.getElementById('frame-next-btn').disabled   = frameIndex >= frameCount - 1;
+  document.getElementById('frame-delete-btn').disabled = frameCount < 2;
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Show another frame; tokens present in both frames (same id) glide to their new spot
+function applyFrame({ index, count, strokes, arrows, zones, texts, tokens: tokenList }) {
+  cancelAnimationFrame(_frameAnimId);
+  updateFrameBar({ index, count });
+  trails = {};
+
+  allStrokes.length = 0; allArrows.length = 0; allZones.length = 0; allTexts.length = 0;
+  strokes.forEach(s => allStrokes.push(s));
+  arrows.forEach(a  => allArrows.push(a));
+  (zones || []).forEach(z => allZones.push(z));
+  (texts || []).forEach(t => allTexts.push(t));
+  redrawStrokes();
+
+  const nextIds = new Set(tokenList.map(t => t.id));
+  Object.keys(tokens).forEach(id => {
+    if (!nextIds.has(id)) removeTokenEl(id);
+  });
+
+  const moves = [];
+  tokenList.forEach(t => {
+    const cur = tokens[t.id];
+    const el  = document.getElementById('token-' + t.id);
+    if (cur && el && cur.shape === t.shape && cur.label === t.label && cur.color === t.color) {
+      moves.push({ token: cur, el, fromX: cur.x, fromY: cur.y, toX: t.x, toY: t.y });
+    } else {
+      el?.remove();
+      tokens[t.id] = t;
+      tokenLayer.appendChild(createTokenEl(t));
+    }
+  });
+  if (!moves.length) return;
+
+  const start = performance.now();
+  const step = now => {
+    const k = easeInOutCubic(Math.min(1, (now - start) / FRAME_ANIM_MS));
+    moves.forEach(m => {
+      m.token.x = m.fromX + (m.toX - m.fromX) * k;
+      m.token.y = m.fromY + (m.toY - m.fromY) * k;
+      positionToken(m.el, m.token.x, m.token.y);
+    });
+    if (k < 1) _frameAnimId = requestAnimationFrame(step);
+  };
+  _frameAnimId = requestAnimationFrame(step);
+}
+
+document.getElementById('frame-prev-btn').addEventListener('click', () => socket?.emit('frame-prev'));
+document.getElementById('frame-next-btn').addEventListener('click', () => socket?.emit('frame-next'));
+document.getElementById('frame-add-btn').addEventListener('click',  () => socket?.emit('frame-add'));
+document.getElementById('frame-delete-btn').addEventListener('click', () => {
+  armConfirm('frame-delete-btn', '🗑️', '✓?', () => socket?.emit('frame-delete'));
+});
+
+// ── Keyframe animation ────────────────────────────────────────
+// Tokens keyframed on one shared timeline glide between their keys. Scrubbing
+// moves the real tokens (server side), so "◆ Key" records whatever pose the
+// board is in. Playback runs here from the keyframes sent with 'anim-play',
+// which keeps it smooth for everyone and in replays; the server then settles
+// the final pose with 'anim-stopped'.
+const ANIM_STEP = 100;
+const animBar      = document.getElementById('anim-bar');
+const animSlider   = document.getElementById('anim-slider');
+const animMarkers  = document.getElementById('anim-markers');
+const animPlayBtn  = document.getElementById('anim-play-btn');
+const animDuration = document.getElementById('anim-duration');
+const animEasing   = document.getElementById('anim-easing');
+let animation = { duration: 4000, easing: 'ease', tracks: {} };
+let animTime  = 0;
+let animPlay  = null; // { from, start, animation, rafId } while playing
+let _lastAnimSeek = 0;
+let _animVideo = false; // capturing the current playback to video
+
+// Same as the server's animPose: [{ id, x, y }] at time `t`
+function animPose(anim, t) {
+  return Object.entries(anim.tracks).filter(([, keys]) => keys.length).map(([id, keys]) => {
+    const next = keys.findIndex(k => k.t > t);
+    if (next === 0) return { id, x: keys[0].x, y: keys[0].y };
+    if (next === -1) return { id, x: keys[keys.length - 1].x, y: keys[keys.length - 1].y };
+    const a = keys[next - 1], b = keys[next];
+    const u = (t - a.t) / (b.t - a.t);
+    const e = anim.easing === 'linear' ? u : easeInOutCubic(u);
+    return { id, x: a.x + (b.x - a.x) * e, y: a.y + (b.y - a.y) * e };
+  });
+}
+
+function applyPose(moves) {
+  const moving = new Set(moves.map(m => m.id));
+  moves.forEach(({ id, x, y }) => {
+    const t = tokens[id];
+    if (!t) return;
+    carryBalls(t, x - t.x, y - t.y, moving);
+    t.x = x; t.y = y;
+    const el = document.getElementById('token-' + id);
+    if (el) positionToken(el, x, y);
+  });
+}
+
+// Selected tokens, or every token when nothing is selected
+function animTargets() {
+  return selectedTokens.size ? [...selectedTokens] : Object.keys(tokens);
+}
+
+function setAnimation(anim) {
+  if (anim) animation = anim;
+  animSlider.max = animation.duration;
+  animDuration.value = animation.duration / 1000;
+  animEasing.value = animation.easing;
+  renderAnimMarkers();
+  setAnimTime(Math.min(animTime, animation.duration));
+}
+
+function setAnimTime(t) {
+  animTime = t;
+  animSlider.value = t;
+  document.getElementById('anim-time').textContent = (t / 1000).toFixed(1) + 's';
+}
+
+// A diamond for every keyframe time of the tokens "◆ Key" would act on
+function renderAnimMarkers() {
+  const ids = new Set(animTargets());
+  const times = new Set();
+  Object.entries(animation.tracks).forEach(([id, keys]) => {
+    if (ids.has(id)) keys.forEach(k => times.add(k.t));
+  });
+  animMarkers.innerHTML = '';
+  times.forEach(t => {
+    const m = document.createElement('span');
+    m.className = 'anim-marker';
+    m.style.left = (t / animation.duration * 100) + '%';
+    m.title = (t / 1000).toFixed(1) + 's';
+    animMarkers.appendChild(m);
+  });
+}
+
+function startAnimPlayback({ from, animation: anim }) {
+  stopAnimPlayback();
+  animPlay = { from, start: performance.now(), animation: anim };
+  animPlayBtn.textContent = '⏸';
+  let t = from;
+  let last = animPlay.start;
+  const step = now => {
+    // Inside a replay the animation keeps to the replay's speed and pauses with it
+    const rate = isReplaying ? (isReplayPaused ? 0 : _replayRate) : 1;
+    t = Math.min(anim.duration, t + Math.max(0, now - last) * rate);
+    last = now;
+    applyPose(animPose(anim, t));
+    setAnimTime(t);
+    if (t < anim.duration) animPlay.rafId = requestAnimationFrame(step);
+  };
+  animPlay.rafId = requestAnimationFrame(step);
+}
+
+function stopAnimPlayback() {
+  if (!animPlay) return;
+  cancelAnimationFrame(animPlay.rafId);
+  animPlay = null;
+  animPlayBtn.textContent = '▶';
+}
+
+// Plays from the start for everyone while this browser records the board
+function exportAnimationVideo() {
+  if (animPlay || _isCapturingVideo || isReplaying) {
+    toast('⚠️ Wait for the current playback to finish');
+    return;
+  }
+  _animVideo = true;
+  _capturedVideoBlob = null;
+  socket?.emit('anim-seek', { t: 0 });
+  socket?.emit('anim-play');
+}
+
+document.getElementById('anim-toggle-btn').addEventListener('click', () => {
+  animBar.classList.toggle('hidden');
+  renderAnimMarkers();
+});
+animPlayBtn.addEventListener('click', () => socket?.emit(animPlay ? 'anim-pause' : 'anim-play'));
+animSlider.addEventListener('input', () => {
+  setAnimTime(+animSlider.value);
+  const now = Date.now();
+  if (now - _lastAnimSeek > 33) { // ~30fps, like token drags
+    socket?.emit('anim-seek', { t: animTime });
+    _lastAnimSeek = now;
+  }
+});
+animSlider.addEventListener('change', () => socket?.emit('anim-seek', { t: +animSlider.value }));
+document.getElementById('anim-key-btn').addEventListener('click', () => {
+  socket?.emit('anim-key', { ids: animTargets(), t: Math.round(animTime / ANIM_STEP) * ANIM_STEP });
+});
+document.getElementById('anim-unkey-btn').addEventListener('click', () => {
+  socket?.emit('anim-key-remove', { ids: animTargets(), t: animTime });
+});
+animDuration.addEventListener('change', () => {
+  socket?.emit('anim-settings', { duration: Math.round(+animDuration.value * 1000) });
+});
+animEasing.addEventListener('change', () => socket?.emit('anim-settings', { easing: animEasing.value }));
+document.getElementById('anim-video-btn').addEventListener('click', exportAnimationVideo);
+document.getElementById('anim-clear-btn').addEventListener('click', () => {
+  armConfirm('anim-clear-btn', '🗑️', '✓?', () => socket?.emit('anim-clear'));
+});
+
 function endReplay() {
   isReplaying = false;
   liveCanvas.style.pointerEvents = '';
@@ -1602,6 +3547,8 @@ function endReplay() {
   document.getElementById('replay-bar').classList.add('hidden');
   document.getElementById('replay-slider').value = 0;
   document.getElementById('replay-time').textContent    = '';
+  renderReplayMarkers([]);
+  stopReplayAudio();
   updateReplayButton();
   toast('⏹ Replay ended — board restored');
   
@@ -1659,46 +3606,8 @@ function startVideoCapture(recId) {
 function captureFrame() {
   if (!_isCapturingVideo || !_captureCanvas) return;
   
-  const ctx = _captureCanvas.getContext('2d');
-  const w = _captureCanvas.width;
-  const h = _captureCanvas.height;
-  
-  // Draw all canvas layers onto the capture canvas
-  ctx.clearRect(0, 0, w, h);
-  ctx.drawImage(pitchCanvas, 0, 0, w, h);
-  ctx.drawImage(strokesCanvas, 0, 0, w, h);
-  ctx.drawImage(liveCanvas, 0, 0, w, h);
-  
-  // Draw tokens (they're DOM elements, need to draw them manually)
-  Object.values(tokens).forEach(token => {
-    const el = document.getElementById('token-' + token.id);
-    if (!el) return;
-    
-    const logicalX = token.x;
-    const logicalY = token.y;
-    const x = (logicalX / PITCH_W) * w;
-    const y = (logicalY / PITCH_H) * h;
-    const radius = 18;
-    
-    // Draw token circle
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(x, y, radius, 0, Math.PI * 2);
-    ctx.fillStyle = token.color;
-    ctx.fill();
-    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    
-    // Draw token label
-    ctx.fillStyle = token.color === '#ffffff' ? '#333' : '#fff';
-    ctx.font = 'bold 12px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(token.label, x, y);
-    ctx.restore();
-  });
-  
+  renderBoardTo(_captureCanvas);
+
   // Continue capturing
   requestAnimationFrame(captureFrame);
 }
@@ -1715,58 +3624,165 @@ function stopVideoCapture() {
   }
 }
 
-function downloadRecordingAsMP4(recId) {
-  // Check if we already have a captured video for this recording
-  if (_capturedVideoBlob && _capturingForRecId === recId) {
-    // Already captured, download immediately
-    downloadVideoBlob(recId);
-    return;
+// Recordings are rendered on the server, so downloading one leaves the room
+// and its board alone
+async function downloadRecordingVideo(recId) {
+  const format = document.getElementById('rec-video-format').value;
+  const params = new URLSearchParams({
+    format,
+    width: document.getElementById('rec-video-width').value,
+    fps:   document.getElementById('rec-video-fps').value
+  });
+  toast('📽️ Rendering video...');
+  try {
+    params.set('token', await recordingToken(recId, 'video'));
+    const res = await fetch(`/api/recordings/${recId}/video?${params}`);
+    if (!res.ok) {
+      const { error } = await res.json().catch(() => ({}));
+      toast(`⚠️ ${error || 'Video rendering failed'}`);
+      return;
+    }
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tac-board-recording-${recId}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    toast('✅ Video downloaded');
+  } catch (err) {
+    console.error('[!] Video download failed:', err);
+    toast('❌ Video download failed');
   }
-  
-  // Need to replay and capture
-  if (_recActive || isReplaying) {
-    toast('⚠️ Wait for current recording or replay to finish');
+}
+
+// A recording's audio and video go over HTTP; the server hands out a
+// one-off token for each request to sockets in the recording's room
+const _tokenRequests = {};  // `${recId}:${purpose}` → { resolve, reject }
+
+function recordingToken(recId, purpose) {
+  return new Promise((resolve, reject) => {
+    if (!socket) return reject(new Error('Not connected'));
+    _tokenRequests[`${recId}:${purpose}`] = { resolve, reject };
+    socket.emit('recording-token', { recId, purpose });
+  });
+}
+
+function receiveRecordingToken({ recId, purpose, token, error }) {
+  const key = `${recId}:${purpose}`;
+  const request = _tokenRequests[key];
+  if (!request) return;
+  delete _tokenRequests[key];
+  if (token) request.resolve(token);
+  else request.reject(new Error(error || 'Not allowed'));
+}
+
+// ── Voice-over ───────────────────────────────────────────────
+// Whoever starts a recording with "🎙 Voice-over" ticked records their
+// microphone alongside it. The audio is sent up when the recording stops and
+// follows the replay's position, pauses, seeks and speed for everyone.
+let _voiceStream   = null;  // microphone, asked for before recording-start
+let _voiceRecorder = null;
+let _voiceChunks   = [];
+let _voiceOffset   = 0;     // ms into the recording at which the audio begins
+let _replayAudio   = null;  // { el, offset, url, ctx, dest } while replaying a voice-over
+
+async function startRecordingWithVoice() {
+  try {
+    _voiceStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (err) {
+    console.error('[!] Microphone unavailable:', err);
+    toast('⚠️ No microphone — recording without voice-over');
+    _voiceStream = null;
+  }
+  socket?.emit('recording-start');
+}
+
+// Turns the microphone off again when the recording it was opened for never starts
+function releaseVoiceStream() {
+  _voiceStream?.getTracks().forEach(track => track.stop());
+  _voiceStream = null;
+}
+
+function startVoiceCapture() {
+  if (!_voiceStream) return;
+  const startedAt = performance.now();
+  try {
+    _voiceRecorder = new MediaRecorder(_voiceStream);
+  } catch (err) {
+    console.error('[!] Voice-over capture failed:', err);
+    toast('⚠️ Voice-over not supported in this browser');
+    releaseVoiceStream();
     return;
   }
-  
-  toast('📽️ Starting replay to capture video...');
-  
-  // Reset any previous capture
-  _capturedVideoBlob = null;
-  _capturingForRecId = recId;
-  _selectedRecId = recId;
-  updateReplayButton();
-  
-  // Start capture when replay begins
-  socket.once('replay-started', (data) => {
-    startVideoCapture(recId);
-  });
-  
-  // Download when replay ends
-  socket.once('replay-done', () => {
-    setTimeout(() => {
-      stopVideoCapture();
-      // Give recorder time to finalize
-      setTimeout(() => {
-        downloadVideoBlob(recId);
-      }, 300);
-    }, 200);
-  });
-  
-  socket.once('replay-stopped', () => {
-    setTimeout(() => {
-      stopVideoCapture();
-      setTimeout(() => {
-        downloadVideoBlob(recId);
-      }, 300);
-    }, 200);
-  });
-  
-  // Trigger the replay
-  socket.emit('replay-start', { recId });
+  _voiceChunks = [];
+  _voiceRecorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) _voiceChunks.push(event.data);
+  };
+  _voiceRecorder.onstart = () => { _voiceOffset = Math.round(performance.now() - startedAt); };
+  _voiceRecorder.start(1000);
+}
+
+function finishVoiceCapture(recId) {
+  if (!_voiceRecorder) return;
+  const recorder = _voiceRecorder;
+  _voiceRecorder = null;
+  recorder.onstop = async () => {
+    const type = recorder.mimeType || 'audio/webm';
+    const blob = new Blob(_voiceChunks, { type });
+    _voiceChunks = [];
+    releaseVoiceStream();
+    try {
+      const token = await recordingToken(recId, 'voice-over');
+      const params = new URLSearchParams({ token, offset: _voiceOffset });
+      const res = await fetch(`/api/recordings/${recId}/audio?${params}`, {
+        method: 'POST', headers: { 'Content-Type': type }, body: blob
+      });
+      if (!res.ok) throw new Error(res.status === 413 ? 'The voice-over is too long' : `HTTP ${res.status}`);
+      toast('🎙 Voice-over saved');
+    } catch (err) {
+      console.error('[!] Voice-over upload failed:', err);
+      toast(`⚠️ Voice-over not saved: ${err.message}`);
+    }
+  };
+  recorder.stop();
+}
+
+function startReplayAudio(recId, audio) {
+  stopReplayAudio();
+  if (!audio) return;
+  const current = _replayAudio = { el: new Audio(), offset: audio.offset, url: null };
+  // Fetched whole so the browser can seek anywhere in it
+  recordingToken(recId, 'audio')
+    .then(token => fetch(`/api/recordings/${recId}/audio?token=${token}`))
+    .then(res => res.ok ? res.blob() : null)
+    .then(blob => {
+      if (!blob || _replayAudio !== current) return;
+      current.url = URL.createObjectURL(blob);
+      current.el.addEventListener('loadedmetadata', syncReplayAudio, { once: true });
+      current.el.src = current.url;
+    })
+    .catch(() => toast('⚠️ Could not load the voice-over'));
+}
+
+function syncReplayAudio() {
+  if (!_replayAudio?.url) return;
+  const { el, offset } = _replayAudio;
+  el.playbackRate = _replayRate;
+  el.currentTime = Math.max(0, (_replayPlaybackPosition - offset) / 1000);
+  if (isReplayPaused) el.pause();
+  else el.play().catch(() => {}); // blocked until this page has been clicked once
+}
+
+function stopReplayAudio() {
+  if (!_replayAudio) return;
+  _replayAudio.el.pause();
+  if (_replayAudio.url) URL.revokeObjectURL(_replayAudio.url);
+  _replayAudio = null;
 }
 
-function downloadVideoBlob(recId) {
+function downloadVideoBlob(recId, name = `tac-board-recording-${recId}`) {
   if (!_capturedVideoBlob) {
     toast('❌ No video captured for this recording');
     return;
@@ -1775,7 +3791,7 @@ function downloadVideoBlob(recId) {
   const url = URL.createObjectURL(_capturedVideoBlob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `tac-board-recording-${recId}.webm`;
+  a.download = `${name}.webm`;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
@@ -1798,6 +3814,7 @@ function renderRecordingsList() {
       list.innerHTML = '<li class="no-recordings">No recordings yet</li>';
       _selectedRecId = null;
       updateReplayButton();
+      updateRecEditor();
       return;
     }
     list.innerHTML = '';
@@ -1809,17 +3826,19 @@ function renderRecordingsList() {
       li.innerHTML = `
         <div class="rec-info" data-id="${rec.id}">
           <div class="rec-time">${escHtml(rec.name)}</div>
-          <div class="rec-meta">${time} · ${dur}s · ${rec.eventCount} events</div>
+          <div class="rec-meta">${time} · ${dur}s · ${rec.eventCount} events${rec.audio ? ' · 🎙' : ''}</div>
         </div>
         <div class="rec-actions">
-          <button class="rec-play" data-id="${rec.id}" title="Play recording">▶</button>
-          <button class="rec-rename" data-id="${rec.id}" title="Rename">✏️</button>
-          <button class="rec-download" data-id="${rec.id}" title="Download as MP4">📽️</button>
-          <button class="rec-delete" data-id="${rec.id}" title="Delete">×</button>
+          <button class="rec-play" data-id="${rec.id}" data-perm="replay" title="Play recording">▶</button>
+          <button class="rec-rename" data-id="${rec.id}" data-perm="save" title="Rename">✏️</button>
+          <button class="rec-download" data-id="${rec.id}" data-perm="replay" title="Download as video">📽️</button>
+          <button class="rec-delete" data-id="${rec.id}" data-perm="destroy" title="Delete">×</button>
         </div>
       `;
       list.appendChild(li);
     });
+    applyPermissions(list);
+    updateRecEditor();
 
     // Select handlers
     list.querySelectorAll('.rec-info').forEach(el => {
@@ -1887,8 +3906,7 @@ function renderRecordingsList() {
     list.querySelectorAll('.rec-download').forEach(btn => {
       btn.addEventListener('click', e => {
         e.stopPropagation();
-        const recId = +btn.dataset.id;
-        downloadRecordingAsMP4(recId);
+        downloadRecordingVideo(+btn.dataset.id);
       });
     });
   } catch (e) {
@@ -1897,12 +3915,82 @@ function renderRecordingsList() {
   }
 }
 
+// ── Recording editor ─────────────────────────────────────────
+// Works on the selected recording. The range resets whenever another
+// recording is picked or an edit changes its length.
+let _recEditorKey = null;
+
+function updateRecEditor() {
+  const editor = document.getElementById('rec-editor');
+  const rec = _recordings?.find(r => r.id === _selectedRecId);
+  editor.classList.toggle('hidden', !rec);
+  if (!rec) { _recEditorKey = null; return; }
+  document.getElementById('rec-editor-name').textContent = rec.name;
+  const key = `${rec.id}:${rec.duration}`;
+  if (key !== _recEditorKey) {
+    _recEditorKey = key;
+    document.getElementById('rec-edit-from').value = 0;
+    document.getElementById('rec-edit-to').value = (rec.duration / 1000).toFixed(1);
+  }
+  const merge = document.getElementById('rec-merge-select');
+  const others = _recordings.filter(r => r.id !== rec.id);
+  merge.innerHTML = others.length
+    ? others.map(r => `<option value="${r.id}">then ${escHtml(r.name)}</option>`).join('')
+    : '<option value="">No other recordings</option>';
+  document.getElementById('rec-merge-btn').disabled = !others.length;
+}
+
+function recEditRange() {
+  return {
+    recId: _selectedRecId,
+    from: Math.round(parseFloat(document.getElementById('rec-edit-from').value) * 1000),
+    to:   Math.round(parseFloat(document.getElementById('rec-edit-to').value) * 1000)
+  };
+}
+
+// Cuts and speed changes can't carry the voice-over along, so they drop it.
+// The server refuses them on a recording with a voice-over unless the user
+// agreed here: null when they said no, otherwise the flag to send along.
+function voiceOverConsent(action) {
+  const rec = _recordings?.find(r => r.id === _selectedRecId);
+  if (!rec?.audio) return { dropVoiceOver: false };
+  return confirm(`${action} removes the voice-over from this recording. Continue?`) ? { dropVoiceOver: true } : null;
+}
+
+function editSelectedRecording(event, data) {
+  if (isReplaying || !socket || !_selectedRecId) return;
+  const { from, to } = recEditRange();
+  if (!(from < to)) { toast('Pick a range: "To" must be after "From"'); return; }
+  socket.emit(event, data);
+}
+
+document.getElementById('rec-trim-btn').addEventListener('click', () => {
+  const { recId, from, to } = recEditRange();
+  editSelectedRecording('trim-recording', { recId, start: from, end: to });
+});
+document.getElementById('rec-cut-btn').addEventListener('click', () => {
+  const consent = voiceOverConsent('Cutting');
+  if (!consent) return;
+  editSelectedRecording('cut-recording', { ...recEditRange(), ...consent });
+});
+document.getElementById('rec-retime-btn').addEventListener('click', () => {
+  const consent = voiceOverConsent('Changing the speed');
+  if (!consent) return;
+  const speed = parseFloat(document.getElementById('rec-speed-select').value);
+  editSelectedRecording('retime-recording', { ...recEditRange(), speed, ...consent });
+});
+document.getElementById('rec-merge-btn').addEventListener('click', () => {
+  const other = +document.getElementById('rec-merge-select').value;
+  if (!other || !_selectedRecId || !socket) return;
+  socket.emit('merge-recordings', { recIds: [_selectedRecId, other] });
+});
+
 function tickReplayBar() {
   if (!isReplaying) return;
   
   if (!isReplayPaused && !isSeeking) {
     const now = Date.now();
-    _replayPlaybackPosition += (now - _replayLastTick);
+    _replayPlaybackPosition += (now - _replayLastTick) * _replayRate;
     _replayLastTick = now;
   }
   
@@ -1920,6 +4008,8 @@ document.getElementById('record-btn').addEventListener('click', () => {
   if (isReplaying) return;
   if (_recActive) {
     socket?.emit('recording-stop');
+  } else if (document.getElementById('voice-check').checked) {
+    startRecordingWithVoice();
   } else {
     socket?.emit('recording-start');
   }
@@ -1963,13 +4053,45 @@ replaySlider.addEventListener('change', () => {
   socket.emit('replay-seek', { position: pos });
 });
 
+function setReplayRate(rate = 1) {
+  _replayRate = rate;
+  document.getElementById('replay-rate').value = String(rate);
+}
+
+// A tick on the slider for each action in the recording; click one to jump there
+function renderReplayMarkers(markers = []) {
+  const wrap = document.getElementById('replay-markers');
+  wrap.innerHTML = '';
+  if (!_replayDuration) return;
+  markers.forEach(({ t, event }) => {
+    const m = document.createElement('div');
+    m.className = 'replay-marker';
+    m.style.left = Math.min(100, (t / _replayDuration) * 100) + '%';
+    m.title = `${(t / 1000).toFixed(1)}s · ${event}`;
+    m.addEventListener('click', () => {
+      if (isReplaying && can('replay')) socket?.emit('replay-seek', { position: t });
+    });
+    wrap.appendChild(m);
+  });
+}
+
+document.getElementById('replay-rate').addEventListener('change', e => {
+  if (!socket) return;
+  socket.emit('replay-rate', { rate: parseFloat(e.target.value) });
+});
+document.getElementById('replay-prev-btn').addEventListener('click', () => {
+  if (isReplaying) socket?.emit('replay-step', { dir: -1 });
+});
+document.getElementById('replay-next-btn').addEventListener('click', () => {
+  if (isReplaying) socket?.emit('replay-step', { dir: 1 });
+});
+
 // ── Screenshot ───────────────────────────────────────────────
 document.getElementById('screenshot-btn').addEventListener('click', () => {
   const combined = document.createElement('canvas');
   combined.width  = pitchCanvas.width;
   combined.height = pitchCanvas.height;
-  const ctx = combined.getContext('2d');
-  drawCompositeFrame(ctx, combined.width, combined.height);
+  renderBoardTo(combined);
   const link = document.createElement('a');
   link.download = 'tac-board.png';
   link.href = combined.toDataURL('image/png');
@@ -2006,7 +4128,7 @@ async function fetchActiveRooms() {
       chip.type = 'button';
       chip.className = 'room-chip';
       if (roomInput.value === r.id) chip.classList.add('selected');
-      chip.innerHTML = `${r.id} <span class="room-chip-count">${r.users} online</span>`;
+      chip.innerHTML = `${r.locked ? '🔒 ' : ''}${r.id} <span class="room-chip-count">${r.users} online</span>`;
       chip.addEventListener('click', () => {
         roomInput.value = r.id;
         list.querySelectorAll('.room-chip').forEach(c => c.classList.remove('selected'));
@@ -2029,6 +4151,7 @@ function doJoin() {
   if (!name) { usernameInput.focus(); return; }
   myName = name;
   myRoom = (roomInput.value.trim() || 'lobby').replace(/[^a-zA-Z0-9_-]/g, '-');
+  myPassword = passwordInput.value;
   localStorage.setItem('tac-board-username', name);
   localStorage.setItem('tac-board-room', myRoom);
   location.hash = myRoom;
@@ -2041,6 +4164,7 @@ function doJoin() {
 joinBtn.addEventListener('click', doJoin);
 usernameInput.addEventListener('keydown', e => { if (e.key === 'Enter') { roomInput.focus(); e.preventDefault(); } });
 roomInput.addEventListener('keydown', e => { if (e.key === 'Enter') doJoin(); });
+passwordInput.addEventListener('keydown', e => { if (e.key === 'Enter') doJoin(); });
 
 // ── Mobile toolbar toggle ───────────────────────────────────────
 const mobileToggle = document.getElementById('mobile-toolbar-toggle');
@@ -2069,6 +4193,10 @@ function closeModal(modal) {
 
 openRecordingsBtn.addEventListener('click', () => openModal(recordingsModal));
 openPresetsBtn.addEventListener('click', () => openModal(presetsModal));
+document.getElementById('open-roster-btn').addEventListener('click', () => openModal(rosterModal));
+document.getElementById('close-roster-modal').addEventListener('click', () => closeModal(rosterModal));
+document.getElementById('open-plans-btn').addEventListener('click', () => openModal(plansModal));
+document.getElementById('close-plans-modal').addEventListener('click', () => closeModal(plansModal));
 closeRecordingsBtn.addEventListener('click', () => closeModal(recordingsModal));
 closePresetsBtn.addEventListener('click', () => closeModal(presetsModal));
 
@@ -2079,12 +4207,20 @@ recordingsModal.addEventListener('click', (e) => {
 presetsModal.addEventListener('click', (e) => {
   if (e.target === presetsModal) closeModal(presetsModal);
 });
+rosterModal.addEventListener('click', (e) => {
+  if (e.target === rosterModal) closeModal(rosterModal);
+});
+plansModal.addEventListener('click', (e) => {
+  if (e.target === plansModal) closeModal(plansModal);
+});
 
 // Close modals with Escape key
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     if (!recordingsModal.classList.contains('hidden')) closeModal(recordingsModal);
     if (!presetsModal.classList.contains('hidden')) closeModal(presetsModal);
+    if (!rosterModal.classList.contains('hidden')) closeModal(rosterModal);
+    if (!plansModal.classList.contains('hidden')) closeModal(plansModal);
   }
 });
 
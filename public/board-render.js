@@ -0,0 +1,806 @@
+/* ═══════════════════════════════════════════════════════════════
+   Tac Board — board renderer
+   Draws a board onto any 2D canvas context: the live board, screenshots and
+   video capture in the browser, and recordings rendered on the server, so
+   every output matches what players saw. Loaded as a plain script (global
+   BoardRender) or with require().
+   ═══════════════════════════════════════════════════════════════ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BoardRender = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+// Every board shares one logical space; a context is scaled to fit its canvas
+const PITCH_W = 900;
+const PITCH_H = 580;
+
+// Contexts without a canvas of the board's size (PDF pages) are given one
+// through renderBoard's opts.size for the length of the call
+const boardSizes = new WeakMap();
+
+function boardSize(ctx) {
+  return boardSizes.get(ctx) || ctx.canvas;
+}
+
+function toPx(ctx, lx, ly) {
+  const { width, height } = boardSize(ctx);
+  return { x: lx * width / PITCH_W, y: ly * height / PITCH_H };
+}
+
+function pxSize(ctx, logicalSize) {
+  return logicalSize * boardSize(ctx).width / PITCH_W;
+}
+
+// ── Pitch ─────────────────────────────────────────────────────
+// Markings are laid out in metres and fitted into the fixed PITCH_W×PITCH_H
+// board, so switching templates never moves tokens or strokes.
+const PITCH_FORMATS = {
+  eleven: { length: 105, width: 68, area: [16.5, 40.32], box: [5.5, 18.32], spot: 11, circle: 9.15, goal: 7.32, goalDepth: 2,   corner: 1 },
+  nine:   { length: 73,  width: 46, area: [13, 30],      box: [4, 14],      spot: 9,  circle: 7,    goal: 6,    goalDepth: 1.5, corner: 1 },
+  seven:  { length: 55,  width: 36, area: [11, 24],      box: [4, 12],      spot: 8,  circle: 6,    goal: 5,    goalDepth: 1.5, corner: 0.75 },
+  futsal: { length: 40,  width: 20, area: 6, futsal: true, spot: 6, secondSpot: 10, circle: 3,      goal: 3,    goalDepth: 1,   corner: 0.25 }
+};
+
+// view: [x0, y0, x1, y1] in metres; rotate: attacking goal at the top
+const PITCH_TEMPLATES = {
+  full:     { label: 'Full pitch',     format: 'eleven' },
+  half:     { label: 'Half pitch',     format: 'eleven', view: [52.5, 0, 105, 68], rotate: true },
+  third:    { label: 'Final third',    format: 'eleven', view: [70, 0, 105, 68],   rotate: true },
+  box:      { label: 'Penalty box',    format: 'eleven', view: [82, 8, 105, 60],   rotate: true },
+  vertical: { label: 'Vertical pitch', format: 'eleven', rotate: true },
+  nine:     { label: '9-a-side',       format: 'nine' },
+  seven:    { label: '7-a-side',       format: 'seven' },
+  futsal:   { label: 'Futsal',         format: 'futsal' },
+  grid:     { label: 'Training grid',  grid: true }
+};
+
+function renderPitch(ctx, W, H, templateId) {
+  const tpl = PITCH_TEMPLATES[templateId] || PITCH_TEMPLATES.full;
+  const rotate = !!tpl.rotate;
+
+  // Alternating stripes across the length of the pitch
+  const stripeCount = 10;
+  for (let i = 0; i < stripeCount; i++) {
+    ctx.fillStyle = i % 2 === 0 ? '#3a7d2c' : '#44942f';
+    if (rotate) ctx.fillRect(0, i * H / stripeCount, W, H / stripeCount);
+    else        ctx.fillRect(i * W / stripeCount, 0, W / stripeCount, H);
+  }
+
+  const m = W * 0.04;  // margin
+  const lineW = Math.max(1.5, W * 0.0018);
+  if (tpl.grid) {
+    drawTrainingGrid(ctx, m, m, W - m * 2, H - m * 2, lineW);
+    return;
+  }
+
+  const f = PITCH_FORMATS[tpl.format];
+  const [vx0, vy0, vx1, vy1] = tpl.view || [0, 0, f.length, f.width];
+  const { s, offX, offY } = fitView(W, H, rotate ? vy1 - vy0 : vx1 - vx0, rotate ? vx1 - vx0 : vy1 - vy0);
+
+  ctx.save();
+  if (rotate) ctx.transform(0, -s, s, 0, offX - vy0 * s, offY + vx1 * s);
+  else        ctx.transform(s, 0, 0, s, offX - vx0 * s, offY - vy0 * s);
+
+  // Clip to the view; edges on the touchline or goal line keep room for the goals
+  const pad = (v, limit) => (v <= 0 || v >= limit ? 3 : 0.2);
+  const cx0 = vx0 - pad(vx0, f.length), cx1 = vx1 + pad(vx1, f.length);
+  const cy0 = vy0 - pad(vy0, f.width),  cy1 = vy1 + pad(vy1, f.width);
+  ctx.beginPath();
+  ctx.rect(cx0, cy0, cx1 - cx0, cy1 - cy0);
+  ctx.clip();
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.85)';
+  ctx.lineWidth   = lineW / s;
+  ctx.lineCap     = 'round';
+  const dotR = W * 0.004 / s;
+
+  // Outer boundary, halfway line, centre circle
+  rect(ctx, 0, 0, f.length, f.width);
+  line(ctx, f.length / 2, 0, f.length / 2, f.width);
+  circle(ctx, f.length / 2, f.width / 2, f.circle);
+  dot(ctx, f.length / 2, f.width / 2, dotR);
+
+  // Both ends share one drawing, the right one mirrored
+  drawPitchEnd(ctx, f, dotR);
+  ctx.translate(f.length, 0);
+  ctx.scale(-1, 1);
+  drawPitchEnd(ctx, f, dotR);
+  ctx.restore();
+}
+
+// Scale (px per metre) and offset that centre a view inside the margin
+function fitView(W, H, viewW, viewH) {
+  const m = W * 0.04;
+  const s = Math.min((W - m * 2) / viewW, (H - m * 2) / viewH);
+  return { s, offX: (W - viewW * s) / 2, offY: (H - viewH * s) / 2 };
+}
+
+// Where a template's whole playing area sits on the board, as fractions of
+// PITCH_W / PITCH_H. The goals are at the left and right, or at the bottom and
+// top when rotate is set. Null when the template only shows part of a pitch.
+function pitchField(templateId) {
+  const tpl = PITCH_TEMPLATES[templateId] || PITCH_TEMPLATES.full;
+  if (tpl.view) return null;
+  if (tpl.grid) {
+    const m = PITCH_W * 0.04;
+    return { x: m / PITCH_W, y: m / PITCH_H, w: 1 - m * 2 / PITCH_W, h: 1 - m * 2 / PITCH_H };
+  }
+  const f = PITCH_FORMATS[tpl.format];
+  const [viewW, viewH] = tpl.rotate ? [f.width, f.length] : [f.length, f.width];
+  const { s, offX, offY } = fitView(PITCH_W, PITCH_H, viewW, viewH);
+  return { x: offX / PITCH_W, y: offY / PITCH_H, w: viewW * s / PITCH_W, h: viewH * s / PITCH_H, rotate: !!tpl.rotate };
+}
+
+// Penalty area, goal and corners at the x = 0 end of the pitch
+function drawPitchEnd(ctx, f, dotR) {
+  const cy = f.width / 2;
+  if (f.futsal) {
+    // Quarter circles around each post joined by a short straight
+    ctx.beginPath();
+    ctx.arc(0, cy - f.goal / 2, f.area, -Math.PI / 2, 0);
+    ctx.arc(0, cy + f.goal / 2, f.area, 0, Math.PI / 2);
+    ctx.stroke();
+    dot(ctx, f.secondSpot, cy, dotR);
+  } else {
+    const [areaD, areaW] = f.area;
+    const [boxD, boxW]   = f.box;
+    rect(ctx, 0, cy - areaW / 2, areaD, areaW);
+    rect(ctx, 0, cy - boxW / 2, boxD, boxW);
+    // Penalty arc: the part of the spot's circle outside the area
+    const a = Math.acos((areaD - f.spot) / f.circle);
+    arc(ctx, f.spot, cy, f.circle, -a, a, false);
+  }
+  dot(ctx, f.spot, cy, dotR);
+  rect(ctx, -f.goalDepth, cy - f.goal / 2, f.goalDepth, f.goal);
+  arc(ctx, 0, 0,       f.corner, 0, Math.PI / 2, false);
+  arc(ctx, 0, f.width, f.corner, -Math.PI / 2, 0, false);
+}
+
+// Plain area split into channels and zones for drills
+function drawTrainingGrid(ctx, x, y, w, h, lineW) {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255,255,255,0.85)';
+  ctx.lineWidth   = lineW;
+  rect(ctx, x, y, w, h);
+  ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+  ctx.setLineDash([lineW * 4, lineW * 4]);
+  for (let i = 1; i < 6; i++) line(ctx, x + w * i / 6, y, x + w * i / 6, y + h);
+  for (let j = 1; j < 4; j++) line(ctx, x, y + h * j / 4, x + w, y + h * j / 4);
+  ctx.restore();
+}
+
+function rect(ctx, x, y, w, h) {
+  ctx.strokeRect(x, y, w, h);
+}
+function line(ctx, x1, y1, x2, y2) {
+  ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke();
+}
+function circle(ctx, cx, cy, r) {
+  ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); ctx.stroke();
+}
+function dot(ctx, cx, cy, r) {
+  ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(255,255,255,0.85)'; ctx.fill();
+}
+function arc(ctx, cx, cy, r, startA, endA, anti) {
+  ctx.beginPath(); ctx.arc(cx, cy, r, startA, endA, anti); ctx.stroke();
+}
+
+// ── Strokes and lasers ────────────────────────────────────────
+function renderStroke(ctx, stroke) {
+  if (!stroke.points || stroke.points.length < 2) return;
+  ctx.beginPath();
+  ctx.globalCompositeOperation = stroke.tool === 'erase' ? 'destination-out' : 'source-over';
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth   = pxSize(ctx, stroke.width);
+  ctx.lineCap     = 'round';
+  ctx.lineJoin    = 'round';
+  ctx.setLineDash(stroke.style === 'dashed' ? [ctx.lineWidth * 4, ctx.lineWidth * 3] : []);
+  const p0 = toPx(ctx, stroke.points[0].x, stroke.points[0].y);
+  ctx.moveTo(p0.x, p0.y);
+  stroke.points.forEach(p => {
+    const px = toPx(ctx, p.x, p.y);
+    ctx.lineTo(px.x, px.y);
+  });
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+function renderLaser(ctx, stroke, opacity) {
+  if (!stroke.points || stroke.points.length < 2) return;
+  ctx.save();
+  ctx.beginPath();
+  ctx.strokeStyle = `rgba(255, 255, 255, ${opacity})`;
+  ctx.lineWidth = pxSize(ctx, stroke.width) * 0.8;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.shadowColor = stroke.color;
+  ctx.shadowBlur = pxSize(ctx, stroke.width) * 3;
+  
+  const p0 = toPx(ctx, stroke.points[0].x, stroke.points[0].y);
+  ctx.moveTo(p0.x, p0.y);
+  stroke.points.forEach(p => {
+    const px = toPx(ctx, p.x, p.y);
+    ctx.lineTo(px.x, px.y);
+  });
+  ctx.stroke();
+  
+  // Outer glow
+  ctx.strokeStyle = `rgba(${hexToRgb(stroke.color)}, ${opacity * 0.8})`;
+  ctx.lineWidth = pxSize(ctx, stroke.width) * 2;
+  ctx.shadowBlur = 0;
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Lasers fade out over LASER_FADE ms from their timestamp
+const LASER_FADE = 1500;
+
+function renderLasers(ctx, lasers, now) {
+  lasers.forEach(s => {
+    const age = now - s.timestamp;
+    if (age >= 0 && age < LASER_FADE) renderLaser(ctx, s, 1 - age / LASER_FADE);
+  });
+}
+
+// Someone else's stroke while it is still being drawn. An eraser only shows
+// a dashed outline so it doesn't paint over the board.
+function renderLiveStroke(ctx, s) {
+  if (!s.points || s.points.length < 2) return;
+  ctx.save();
+  if (s.tool === 'erase') {
+    ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+    ctx.lineWidth   = pxSize(ctx, s.width) * 4;
+    ctx.setLineDash([7, 5]);
+  } else {
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth   = pxSize(ctx, s.width);
+  }
+  ctx.lineCap  = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  s.points.forEach((p, i) => {
+    const px = toPx(ctx, p.x, p.y);
+    if (i) ctx.lineTo(px.x, px.y); else ctx.moveTo(px.x, px.y);
+  });
+  ctx.stroke();
+  ctx.restore();
+}
+
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? `${parseInt(result[1], 16)}, ${parseInt(result[2], 16)}, ${parseInt(result[3], 16)}` : '255, 255, 255';
+}
+
+// ── Arrows ────────────────────────────────────────────────────
+const CURVE_SEGMENTS = 24;
+
+function renderArrow(ctx, arrow) {
+  const pts = arrowPathPoints(arrow).map(p => toPx(ctx, p.x, p.y));
+  drawArrowPath(ctx, pts, arrow.color, pxSize(ctx, arrow.width), {
+    dashed: arrow.style === 'dashed',
+    kind:   arrow.kind,
+    head:   arrow.tool !== 'line'
+  });
+}
+
+// The arrow's centre line in logical coords
+function arrowPathPoints(arrow) {
+  const start = { x: arrow.x1, y: arrow.y1 };
+  const end   = { x: arrow.x2, y: arrow.y2 };
+  if (arrow.path === 'curve' && Number.isFinite(arrow.cx) && Number.isFinite(arrow.cy)) {
+    const pts = [];
+    for (let i = 0; i <= CURVE_SEGMENTS; i++) {
+      const t = i / CURVE_SEGMENTS, u = 1 - t;
+      pts.push({
+        x: u * u * start.x + 2 * u * t * arrow.cx + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * arrow.cy + t * t * end.y
+      });
+    }
+    return pts;
+  }
+  if (arrow.path === 'poly' && Array.isArray(arrow.via)) return [start, ...arrow.via, end];
+  return [start, end];
+}
+
+// Draws a pixel-space arrow path. kind: pass/run plain (dash from `dashed`),
+// dribble wavy, shot a double line; head adds the arrowhead at the last point.
+function drawArrowPath(ctx, pts, color, width, { dashed, kind, head }) {
+  if (pts.length < 2) return;
+  ctx.save();
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.strokeStyle = color;
+  ctx.fillStyle   = color;
+  ctx.lineWidth   = width;
+  ctx.lineCap     = 'round';
+  ctx.lineJoin    = 'round';
+  ctx.setLineDash(dashed ? [width * 4, width * 3] : []);
+
+  const hw = Math.max(10, width * 3.5);
+  // Wavy and doubled shafts stop inside the head so they don't poke out beside it
+  const shaft = head && (kind === 'dribble' || kind === 'shot') ? trimPolyline(pts, hw * 0.7) : pts;
+  if (kind === 'shot') {
+    const gap = Math.max(2, width * 0.9);
+    strokePolyline(ctx, offsetPolyline(shaft, gap));
+    strokePolyline(ctx, offsetPolyline(shaft, -gap));
+  } else if (kind === 'dribble') {
+    strokePolyline(ctx, wavyPolyline(shaft, Math.max(3, width * 1.5), Math.max(12, width * 5)));
+  } else {
+    strokePolyline(ctx, shaft);
+  }
+  ctx.setLineDash([]);
+
+  if (head) {
+    const tip = pts[pts.length - 1];
+    let i = pts.length - 2;
+    while (i > 0 && Math.hypot(tip.x - pts[i].x, tip.y - pts[i].y) < 1) i--;
+    const angle = Math.atan2(tip.y - pts[i].y, tip.x - pts[i].x);
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - hw * Math.cos(angle - 0.4), tip.y - hw * Math.sin(angle - 0.4));
+    ctx.lineTo(tip.x - hw * Math.cos(angle + 0.4), tip.y - hw * Math.sin(angle + 0.4));
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function strokePolyline(ctx, pts) {
+  ctx.beginPath();
+  ctx.moveTo(pts[0].x, pts[0].y);
+  for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+  ctx.stroke();
+}
+
+// Unit normal at each point, averaged over the neighbouring segments
+function polylineNormals(pts) {
+  return pts.map((p, i) => {
+    const a = pts[Math.max(0, i - 1)], b = pts[Math.min(pts.length - 1, i + 1)];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: -(b.y - a.y) / len, y: (b.x - a.x) / len };
+  });
+}
+
+function offsetPolyline(pts, d) {
+  const normals = polylineNormals(pts);
+  return pts.map((p, i) => ({ x: p.x + normals[i].x * d, y: p.y + normals[i].y * d }));
+}
+
+// Cut `len` off the end of a polyline
+function trimPolyline(pts, len) {
+  const out = pts.slice();
+  while (out.length > 1 && len > 0) {
+    const b = out[out.length - 1], a = out[out.length - 2];
+    const seg = Math.hypot(b.x - a.x, b.y - a.y);
+    if (seg > len) {
+      const t = (seg - len) / seg;
+      out[out.length - 1] = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      break;
+    }
+    out.pop();
+    len -= seg;
+  }
+  return out.length > 1 ? out : pts.slice(0, 2);
+}
+
+// Sine wave along the path, easing in and out so the ends stay on the line
+function wavyPolyline(pts, amp, wavelength) {
+  const step = wavelength / 10;
+  const out = [];
+  let travelled = 0;
+  const total = pts.reduce((sum, p, i) => i ? sum + Math.hypot(p.x - pts[i - 1].x, p.y - pts[i - 1].y) : 0, 0);
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const seg = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!seg) continue;
+    const nx = -(b.y - a.y) / seg, ny = (b.x - a.x) / seg;
+    for (let d = 0; d < seg; d += step) {
+      const s = travelled + d;
+      const ease = Math.min(1, s / (wavelength / 2), (total - s) / (wavelength / 2));
+      const off = amp * ease * Math.sin(2 * Math.PI * s / wavelength);
+      out.push({ x: a.x + (b.x - a.x) * d / seg + nx * off, y: a.y + (b.y - a.y) * d / seg + ny * off });
+    }
+    travelled += seg;
+  }
+  out.push(pts[pts.length - 1]);
+  return out.length > 1 ? out : pts;
+}
+
+// ── Zones ─────────────────────────────────────────────────────
+function zoneBounds(zone) {
+  if (zone.shape !== 'polygon') return { x: zone.x, y: zone.y, w: zone.w, h: zone.h };
+  const xs = zone.points.map(p => p.x), ys = zone.points.map(p => p.y);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+function traceZone(ctx, zone) {
+  ctx.beginPath();
+  if (zone.shape === 'polygon') {
+    zone.points.forEach((p, i) => {
+      const px = toPx(ctx, p.x, p.y);
+      if (i) ctx.lineTo(px.x, px.y); else ctx.moveTo(px.x, px.y);
+    });
+    ctx.closePath();
+    return;
+  }
+  const a = toPx(ctx, zone.x, zone.y);
+  const b = toPx(ctx, zone.x + zone.w, zone.y + zone.h);
+  if (zone.shape === 'ellipse') {
+    ctx.ellipse((a.x + b.x) / 2, (a.y + b.y) / 2, (b.x - a.x) / 2, (b.y - a.y) / 2, 0, 0, Math.PI * 2);
+  } else {
+    ctx.rect(a.x, a.y, b.x - a.x, b.y - a.y);
+  }
+}
+
+function renderZone(ctx, zone) {
+  if (zone.shape === 'polygon' ? !(zone.points?.length >= 3) : !(zone.w > 0 && zone.h > 0)) return;
+  const opacity = zone.opacity ?? 0.25;
+  ctx.save();
+  traceZone(ctx, zone);
+  ctx.globalAlpha = opacity;
+  ctx.fillStyle   = zone.color;
+  ctx.fill();
+  if (zone.hatch) {
+    // 45° lines across the bounding box, clipped to the shape
+    ctx.clip();
+    const box = zoneBounds(zone);
+    const a = toPx(ctx, box.x, box.y), b = toPx(ctx, box.x + box.w, box.y + box.h);
+    const h = b.y - a.y;
+    const gap = pxSize(ctx, 12);
+    ctx.globalAlpha = Math.min(1, opacity + 0.35);
+    ctx.strokeStyle = zone.color;
+    ctx.lineWidth   = pxSize(ctx, 1.5);
+    ctx.beginPath();
+    for (let x = a.x - h; x < b.x; x += gap) { ctx.moveTo(x, b.y); ctx.lineTo(x + h, a.y); }
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Outline outside the clip so it keeps its full width
+  ctx.save();
+  traceZone(ctx, zone);
+  ctx.strokeStyle = zone.color;
+  ctx.lineWidth   = pxSize(ctx, zone.width || 2);
+  ctx.lineJoin    = 'round';
+  ctx.setLineDash(zone.style === 'dashed' ? [ctx.lineWidth * 4, ctx.lineWidth * 3] : []);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// ── Text annotations ──────────────────────────────────────────
+// x/y/w/size are logical, rotation in degrees about the box centre
+const TEXT_FONT        = "'Segoe UI', sans-serif";
+const TEXT_PADDING     = 6;    // logical px between box edge and text
+const TEXT_LINE_HEIGHT = 1.25;
+
+// Line breaks are measured in logical units so every screen wraps alike.
+// `measure` is any 2D context; only its font and measureText() are used.
+function layoutText(t, measure) {
+  measure.font = `${t.size}px ${TEXT_FONT}`;
+  const maxW = Math.max(t.w - TEXT_PADDING * 2, t.size);
+  const lines = [];
+  String(t.text).split('\n').forEach(para => {
+    let line = '';
+    para.split(' ').forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && measure.measureText(next).width > maxW) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+    lines.push(line);
+  });
+  return { lines, h: lines.length * t.size * TEXT_LINE_HEIGHT + TEXT_PADDING * 2 };
+}
+
+function rotatePoint(p, c, deg) {
+  const a = (deg || 0) * Math.PI / 180;
+  const dx = p.x - c.x, dy = p.y - c.y;
+  return { x: c.x + dx * Math.cos(a) - dy * Math.sin(a), y: c.y + dx * Math.sin(a) + dy * Math.cos(a) };
+}
+
+function renderText(ctx, t) {
+  if (!t.text) return;
+  const { lines, h } = layoutText(t, ctx);
+  const c = toPx(ctx, t.x + t.w / 2, t.y + h / 2);
+  const scale = pxSize(ctx, 1);
+  ctx.save();
+  ctx.translate(c.x, c.y);
+  ctx.rotate((t.rotation || 0) * Math.PI / 180);
+  ctx.scale(scale, scale);
+  if (t.background) {
+    ctx.fillStyle = t.background;
+    ctx.fillRect(-t.w / 2, -h / 2, t.w, h);
+  }
+  ctx.fillStyle    = t.color;
+  ctx.font         = `${t.size}px ${TEXT_FONT}`;
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    ctx.fillText(line, -t.w / 2 + TEXT_PADDING, -h / 2 + TEXT_PADDING + i * t.size * TEXT_LINE_HEIGHT);
+  });
+  ctx.restore();
+}
+
+// ── Tokens ────────────────────────────────────────────────────
+const ICONS = {
+  ball: `<svg viewBox="0 0 512 512"><circle cx="256" cy="256" r="248" fill="#ffffff" /><path fill="#222222" d="M504 256c0 136.967-111.033 248-248 248S8 392.967 8 256 119.033 8 256 8s248 111.033 248 248zm-48 0l-.003-.282-26.064 22.741-62.679-58.5 16.454-84.355 34.303 3.072c-24.889-34.216-60.004-60.089-100.709-73.141l13.651 31.939L256 139l-74.953-41.525 13.651-31.939c-40.631 13.028-75.78 38.87-100.709 73.141l34.565-3.073 16.192 84.355-62.678 58.5-26.064-22.741-.003.282c0 43.015 13.497 83.952 38.472 117.991l7.704-33.897 85.138 10.447 36.301 77.826-29.902 17.786c40.202 13.122 84.29 13.148 124.572 0l-29.902-17.786 36.301-77.826 85.138-10.447 7.704 33.897C442.503 339.952 456 299.015 456 256zm-248.102 69.571l-29.894-91.312L256 177.732l77.996 56.527-29.622 91.312h-96.476z"/></svg>`,
+  flag: `<svg viewBox="0 0 24 24" fill="none" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M4 22v-7" stroke="#222"/><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1v12z" fill="#e74c3c" stroke="#c0392b"/></svg>`,
+  cone: `<svg viewBox="0 0 24 24" fill="none" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2l8 18H4z" fill="#e67e22" stroke="#d35400"/><path d="M9.5 8h5 M8 13h8" stroke="white" stroke-width="3"/></svg>`,
+  x: `<svg viewBox="0 0 24 24" fill="none" stroke="#e74c3c" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>`,
+  star: `<svg viewBox="0 0 24 24" fill="#f1c40f" stroke="#f39c12" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>`,
+  shield: `<svg viewBox="0 0 24 24" fill="none" stroke="#2980b9" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" fill="#3498db"/></svg>`,
+  target: `<svg viewBox="0 0 24 24" fill="none" stroke="#e74c3c" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10" fill="#fff"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2" fill="#e74c3c"/></svg>`,
+  trophy: `<svg viewBox="0 0 24 24" fill="none" stroke="#e67e22" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M8 21h8M12 17v4M7 4h10v3a5 5 0 01-10 0V4z" fill="#f1c40f"/><path d="M7 4H4a2 2 0 00-2 2v1a5 5 0 005 5h0M17 4h3a2 2 0 01-5 5h0"/></svg>`
+};
+
+// Tokens are 36px discs on screen whatever the board size; opts.tokenScale
+// is device pixels per CSS pixel (default: the board shown 900px wide).
+// opts.icons maps icon names to loaded images of ICONS.
+function drawToken(ctx, t, opts = {}) {
+  const { x: cx, y: cy } = toPx(ctx, t.x, t.y);
+  const k = opts.tokenScale ?? pxSize(ctx, 1);
+  const r = 18 * k;
+  // Blurred shadows would be rasterised in SVG/PDF, so vector outputs go without
+  const shadow = (color, blur, dy) => {
+    if (opts.vector) return;
+    ctx.shadowColor   = color;
+    ctx.shadowBlur    = blur * k;
+    ctx.shadowOffsetY = dy * k;
+  };
+
+  ctx.save();
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+  if (t.shape === 'icon' || t.shape === 'ball') {
+    // Unknown icons show as a ball, like the DOM
+    const name = t.shape === 'ball' || !ICONS[t.label] ? 'ball' : t.label;
+    const img = opts.icons?.[name];
+    if (opts.vector) {
+      drawIconPaths(ctx, ICONS[name], cx - r, cy - r, r * 2, opts.Path2D || globalThis.Path2D);
+    } else if (img) {
+      shadow('rgba(0,0,0,0.5)', 4, 2);
+      ctx.drawImage(img, cx - r, cy - r, r * 2, r * 2);
+    }
+  } else if (t.shape === 'emoji') {
+    ctx.font = `bold ${12 * k}px sans-serif`;
+    shadow('rgba(0,0,0,0.7)', 2, 1);
+    ctx.fillText(t.label, cx, cy);
+  } else {
+    // 36px disc with a 2px white border inside it and a soft drop shadow
+    ctx.save();
+    shadow('rgba(0,0,0,0.45)', 8, 2);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fillStyle = t.color;
+    ctx.fill();
+    ctx.restore();
+    ctx.beginPath();
+    ctx.arc(cx, cy, r - k, 0, Math.PI * 2);
+    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+    ctx.lineWidth   = 2 * k;
+    ctx.stroke();
+
+    ctx.font      = `bold ${12 * k}px sans-serif`;
+    ctx.fillStyle = (t.color === '#ffffff' || t.color === '#fff') ? '#222' : '#fff';
+    shadow('rgba(0,0,0,0.7)', 2, 1);
+    ctx.fillText(t.label || '1', cx, cy);
+    ctx.shadowColor = 'transparent';
+    if (t.name) drawTokenName(ctx, t.name, cx, cy + r + 3 * k, k);
+  }
+  ctx.restore();
+}
+
+// Vector outputs draw an icon's own shapes rather than a picture of it.
+// Handles what ICONS uses: path, circle, line and polygon, with attributes
+// inherited from the <svg> element and SVG's defaults (black fill, no stroke).
+function drawIconPaths(ctx, svg, x, y, size, Path2D) {
+  const attrs = str => Object.fromEntries([...str.matchAll(/([\w-]+)="([^"]*)"/g)].map(m => [m[1], m[2]]));
+  const base = { fill: '#000', stroke: 'none', ...attrs(svg.match(/<svg([^>]*)>/)[1]) };
+  const [, , vw] = base.viewBox.split(' ').map(Number);
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.scale(size / vw, size / vw);
+  for (const [, tag, body] of svg.matchAll(/<(path|circle|line|polygon)\b([^>]*?)\/?>/g)) {
+    const a = { ...base, ...attrs(body) };
+    let path;
+    if (tag === 'path') {
+      path = new Path2D(a.d);
+    } else {
+      path = new Path2D();
+      if (tag === 'circle') path.arc(+a.cx, +a.cy, +a.r, 0, Math.PI * 2);
+      else if (tag === 'line') { path.moveTo(+a.x1, +a.y1); path.lineTo(+a.x2, +a.y2); }
+      else {
+        const n = a.points.trim().split(/[\s,]+/).map(Number);
+        for (let i = 0; i < n.length; i += 2) path[i ? 'lineTo' : 'moveTo'](n[i], n[i + 1]);
+        path.closePath();
+      }
+    }
+    if (a.fill !== 'none') { ctx.fillStyle = a.fill; ctx.fill(path); }
+    if (a.stroke !== 'none') {
+      ctx.strokeStyle = a.stroke;
+      ctx.lineWidth   = +(a['stroke-width'] || 1);
+      ctx.lineCap     = a['stroke-linecap'] || 'butt';
+      ctx.lineJoin    = a['stroke-linejoin'] || 'miter';
+      ctx.stroke(path);
+    }
+  }
+  ctx.restore();
+}
+
+// Roster name in a dark tag under the disc
+function drawTokenName(ctx, name, cx, top, k) {
+  const size = 9.92 * k; // .62rem
+  ctx.font = `600 ${size}px sans-serif`;
+  const w = ctx.measureText(name).width + 8 * k;
+  const h = size * 1.2;
+  ctx.fillStyle = 'rgba(0,0,0,0.55)';
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(cx - w / 2, top, w, h, 3 * k);
+  else ctx.rect(cx - w / 2, top, w, h);
+  ctx.fill();
+  ctx.fillStyle = '#fff';
+  ctx.fillText(name, cx, top + h / 2);
+}
+
+// Dashed path plus a see-through copy of the token at the start
+function renderTrail(ctx, trail, opts) {
+  if (trail.points.length < 2) return;
+  ctx.save();
+  ctx.globalAlpha = 0.8;
+  ctx.beginPath();
+  trail.points.forEach((p, i) => {
+    const { x, y } = toPx(ctx, p.x, p.y);
+    if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+  });
+  ctx.strokeStyle = trail.color === 'transparent' ? '#ffffff' : trail.color;
+  ctx.lineWidth   = pxSize(ctx, 2);
+  ctx.lineJoin    = 'round';
+  ctx.setLineDash([ctx.lineWidth * 3, ctx.lineWidth * 3]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.globalAlpha = 0.35;
+  const start = trail.points[0];
+  drawToken(ctx, { ...trail, x: start.x, y: start.y }, opts);
+  ctx.restore();
+}
+
+// ── Pings ─────────────────────────────────────────────────────
+// A ping is a 40px ring that grows from 0.1× to 2.5× while its border thins
+// from 8px to 1px and it fades out, eased like the .ping-blip animation.
+const PING_MS = 800;
+
+// CSS cubic-bezier() timing function: solves x(u) = p for u, returns y(u)
+function cubicBezier(x1, y1, x2, y2) {
+  const at = (a, b, u) => 3 * a * u * (1 - u) ** 2 + 3 * b * u * u * (1 - u) + u ** 3;
+  return p => {
+    let lo = 0, hi = 1, u = p;
+    for (let i = 0; i < 20; i++) {
+      if (at(x1, x2, u) < p) lo = u; else hi = u;
+      u = (lo + hi) / 2;
+    }
+    return at(y1, y2, u);
+  };
+}
+const pingEase = cubicBezier(0.2, 0.8, 0.2, 1);
+
+function drawPing(ctx, ping, now, opts = {}) {
+  const age = now - ping.timestamp;
+  if (age < 0 || age >= PING_MS) return;
+  const e = pingEase(age / PING_MS);
+  const k = (opts.tokenScale ?? pxSize(ctx, 1)) * (0.1 + 2.4 * e);
+  const border = 8 - 7 * e;
+  const { x, y } = toPx(ctx, ping.x, ping.y);
+  ctx.save();
+  ctx.globalAlpha = 1 - e;
+  ctx.strokeStyle = ping.color;
+  ctx.lineWidth   = border * k;
+  ctx.beginPath();
+  ctx.arc(x, y, (20 - border / 2) * k, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// ── Whole board ───────────────────────────────────────────────
+// board: { pitch, zones, strokes, arrows, texts, tokens, trails } with tokens
+// as a list or an id map. Trails are only drawn for tokens still on the board.
+// Optional: lasers and pings (with timestamps, drawn as they look at board.now)
+// and live, the strokes other people are still drawing.
+
+// Everything drawn on the lines layer. Eraser strokes clear what is under
+// them, so this wants a transparent context of its own — unless opts.vector,
+// where they paint the pitch back instead.
+function renderDrawings(ctx, board, opts = {}) {
+  const tokens = tokenMap(board.tokens);
+  (board.zones || []).forEach(z => renderZone(ctx, z)); // areas sit under the lines
+  Object.entries(board.trails || {}).forEach(([id, t]) => { if (tokens[id]) renderTrail(ctx, t, opts); });
+  (board.strokes || []).forEach(s => {
+    if (opts.vector && s.tool === 'erase') erasePitch(ctx, s, board.pitch);
+    else renderStroke(ctx, s);
+  });
+  (board.arrows || []).forEach(a => renderArrow(ctx, a));
+  (board.texts || []).forEach(t => renderText(ctx, t));
+  renderLasers(ctx, board.lasers || [], board.now);
+}
+
+function renderTokens(ctx, board, opts = {}) {
+  Object.values(tokenMap(board.tokens)).forEach(t => drawToken(ctx, t, opts));
+}
+
+// SVG and PDF have no compositing to erase with, so an eraser stroke clips to
+// its own outline (a disc per point, a band per segment) and repaints the pitch
+function erasePitch(ctx, stroke, pitch) {
+  if (!stroke.points || stroke.points.length < 2) return;
+  const r = pxSize(ctx, stroke.width) / 2;
+  const pts = stroke.points.map(p => toPx(ctx, p.x, p.y));
+  ctx.save();
+  ctx.beginPath();
+  pts.forEach((p, i) => {
+    ctx.moveTo(p.x + r, p.y);
+    ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+    const q = pts[i + 1];
+    const len = q && Math.hypot(q.x - p.x, q.y - p.y);
+    if (!len) return;
+    // Wound the same way as the discs, so the non-zero clip is their union
+    const nx = (p.y - q.y) / len * r, ny = (q.x - p.x) / len * r;
+    ctx.moveTo(p.x - nx, p.y - ny);
+    ctx.lineTo(q.x - nx, q.y - ny);
+    ctx.lineTo(q.x + nx, q.y + ny);
+    ctx.lineTo(p.x + nx, p.y + ny);
+    ctx.closePath();
+  });
+  ctx.clip();
+  const { width, height } = boardSize(ctx);
+  renderPitch(ctx, width, height, pitch);
+  ctx.restore();
+}
+
+// The full picture. opts.layer is a spare canvas the size of ctx's for the
+// lines; without one (opts.vector) everything is drawn straight onto ctx.
+// opts.size ({ width, height }) draws at that size instead of ctx.canvas's.
+function renderBoard(ctx, board, opts) {
+  if (!opts.size) return drawBoard(ctx, board, opts);
+  boardSizes.set(ctx, opts.size);
+  try {
+    drawBoard(ctx, board, opts);
+  } finally {
+    boardSizes.delete(ctx);
+  }
+}
+
+function drawBoard(ctx, board, opts) {
+  const { width: w, height: h } = boardSize(ctx);
+  if (!opts.layer) {
+    renderPitch(ctx, w, h, board.pitch);
+    renderDrawings(ctx, board, opts);
+    renderTokens(ctx, board, opts);
+    return;
+  }
+  const layer = opts.layer.getContext('2d');
+  layer.clearRect(0, 0, w, h);
+  renderDrawings(layer, board, opts);
+  ctx.clearRect(0, 0, w, h);
+  renderPitch(ctx, w, h, board.pitch);
+  ctx.drawImage(opts.layer, 0, 0, w, h);
+  (board.live || []).forEach(s => renderLiveStroke(ctx, s));
+  renderTokens(ctx, board, opts);
+  (board.pings || []).forEach(p => drawPing(ctx, p, board.now, opts));
+}
+
+function tokenMap(tokens) {
+  if (!Array.isArray(tokens)) return tokens || {};
+  return Object.fromEntries(tokens.map(t => [t.id, t]));
+}
+
+return {
+  PITCH_W, PITCH_H, PITCH_TEMPLATES, ICONS, TEXT_FONT, TEXT_PADDING, TEXT_LINE_HEIGHT,
+  LASER_FADE, PING_MS,
+  renderPitch, pitchField, renderStroke, renderLaser, renderLasers, renderLiveStroke, renderArrow, arrowPathPoints, drawArrowPath,
+  strokePolyline, trimPolyline, zoneBounds, traceZone, renderZone, layoutText, rotatePoint, renderText,
+  drawToken, renderTrail, drawPing, renderDrawings, renderTokens, renderBoard
+};
+});
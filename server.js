@@ -3,7 +3,13 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const { spawn, spawnSync } = require('child_process');
 const { Pool } = require('pg');
+const { createCanvas, loadImage, Path2D, PDFDocument, SvgExportFlag } = require('@napi-rs/canvas');
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+const BoardRender = require('./public/board-render');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,11 +27,84 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.get('/api/rooms', (req, res) => {
   const list = Object.keys(rooms).map(id => ({
     id,
-    users: Object.keys(rooms[id].users).length
+    users: Object.keys(rooms[id].users).length,
+    locked: !!rooms[id].password
   })).filter(r => r.users > 0);  // only show rooms with active users
   res.json(list);
 });
 
+// Voice-over of a recording, fetched whole by the replaying browsers.
+// ?token= comes from the room's socket ('recording-token', purpose 'audio').
+app.get('/api/recordings/:id/audio', async (req, res) => {
+  const recId = parseInt(req.params.id, 10);
+  const grant = redeemFileToken(req.query.token, recId, 'audio');
+  if (!grant) return res.status(403).json({ error: 'Ask the room for a fresh token' });
+  if (!grant.recording.audio) return res.status(404).json({ error: 'No voice-over for this recording' });
+  const audio = await loadRecordingAudio(recId);
+  if (!audio) return res.status(404).json({ error: 'No voice-over for this recording' });
+  res.type(grant.recording.audio.type).send(audio);
+});
+
+// The recorder's microphone, sent once their browser has finished encoding it:
+// the raw audio as the body, ?token= (purpose 'voice-over') and ?offset= in ms
+app.post('/api/recordings/:id/audio',
+  // Built per request: the voice-over limits are declared further down
+  (req, res, next) => express.raw({ type: isAudioUpload, limit: AUDIO_MAX_BYTES })(req, res, next),
+  (req, res) => {
+    const recId = parseInt(req.params.id, 10);
+    const grant = redeemFileToken(req.query.token, recId, 'voice-over');
+    if (!grant) return res.status(403).json({ error: 'Ask the room for a fresh token' });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(415).json({ error: `Send the audio as one of ${AUDIO_TYPES.join(', ')}` });
+    }
+    const { recording, roomId } = grant;
+    recording.audio = { type: req.get('Content-Type').split(';')[0], offset: Math.round(Number(req.query.offset) || 0) };
+    saveRecordingAudio(recId, req.body)
+      .then(() => updateRecordingInDB(recording))
+      .then(() => saveRecordings());
+    io.to(roomId).emit('recordings-list', getRecordingsList(roomId));
+    console.log(`[+] Voice-over (${Math.round(req.body.length / 1024)} KB) added to recording ${recId} in room ${roomId}`);
+    res.json({ ok: true });
+  },
+  (err, req, res, next) => {
+    res.status(err.status || 400).json({ error: err.status === 413 ? 'The voice-over is too long' : 'Upload failed' });
+  });
+
+// A recording rendered to GIF (or MP4/WebM with ffmpeg) without replaying it
+// in the room: ?token=&format=gif|mp4|webm&width=720&fps=10, the token from
+// the room's socket ('recording-token', purpose 'video'). Each socket gets one
+// export at a time, and only a few wait in line in all.
+app.get('/api/recordings/:id/video', async (req, res) => {
+  const recId = parseInt(req.params.id, 10);
+  const grant = redeemFileToken(req.query.token, recId, 'video');
+  if (!grant) return res.status(403).json({ error: 'Ask the room for a fresh token' });
+  const { recording, socketId } = grant;
+  const opts = videoOptions(req.query);
+  if (opts.format !== 'gif' && !hasFfmpeg()) {
+    return res.status(501).json({ error: `${opts.format} export needs ffmpeg on the server; use format=gif` });
+  }
+  try {
+    const video = await queueRender(socketId, () => renderRecordingVideo(recording, opts));
+    res.type(VIDEO_FORMATS[opts.format]).attachment(`tac-board-recording-${recId}.${opts.format}`).send(video);
+    console.log(`[+] Rendered recording ${recId} as ${opts.width}×${opts.height} ${opts.format} at ${opts.fps} fps`);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('[!] Error rendering recording:', err.message);
+    res.status(500).json({ error: 'Rendering failed' });
+  }
+});
+
+// A room's preset library, filtered like the presets modal:
+// ?token=…&q=press&tag=defence&folder=U12&sort=date|name&order=asc|desc
+// The token comes from 'presets-token' on a socket that joined the room.
+app.get('/api/presets', (req, res) => {
+  const grant = takeFileToken(req.query.token, null, 'presets');
+  if (!grant) return res.status(403).json({ error: 'Ask the room for a fresh token' });
+  const roomId = grant.roomId;
+  const list = boardPresets[roomId] ? getBoardPresetsList(roomId) : [];
+  res.json(filterPresets(list, req.query));
+});
+
 app.get('/health', (req, res) => {
   const totalUsers = Object.values(rooms).reduce((sum, r) => sum + Object.keys(r.users).length, 0);
   res.json({
@@ -66,17 +145,33 @@ async function initDatabase() {
     await db.query(`
       CREATE TABLE IF NOT EXISTS presets (
         id SERIAL PRIMARY KEY,
+        room TEXT NOT NULL DEFAULT 'lobby',
         name TEXT NOT NULL,
         timestamp BIGINT NOT NULL,
         data JSONB NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    // Tables created before presets were room-scoped lack the room column
+    await db.query(`ALTER TABLE presets ADD COLUMN IF NOT EXISTS room TEXT NOT NULL DEFAULT 'lobby'`);
     console.log('[+] Presets table created/verified');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS session_plans (
+        id SERIAL PRIMARY KEY,
+        room TEXT NOT NULL,
+        title TEXT NOT NULL,
+        timestamp BIGINT NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('[+] Session plans table created/verified');
     
     await db.query(`
       CREATE TABLE IF NOT EXISTS recordings (
         id SERIAL PRIMARY KEY,
+        room TEXT NOT NULL DEFAULT 'lobby',
         name TEXT NOT NULL,
         timestamp BIGINT NOT NULL,
         duration INTEGER NOT NULL,
@@ -85,8 +180,19 @@ async function initDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await db.query(`ALTER TABLE recordings ADD COLUMN IF NOT EXISTS room TEXT NOT NULL DEFAULT 'lobby'`);
+    await db.query(`ALTER TABLE recordings ADD COLUMN IF NOT EXISTS audio BYTEA`);
     console.log('[+] Recordings table created/verified');
     
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS boards (
+        room TEXT PRIMARY KEY,
+        updated_at BIGINT NOT NULL,
+        data JSONB NOT NULL
+      )
+    `);
+    console.log('[+] Boards table created/verified');
+    
     console.log('[+] Database tables initialized successfully');
   } catch (err) {
     console.error('[!] Database initialization error:', err);
@@ -106,13 +212,41 @@ function getRoom(roomId) {
       strokes: [],        // finished strokes
       tokens: {},         // tokenId → { id, x, y, color, label, shape }
       arrows: [],         // finished arrows
+      zones: [],          // shaded areas: rectangles, ellipses, polygons
+      texts: [],          // text annotations
       nextTokenId: 1,
       nextArrowId: 1,
+      nextZoneId: 1,
+      nextTextId: 1,
+      roster: [],         // named players: { id, name, number, position, initials }
+      nextPlayerId: 1,
+      kits: defaultKits(), // team → { kit, gk } shirt colours
+      trails: {},         // tokenId → latest movement trail, not saved
+      passes: [],         // pass log, oldest first: { ballId, from, to, fromLabel, toLabel, at }
+      animation: defaultAnimation(), // keyframes: { duration, easing, tracks: tokenId → [{ t, x, y }] }
+      animPlay: { time: 0, from: 0, startedAt: 0, timer: null }, // playhead, not saved
       colorIndex: 0,
+      owner: null,        // username of the room creator
+      ownerKey: null,     // secret handed to the creator so they can reclaim ownership
+      password: null,     // { salt, hash } when the room is password protected
+      defaultRole: 'analyst',
+      roles: {},          // user key → role assigned by a coach
+      history: { undo: [], redo: [], sent: null },  // shared undo/redo operation log
+      frames: [null],     // phase sequence; the current frame's slot is null because it lives in strokes/arrows/tokens
+      frameIndex: 0,
+      pitch: 'full',      // pitch template drawn under the board
+      lastSaved: null,    // serialized board at the last autosave
       rec: { active: false, start: 0, snapshot: null, timeline: [] },
-      rep: { active: false, interval: null, preSnap: null, currentRecId: null, isPlaying: false, playbackPosition: 0, lastTick: 0 }
+      rep: { active: false, interval: null, preSnap: null, currentRecId: null, isPlaying: false, playbackPosition: 0, lastTick: 0, rate: 1 }
     };
-    console.log(`[+] Room "${roomId}" created`);
+    const saved = savedBoards[roomId];
+    if (saved) {
+      hydrateRoom(rooms[roomId], saved.data);
+      rooms[roomId].lastSaved = JSON.stringify(saved.data);
+      console.log(`[+] Room "${roomId}" restored from saved board`);
+    } else {
+      console.log(`[+] Room "${roomId}" created`);
+    }
   }
   return rooms[roomId];
 }
@@ -122,29 +256,47 @@ const socketRooms = {};
 
 const disconnectTimers = {}; // socketId → setTimeout handle for grace-period removal
 
-// ── Recording / Replay (global, shared across rooms) ─────────
+// Maps socketId → the user key it joined with. Keys are handed out by the
+// server and kept by the browser per room; roles follow the key, not the name.
+const socketUserKeys = {};
+
+// ── Recording / Replay (scoped per room) ─────────────────────
+// Recordings are grouped by the room they were made in; ids stay globally unique.
 const RECORDINGS_FILE = path.join(__dirname, 'board-recordings.json');
-let recordings = [];
+let recordings = {};  // roomId → [recording]
 let nextRecId = 1;
 
+function getRoomRecordings(roomId) {
+  if (!recordings[roomId]) recordings[roomId] = [];
+  return recordings[roomId];
+}
+
 // Load recordings from database or file
 async function loadRecordings() {
   if (useDatabase && db) {
     try {
-      const result = await db.query('SELECT * FROM recordings ORDER BY id ASC');
-      recordings = result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        timestamp: parseInt(row.timestamp),
-        duration: row.duration,
-        eventCount: row.event_count,
-        snapshot: row.data.snapshot,
-        timeline: row.data.timeline
-      }));
-      if (recordings.length > 0) {
-        nextRecId = Math.max(...recordings.map(r => r.id)) + 1;
+      // Voice-over audio stays in the database until someone plays it
+      const result = await db.query(
+        'SELECT id, room, name, timestamp, duration, event_count, data FROM recordings ORDER BY id ASC'
+      );
+      recordings = {};
+      result.rows.forEach(row => {
+        getRoomRecordings(row.room || 'lobby').push({
+          id: row.id,
+          name: row.name,
+          timestamp: parseInt(row.timestamp),
+          duration: row.duration,
+          eventCount: row.event_count,
+          snapshot: row.data.snapshot,
+          timeline: row.data.timeline,
+          audio: row.data.audio,
+          byKey: row.data.byKey
+        });
+      });
+      if (result.rows.length > 0) {
+        nextRecId = Math.max(...result.rows.map(r => r.id)) + 1;
       }
-      console.log(`[+] Loaded ${recordings.length} recordings from database`);
+      console.log(`[+] Loaded ${result.rows.length} recordings from database`);
       return;
     } catch (err) {
       console.error('[!] Error loading recordings from database:', err.message);
@@ -156,9 +308,17 @@ async function loadRecordings() {
     if (fs.existsSync(RECORDINGS_FILE)) {
       const data = fs.readFileSync(RECORDINGS_FILE, 'utf8');
       const parsed = JSON.parse(data);
-      recordings = parsed.recordings || [];
+      recordings = {};
+      Object.entries(parsed.rooms || {}).forEach(([roomId, section]) => {
+        recordings[roomId] = section.recordings || [];
+      });
+      // Files written before recordings were room-scoped keep a flat list
+      if (Array.isArray(parsed.recordings)) {
+        getRoomRecordings('lobby').push(...parsed.recordings);
+      }
       nextRecId = parsed.nextId || 1;
-      console.log(`[+] Loaded ${recordings.length} recordings from file`);
+      const count = Object.values(recordings).reduce((sum, list) => sum + list.length, 0);
+      console.log(`[+] Loaded ${count} recordings from file`);
     }
   } catch (err) {
     console.error('[!] Error loading recordings from file:', err.message);
@@ -168,8 +328,12 @@ async function loadRecordings() {
 // Save recordings to file (backup)
 async function saveRecordings() {
   try {
+    const byRoom = {};
+    Object.entries(recordings).forEach(([roomId, list]) => {
+      if (list.length) byRoom[roomId] = { recordings: list };
+    });
     const data = JSON.stringify({
-      recordings: recordings,
+      rooms: byRoom,
       nextId: nextRecId
     }, null, 2);
     fs.writeFileSync(RECORDINGS_FILE, data, 'utf8');
@@ -179,13 +343,13 @@ async function saveRecordings() {
 }
 
 // Add recording to database
-async function addRecordingToDB(recording) {
+async function addRecordingToDB(roomId, recording) {
   if (!useDatabase || !db) return;
   try {
     await db.query(
-      'INSERT INTO recordings (id, name, timestamp, duration, event_count, data) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
-      [recording.id, recording.name, recording.timestamp, recording.duration, recording.eventCount,
-        JSON.stringify({ snapshot: recording.snapshot, timeline: recording.timeline })]
+      'INSERT INTO recordings (id, room, name, timestamp, duration, event_count, data) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+      [recording.id, roomId, recording.name, recording.timestamp, recording.duration, recording.eventCount,
+        JSON.stringify({ snapshot: recording.snapshot, timeline: recording.timeline, audio: recording.audio, byKey: recording.byKey })]
     );
     console.log(`[+] Recording ${recording.id} saved to database`);
   } catch (err) {
@@ -197,8 +361,11 @@ async function addRecordingToDB(recording) {
 async function updateRecordingInDB(recording) {
   if (!useDatabase || !db) return;
   try {
-    await db.query('UPDATE recordings SET name = $1, timestamp = $2 WHERE id = $3',
-      [recording.name, recording.timestamp, recording.id]);
+    await db.query(
+      'UPDATE recordings SET name = $1, timestamp = $2, duration = $3, event_count = $4, data = $5 WHERE id = $6',
+      [recording.name, recording.timestamp, recording.duration, recording.eventCount,
+        JSON.stringify({ snapshot: recording.snapshot, timeline: recording.timeline, audio: recording.audio, byKey: recording.byKey }), recording.id]
+    );
     console.log(`[+] Recording ${recording.id} updated in database`);
   } catch (err) {
     console.error('[!] Error updating recording in database:', err.message);
@@ -216,28 +383,138 @@ async function deleteRecordingFromDB(recId) {
   }
 }
 
-// ── Board Presets (global, shared across rooms) ───────────────
+// ── Voice-overs ───────────────────────────────────────────────
+// The audio of a recording lives apart from it — in the audio column, or as a
+// file in recording-audio/ — and is only read when someone plays it.
+// recording.audio holds { type, offset }: offset is the ms into the recording
+// at which the audio starts (negative once the start has been trimmed off).
+const AUDIO_DIR = path.join(__dirname, 'recording-audio');
+const AUDIO_MAX_BYTES = 15 * 1024 * 1024;
+const AUDIO_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4'];
+
+// ── Recording file tokens ─────────────────────────────────────
+// Voice-overs, videos and the preset library travel over HTTP, away from the
+// socket that proved its user may see the room. That socket asks for a token
+// first; each one is good for one recording (or none, for presets), one
+// purpose and one request, within a minute.
+const FILE_TOKEN_TTL = 60 * 1000;
+const fileTokens = new Map(); // token → { roomId, recId, purpose, socketId, expires }
+
+function issueFileToken(roomId, recId, purpose, socketId) {
+  const now = Date.now();
+  fileTokens.forEach((entry, token) => { if (entry.expires < now) fileTokens.delete(token); });
+  const token = crypto.randomBytes(16).toString('hex');
+  fileTokens.set(token, { roomId, recId, purpose, socketId, expires: now + FILE_TOKEN_TTL });
+  return token;
+}
+
+// The token's entry if it matches, otherwise null; either way it is used up
+function takeFileToken(token, recId, purpose) {
+  const entry = typeof token === 'string' && fileTokens.get(token);
+  if (!entry) return null;
+  fileTokens.delete(token);
+  if (entry.recId !== recId || entry.purpose !== purpose || entry.expires < Date.now()) return null;
+  return entry;
+}
+
+// { roomId, recording, socketId } for a valid token, otherwise null
+function redeemFileToken(token, recId, purpose) {
+  const entry = takeFileToken(token, recId, purpose);
+  if (!entry) return null;
+  const recording = getRoomRecordings(entry.roomId).find(r => r.id === recId);
+  return recording ? { roomId: entry.roomId, recording, socketId: entry.socketId } : null;
+}
+
+function isAudioUpload(req) {
+  return AUDIO_TYPES.includes(req.get('Content-Type')?.split(';')[0]);
+}
+
+function audioFile(recId) {
+  return path.join(AUDIO_DIR, `${recId}.audio`);
+}
+
+async function saveRecordingAudio(recId, buffer) {
+  if (useDatabase && db) {
+    try {
+      const result = await db.query('UPDATE recordings SET audio = $1 WHERE id = $2', [buffer, recId]);
+      if (result.rowCount) return;
+    } catch (err) {
+      console.error('[!] Error saving voice-over to database:', err.message);
+    }
+  }
+  try {
+    fs.mkdirSync(AUDIO_DIR, { recursive: true });
+    fs.writeFileSync(audioFile(recId), buffer);
+  } catch (err) {
+    console.error('[!] Error saving voice-over to file:', err.message);
+  }
+}
+
+async function loadRecordingAudio(recId) {
+  if (useDatabase && db) {
+    try {
+      const result = await db.query('SELECT audio FROM recordings WHERE id = $1', [recId]);
+      if (result.rows[0]?.audio) return result.rows[0].audio;
+    } catch (err) {
+      console.error('[!] Error loading voice-over from database:', err.message);
+    }
+  }
+  try {
+    return fs.readFileSync(audioFile(recId));
+  } catch {
+    return null;
+  }
+}
+
+async function deleteRecordingAudio(recId) {
+  if (useDatabase && db) {
+    try {
+      await db.query('UPDATE recordings SET audio = NULL WHERE id = $1', [recId]);
+    } catch (err) {
+      console.error('[!] Error deleting voice-over from database:', err.message);
+    }
+  }
+  fs.rmSync(audioFile(recId), { force: true });
+}
+
+// ── Board Presets (scoped per room) ───────────────────────────
 const PRESETS_FILE = path.join(__dirname, 'board-presets.json');
-let boardPresets = [];
+let boardPresets = {};  // roomId → [preset]
 let nextPresetId = 1;
 
+function getRoomPresets(roomId) {
+  if (!boardPresets[roomId]) boardPresets[roomId] = [];
+  return boardPresets[roomId];
+}
+
 // Load presets from database or file
 async function loadPresets() {
   if (useDatabase && db) {
     try {
       const result = await db.query('SELECT * FROM presets ORDER BY id ASC');
-      boardPresets = result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        timestamp: parseInt(row.timestamp),
-        strokes: row.data.strokes || [],
-        arrows: row.data.arrows || [],
-        tokens: row.data.tokens || []
-      }));
-      if (boardPresets.length > 0) {
-        nextPresetId = Math.max(...boardPresets.map(p => p.id)) + 1;
+      boardPresets = {};
+      result.rows.forEach(row => {
+        getRoomPresets(row.room || 'lobby').push({
+          id: row.id,
+          name: row.name,
+          timestamp: parseInt(row.timestamp),
+          strokes: row.data.strokes || [],
+          arrows: row.data.arrows || [],
+          zones: row.data.zones || [],
+          texts: row.data.texts || [],
+          tokens: row.data.tokens || [],
+          frames: row.data.frames,
+          pitch: row.data.pitch,
+          roster: row.data.roster,
+          tags: row.data.tags || [],
+          folder: row.data.folder || '',
+          thumbnail: row.data.thumbnail
+        });
+      });
+      if (result.rows.length > 0) {
+        nextPresetId = Math.max(...result.rows.map(p => p.id)) + 1;
       }
-      console.log(`[+] Loaded ${boardPresets.length} board presets from database`);
+      console.log(`[+] Loaded ${result.rows.length} board presets from database`);
       return;
     } catch (err) {
       console.error('[!] Error loading presets from database:', err.message);
@@ -249,9 +526,17 @@ async function loadPresets() {
     if (fs.existsSync(PRESETS_FILE)) {
       const data = fs.readFileSync(PRESETS_FILE, 'utf8');
       const parsed = JSON.parse(data);
-      boardPresets = parsed.presets || [];
+      boardPresets = {};
+      Object.entries(parsed.rooms || {}).forEach(([roomId, section]) => {
+        boardPresets[roomId] = section.presets || [];
+      });
+      // Files written before presets were room-scoped keep a flat list
+      if (Array.isArray(parsed.presets)) {
+        getRoomPresets('lobby').push(...parsed.presets);
+      }
       nextPresetId = parsed.nextId || 1;
-      console.log(`[+] Loaded ${boardPresets.length} board presets from file`);
+      const count = Object.values(boardPresets).reduce((sum, list) => sum + list.length, 0);
+      console.log(`[+] Loaded ${count} board presets from file`);
     }
   } catch (err) {
     console.error('[!] Error loading presets from file:', err.message);
@@ -261,8 +546,12 @@ async function loadPresets() {
 // Save presets to file (backup)
 async function savePresets() {
   try {
+    const byRoom = {};
+    Object.entries(boardPresets).forEach(([roomId, list]) => {
+      if (list.length) byRoom[roomId] = { presets: list };
+    });
     const data = JSON.stringify({
-      presets: boardPresets,
+      rooms: byRoom,
       nextId: nextPresetId
     }, null, 2);
     fs.writeFileSync(PRESETS_FILE, data, 'utf8');
@@ -272,12 +561,20 @@ async function savePresets() {
 }
 
 // Preset DB helpers
-async function addPresetToDB(preset) {
+function presetData(preset) {
+  return JSON.stringify({
+    strokes: preset.strokes, arrows: preset.arrows, zones: preset.zones, texts: preset.texts, tokens: preset.tokens,
+    frames: preset.frames, pitch: preset.pitch, roster: preset.roster,
+    tags: preset.tags, folder: preset.folder, thumbnail: preset.thumbnail
+  });
+}
+
+async function addPresetToDB(roomId, preset) {
   if (!useDatabase || !db) return;
   try {
-    await db.query('INSERT INTO presets (id, name, timestamp, data) VALUES ($1, $2, $3, $4) RETURNING id',
-      [preset.id, preset.name, preset.timestamp,
-        JSON.stringify({ strokes: preset.strokes, arrows: preset.arrows, tokens: preset.tokens })]);
+    await db.query('INSERT INTO presets (id, room, name, timestamp, data) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [preset.id, roomId, preset.name, preset.timestamp,
+        presetData(preset)]);
     console.log(`[+] Preset ${preset.id} saved to database`);
   } catch (err) { console.error('[!] Error saving preset to database:', err.message); }
 }
@@ -295,44 +592,403 @@ async function updatePresetInDB(preset) {
   try {
     await db.query('UPDATE presets SET name = $1, timestamp = $2, data = $3 WHERE id = $4',
       [preset.name, preset.timestamp,
-        JSON.stringify({ strokes: preset.strokes, arrows: preset.arrows, tokens: preset.tokens }),
+        presetData(preset),
         preset.id]);
     console.log(`[+] Preset ${preset.id} updated in database`);
   } catch (err) { console.error('[!] Error updating preset in database:', err.message); }
 }
 
-function getBoardPresetsList() {
-  return boardPresets.map(p => ({
+function getBoardPresetsList(roomId) {
+  return getRoomPresets(roomId).map(p => ({
     id: p.id,
     name: p.name,
     timestamp: p.timestamp,
     strokeCount: (p.strokes || []).length,
     arrowCount: (p.arrows || []).length,
-    tokenCount: Object.keys(p.tokens || {}).length
+    zoneCount: (p.zones || []).length,
+    textCount: (p.texts || []).length,
+    playerCount: (p.roster || []).length,
+    tokenCount: Object.keys(p.tokens || {}).length,
+    frameCount: (p.frames || []).length || 1,
+    tags: p.tags || [],
+    folder: p.folder || '',
+    thumbnail: p.thumbnail || null
   }));
 }
 
-function getRecordingsList() {
-  console.log(`[DEBUG] getRecordingsList called. recordings.length = ${recordings.length}`);
-  return recordings.map(r => ({
+// ── Preset library (thumbnails, tags, folders) ────────────────
+// Each preset keeps a small WebP of its first frame, drawn when it is saved,
+// so the library can show it without loading the board. `thumbnail` is false
+// when drawing failed, so it isn't tried again on every start.
+const PRESET_THUMB_WIDTH = 240;
+const PRESET_TAG_LIMIT   = 12;
+
+async function presetThumbnail(preset) {
+  try {
+    const width  = PRESET_THUMB_WIDTH;
+    const height = Math.round(width * PITCH_H / PITCH_W);
+    const canvas = createCanvas(width, height);
+    const board  = { ...(preset.frames ? preset.frames[0] : preset), pitch: preset.pitch };
+    BoardRender.renderBoard(canvas.getContext('2d'), board, {
+      layer: createCanvas(width, height), icons: await loadBoardIcons(), tokenScale: width / PITCH_W
+    });
+    return `data:image/webp;base64,${canvas.toBuffer('image/webp', 80).toString('base64')}`;
+  } catch (err) {
+    console.error(`[!] Error drawing thumbnail for preset ${preset.id}:`, err.message);
+    return false;
+  }
+}
+
+// Presets saved before thumbnails existed get theirs once, in the background
+// after startup, yielding between presets so rooms are served meanwhile
+async function fillPresetThumbnails() {
+  const missing = Object.entries(boardPresets)
+    .flatMap(([roomId, list]) => list.filter(p => p.thumbnail == null).map(preset => ({ roomId, preset })));
+  for (const { preset } of missing) {
+    preset.thumbnail = await presetThumbnail(preset);
+    await updatePresetInDB(preset);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  if (missing.length) {
+    await savePresets();
+    new Set(missing.map(m => m.roomId)).forEach(roomId => io.to(roomId).emit('presets-list', getBoardPresetsList(roomId)));
+    console.log(`[+] Drew thumbnails for ${missing.length} presets`);
+  }
+}
+
+// Tags are short lowercase words (letters, digits, '-', '_', spaces) without
+// the '#'; a folder is one plain name
+function cleanTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const clean = tags.map(t => String(t).replace(/[^\p{L}\p{N} _-]/gu, '').trim().toLowerCase().substring(0, 30)).filter(Boolean);
+  return [...new Set(clean)].slice(0, PRESET_TAG_LIMIT);
+}
+
+function cleanFolder(folder) {
+  return typeof folder === 'string' ? folder.trim().substring(0, 60) : '';
+}
+
+// Library search: every word of q must appear in the name, folder or a tag;
+// tag and folder match exactly ('' is the unfiled presets). Newest first by
+// default, A–Z when sorting by name.
+function filterPresets(list, { q, tag, folder, sort, order } = {}) {
+  const words = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const wantTag = typeof tag === 'string' ? cleanTags([tag])[0] : undefined;
+  const wantFolder = typeof folder === 'string' ? cleanFolder(folder) : undefined;
+  const byName = sort === 'name';
+  const dir = order === 'asc' || order === 'desc' ? (order === 'asc' ? 1 : -1) : (byName ? 1 : -1);
+  return list
+    .filter(p => {
+      if (wantTag && !p.tags.includes(wantTag)) return false;
+      if (wantFolder !== undefined && p.folder !== wantFolder) return false;
+      const text = [p.name, p.folder, ...p.tags].join(' ').toLowerCase();
+      return words.every(w => text.includes(w));
+    })
+    .sort((a, b) => dir * (byName
+      ? a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true })
+      : a.timestamp - b.timestamp));
+}
+
+// ── Session plans (scoped per room) ───────────────────────────
+// A plan is an ordered list of drills, each pointing at one of the room's
+// presets: { id, title, timestamp, drills: [{ presetId, description,
+// duration (minutes), players, equipment }] }
+const PLANS_FILE = path.join(__dirname, 'board-plans.json');
+const PLAN_DRILL_LIMIT = 40;
+let sessionPlans = {};  // roomId → [plan]
+let nextPlanId = 1;
+
+function getRoomPlans(roomId) {
+  if (!sessionPlans[roomId]) sessionPlans[roomId] = [];
+  return sessionPlans[roomId];
+}
+
+async function loadPlans() {
+  if (useDatabase && db) {
+    try {
+      const result = await db.query('SELECT * FROM session_plans ORDER BY id ASC');
+      sessionPlans = {};
+      result.rows.forEach(row => {
+        getRoomPlans(row.room).push({
+          id: row.id,
+          title: row.title,
+          timestamp: parseInt(row.timestamp),
+          drills: row.data.drills || []
+        });
+      });
+      if (result.rows.length > 0) {
+        nextPlanId = Math.max(...result.rows.map(p => p.id)) + 1;
+      }
+      console.log(`[+] Loaded ${result.rows.length} session plans from database`);
+      return;
+    } catch (err) {
+      console.error('[!] Error loading session plans from database:', err.message);
+    }
+  }
+
+  try {
+    if (fs.existsSync(PLANS_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(PLANS_FILE, 'utf8'));
+      sessionPlans = {};
+      Object.entries(parsed.rooms || {}).forEach(([roomId, section]) => {
+        sessionPlans[roomId] = section.plans || [];
+      });
+      nextPlanId = parsed.nextId || 1;
+      const count = Object.values(sessionPlans).reduce((sum, list) => sum + list.length, 0);
+      console.log(`[+] Loaded ${count} session plans from file`);
+    }
+  } catch (err) {
+    console.error('[!] Error loading session plans from file:', err.message);
+  }
+}
+
+// Save session plans to file (backup)
+async function savePlans() {
+  try {
+    const byRoom = {};
+    Object.entries(sessionPlans).forEach(([roomId, list]) => {
+      if (list.length) byRoom[roomId] = { plans: list };
+    });
+    const data = JSON.stringify({
+      rooms: byRoom,
+      nextId: nextPlanId
+    }, null, 2);
+    fs.writeFileSync(PLANS_FILE, data, 'utf8');
+  } catch (err) {
+    console.error('[!] Error saving session plans to file:', err.message);
+  }
+}
+
+async function addPlanToDB(roomId, plan) {
+  if (!useDatabase || !db) return;
+  try {
+    await db.query('INSERT INTO session_plans (id, room, title, timestamp, data) VALUES ($1, $2, $3, $4, $5)',
+      [plan.id, roomId, plan.title, plan.timestamp, JSON.stringify({ drills: plan.drills })]);
+    console.log(`[+] Session plan ${plan.id} saved to database`);
+  } catch (err) { console.error('[!] Error saving session plan to database:', err.message); }
+}
+
+async function updatePlanInDB(plan) {
+  if (!useDatabase || !db) return;
+  try {
+    await db.query('UPDATE session_plans SET title = $1, timestamp = $2, data = $3 WHERE id = $4',
+      [plan.title, plan.timestamp, JSON.stringify({ drills: plan.drills }), plan.id]);
+    console.log(`[+] Session plan ${plan.id} updated in database`);
+  } catch (err) { console.error('[!] Error updating session plan in database:', err.message); }
+}
+
+async function deletePlanFromDB(planId) {
+  if (!useDatabase || !db) return;
+  try {
+    await db.query('DELETE FROM session_plans WHERE id = $1', [planId]);
+    console.log(`[+] Session plan ${planId} deleted from database`);
+  } catch (err) { console.error('[!] Error deleting session plan from database:', err.message); }
+}
+
+function cleanDrill(fields) {
+  const count = (n, max) => Math.max(0, Math.min(max, parseInt(n, 10) || 0));
+  return {
+    presetId:    Number.isInteger(fields.presetId) ? fields.presetId : null,
+    description: String(fields.description || '').slice(0, 2000),
+    duration:    count(fields.duration, 600),
+    players:     count(fields.players, 99),
+    equipment:   String(fields.equipment || '').trim().slice(0, 200)
+  };
+}
+
+function getRecordingsList(roomId) {
+  return getRoomRecordings(roomId).map(r => ({
     id: r.id,
     name: r.name,
     timestamp: r.timestamp,
     duration: r.duration,
-    eventCount: r.eventCount
+    eventCount: r.eventCount,
+    audio: !!r.audio
   }));
 }
 
+// ── Live board persistence ────────────────────────────────────
+// Rooms are autosaved while in use and flushed when the last user leaves.
+// Saved boards are read once at startup and restored lazily by getRoom().
+const BOARDS_FILE = path.join(__dirname, 'board-rooms.json');
+const BOARD_AUTOSAVE_MS = 5000;
+// Abandoned rooms are forgotten after this many days without changes (0 keeps them forever)
+const ROOM_RETENTION_DAYS = Number(process.env.ROOM_RETENTION_DAYS ?? 30);
+let savedBoards = {};  // roomId → { updatedAt, data }
+
+function serializeRoom(room) {
+  // While a replay runs the live board is parked in preSnap
+  const board = room.rep.active ? room.rep.preSnap : room;
+  return {
+    strokes: board.strokes,
+    arrows: board.arrows,
+    zones: board.zones,
+    texts: board.texts,
+    tokens: board.tokens,
+    frames: room.frames.map(f => f && { strokes: f.strokes, arrows: f.arrows, zones: f.zones, texts: f.texts, tokens: f.tokens }),
+    frameIndex: room.frameIndex,
+    pitch: board.pitch,
+    nextTokenId: room.nextTokenId,
+    nextArrowId: room.nextArrowId,
+    nextZoneId: room.nextZoneId,
+    nextTextId: room.nextTextId,
+    roster: room.roster,
+    nextPlayerId: room.nextPlayerId,
+    kits: room.kits,
+    passes: room.passes,
+    animation: room.animation,
+    owner: room.owner,
+    ownerKey: room.ownerKey,
+    password: room.password,
+    defaultRole: room.defaultRole,
+    roles: room.roles
+  };
+}
+
+function hydrateRoom(room, data) {
+  room.strokes     = data.strokes || [];
+  room.arrows      = data.arrows || [];
+  room.zones       = data.zones || [];
+  room.texts       = data.texts || [];
+  room.tokens      = data.tokens || {};
+  room.frames      = data.frames || [null];
+  room.frameIndex  = data.frameIndex || 0;
+  room.pitch       = PITCH_TEMPLATES.includes(data.pitch) ? data.pitch : 'full';
+  room.nextTokenId = data.nextTokenId || 1;
+  room.nextArrowId = data.nextArrowId || 1;
+  room.nextZoneId  = data.nextZoneId || 1;
+  room.nextTextId  = data.nextTextId || 1;
+  room.roster      = data.roster || [];
+  room.nextPlayerId = data.nextPlayerId || 1;
+  room.kits        = { ...defaultKits(), ...data.kits };
+  room.passes      = data.passes || [];
+  room.animation   = data.animation || defaultAnimation();
+  room.owner       = data.owner || null;
+  room.ownerKey    = data.ownerKey || null;
+  room.password    = data.password || null;
+  room.defaultRole = data.defaultRole || room.defaultRole;
+  room.roles       = data.roles || {};
+}
+
+// Room settings count as content once they differ from a fresh room's
+function isRoomWorthKeeping(data) {
+  const changed = (value, fresh) => value !== undefined && JSON.stringify(value) !== JSON.stringify(fresh);
+  return data.strokes.length > 0 || data.arrows.length > 0 ||
+    (data.zones || []).length > 0 || (data.texts || []).length > 0 ||
+    Object.keys(data.tokens).length > 0 || data.frames.length > 1 || !!data.password ||
+    (data.roster || []).length > 0 || changed(data.pitch, 'full') ||
+    changed(data.kits, defaultKits()) || changed(data.animation, defaultAnimation());
+}
+
+function isBoardExpired(entry, now = Date.now()) {
+  return ROOM_RETENTION_DAYS > 0 && now - entry.updatedAt > ROOM_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Load saved boards from database or file
+async function loadSavedBoards() {
+  if (useDatabase && db) {
+    try {
+      const result = await db.query('SELECT * FROM boards');
+      savedBoards = {};
+      result.rows.forEach(row => {
+        savedBoards[row.room] = { updatedAt: parseInt(row.updated_at), data: row.data };
+      });
+      console.log(`[+] Loaded ${result.rows.length} saved boards from database`);
+      await pruneSavedBoards();
+      return;
+    } catch (err) {
+      console.error('[!] Error loading boards from database:', err.message);
+    }
+  }
+
+  // Fallback to file
+  try {
+    if (fs.existsSync(BOARDS_FILE)) {
+      const parsed = JSON.parse(fs.readFileSync(BOARDS_FILE, 'utf8'));
+      savedBoards = parsed.rooms || {};
+      console.log(`[+] Loaded ${Object.keys(savedBoards).length} saved boards from file`);
+      await pruneSavedBoards();
+    }
+  } catch (err) {
+    console.error('[!] Error loading boards from file:', err.message);
+  }
+}
+
+// Save boards to file (backup)
+async function saveBoardsFile() {
+  try {
+    fs.writeFileSync(BOARDS_FILE, JSON.stringify({ rooms: savedBoards }, null, 2), 'utf8');
+  } catch (err) {
+    console.error('[!] Error saving boards to file:', err.message);
+  }
+}
+
+async function saveBoardToDB(roomId, entry) {
+  if (!useDatabase || !db) return;
+  try {
+    await db.query(
+      `INSERT INTO boards (room, updated_at, data) VALUES ($1, $2, $3)
+       ON CONFLICT (room) DO UPDATE SET updated_at = EXCLUDED.updated_at, data = EXCLUDED.data`,
+      [roomId, entry.updatedAt, JSON.stringify(entry.data)]);
+  } catch (err) { console.error('[!] Error saving board to database:', err.message); }
+}
+
+async function deleteBoardsFromDB(roomIds) {
+  if (!useDatabase || !db || !roomIds.length) return;
+  try {
+    await db.query('DELETE FROM boards WHERE room = ANY($1)', [roomIds]);
+  } catch (err) { console.error('[!] Error deleting boards from database:', err.message); }
+}
+
+// Write a room's board if it changed since the last save
+function persistRoom(roomId) {
+  const room = rooms[roomId];
+  if (!room) return Promise.resolve();
+  const data = serializeRoom(room);
+  const json = JSON.stringify(data);
+  if (json === room.lastSaved) return Promise.resolve();
+  room.lastSaved = json;
+
+  if (!isRoomWorthKeeping(data)) {
+    if (!savedBoards[roomId]) return Promise.resolve();
+    delete savedBoards[roomId];
+    return deleteBoardsFromDB([roomId]).then(() => saveBoardsFile());
+  }
+  const entry = { updatedAt: Date.now(), data: JSON.parse(json) };
+  savedBoards[roomId] = entry;
+  return saveBoardToDB(roomId, entry).then(() => saveBoardsFile());
+}
+
+// Forget boards of rooms nobody has touched within the retention period
+async function pruneSavedBoards() {
+  const now = Date.now();
+  const expired = Object.keys(savedBoards)
+    .filter(id => !rooms[id] && isBoardExpired(savedBoards[id], now));
+  if (!expired.length) return;
+  expired.forEach(id => delete savedBoards[id]);
+  await deleteBoardsFromDB(expired);
+  await saveBoardsFile();
+  console.log(`[*] Pruned ${expired.length} abandoned room board(s)`);
+}
+
+setInterval(() => {
+  Object.keys(rooms).forEach(roomId => persistRoom(roomId));
+}, BOARD_AUTOSAVE_MS);
+setInterval(() => pruneSavedBoards(), 60 * 60 * 1000);
+
 // ── Room helpers ──────────────────────────────────────────────
 function recordEvent(room, event, data) {
   if (!room.rec.active) return;
-  room.rec.timeline.push({ t: Date.now() - room.rec.start, event, data });
+  // The timeline keeps its own copy: the live shapes and tokens go on changing
+  room.rec.timeline.push({ t: Date.now() - room.rec.start, event, data: JSON.parse(JSON.stringify(data)) });
 }
 
 function snapState(room) {
   return {
     strokes: JSON.parse(JSON.stringify(room.strokes)),
     arrows:  JSON.parse(JSON.stringify(room.arrows)),
+    zones:   JSON.parse(JSON.stringify(room.zones)),
+    texts:   JSON.parse(JSON.stringify(room.texts)),
     tokens:  JSON.parse(JSON.stringify(room.tokens))
   };
 }
@@ -348,86 +1004,1635 @@ function finishReplay(roomId) {
   const s = room.rep.preSnap;
   room.strokes = s.strokes;
   room.arrows  = s.arrows;
+  room.zones   = s.zones;
+  room.texts   = s.texts;
   room.tokens  = s.tokens;
+  room.pitch   = s.pitch;
+  room.trails  = {};
   io.to(roomId).emit('clear-board');
   io.to(roomId).emit('tokens-cleared');
   io.to(roomId).emit('replay-restore', {
     strokes: s.strokes,
     arrows:  s.arrows,
-    tokens:  Object.values(s.tokens)
+    zones:   s.zones,
+    texts:   s.texts,
+    tokens:  Object.values(s.tokens),
+    frame:   getFrameInfo(room),
+    pitch:   s.pitch
   });
+  setPassLog(roomId, room.passes);
   io.to(roomId).emit('replay-done');
 }
 
-// ── Helpers ───────────────────────────────────────────────────
-const USER_COLORS = [
-  '#e74c3c','#3498db','#2ecc71','#f39c12',
-  '#9b59b6','#1abc9c','#e67e22','#e91e63'
-];
+// Move the replay playhead: the board is rebuilt from the recording up to there
+function seekReplay(roomId, room, recording, position) {
+  room.rep.playbackPosition = position;
+  if (room.rep.isPlaying) room.rep.lastTick = Date.now();
+
+  const sim = simulateRecording(recording, position, room.rep.preSnap.pitch);
+  room.strokes = sim.strokes;
+  room.arrows = sim.arrows;
+  room.zones = sim.zones;
+  room.texts = sim.texts;
+  room.tokens = sim.tokens;
+  room.trails = sim.trails;
+  room.pitch = sim.pitch;
+
+  io.to(roomId).emit('replay-sync-state', {
+    position,
+    strokes: sim.strokes,
+    arrows: sim.arrows,
+    zones: sim.zones,
+    texts: sim.texts,
+    tokens: Object.values(sim.tokens),
+    trails: sim.trails,
+    passes: sim.passes,
+    pitch: sim.pitch
+  });
+}
 
-function getNextColor(room) {
-  const c = USER_COLORS[room.colorIndex % USER_COLORS.length];
-  room.colorIndex++;
-  return c;
+// ── Replay speed and markers ──────────────────────────────────
+// Markers are where something happens in a recording. Entries closer than
+// MARKER_GAP to the previous marker (a drag, a burst of edits) share it, so
+// stepping goes action by action rather than mouse event by mouse event.
+const REPLAY_RATES = [0.25, 0.5, 1, 2, 4];
+const MARKER_GAP = 300;
+
+function replayMarkers(recording) {
+  const markers = [];
+  recording.timeline.forEach(({ t, event }) => {
+    const prev = markers[markers.length - 1];
+    if (prev && t - prev.last < MARKER_GAP) { prev.last = t; return; }
+    markers.push({ t, event, last: t });
+  });
+  return markers.map(({ t, event }) => ({ t, event }));
 }
 
-// ── Rate Limiting ─────────────────────────────────────────────
-const rateLimits = {};  // socketId → { count, resetAt }
-const RATE_LIMIT_MAX = 60;  // max events per second
-const RATE_LIMIT_WINDOW = 1000;  // 1 second window
+// The marker after (dir 1) or before (dir -1) `position`; the start when there is none before
+function stepTarget(recording, position, dir) {
+  const times = replayMarkers(recording).map(m => m.t);
+  if (dir > 0) return times.find(t => t > position);
+  const earlier = times.filter(t => t < position);
+  return earlier.length ? earlier[earlier.length - 1] : 0;
+}
 
-function isRateLimited(socketId) {
-  const now = Date.now();
-  if (!rateLimits[socketId] || now > rateLimits[socketId].resetAt) {
-    rateLimits[socketId] = { count: 1, resetAt: now + RATE_LIMIT_WINDOW };
-    return false;
-  }
-  rateLimits[socketId].count++;
-  if (rateLimits[socketId].count > RATE_LIMIT_MAX) {
-    return true; // over limit, drop this event
-  }
-  return false;
+// Replace the whole board (clear, preset load, import, undo of those) and tell everyone
+function replaceBoard(roomId, room, snap) {
+  room.strokes = JSON.parse(JSON.stringify(snap.strokes || []));
+  room.arrows  = JSON.parse(JSON.stringify(snap.arrows || []));
+  room.zones   = JSON.parse(JSON.stringify(snap.zones || []));
+  room.texts   = JSON.parse(JSON.stringify(snap.texts || []));
+  room.tokens  = JSON.parse(JSON.stringify(snap.tokens || {}));
+  room.trails  = {};
+  const state = {
+    strokes: room.strokes,
+    arrows:  room.arrows,
+    zones:   room.zones,
+    texts:   room.texts,
+    tokens:  Object.values(room.tokens)
+  };
+  io.to(roomId).emit('clear-board');
+  io.to(roomId).emit('tokens-cleared');
+  io.to(roomId).emit('board-state', { ...state, frame: getFrameInfo(room), pitch: room.pitch });
+  recordEvent(room, 'board-state', JSON.parse(JSON.stringify({ ...state, pitch: room.pitch })));
 }
 
-// ── Socket events ─────────────────────────────────────────────
-io.on('connection', (socket) => {
-  console.log(`[+] connected: ${socket.id}`);
+// ── Pitch templates ───────────────────────────────────────────
+// A template only changes the markings drawn under the board. Every template
+// shares the same 900×580 board space, so tokens and strokes stay where they are.
+const PITCH_TEMPLATES = ['full', 'half', 'third', 'box', 'vertical', 'futsal', 'seven', 'nine', 'grid'];
+const PITCH_W = 900;
+const PITCH_H = 580;
+
+function setPitch(roomId, room, pitch) {
+  room.pitch = pitch;
+  io.to(roomId).emit('pitch-changed', { pitch });
+  recordEvent(room, 'pitch-changed', { pitch });
+}
 
-  // 1. New user joins a room
-  socket.on('join', ({ username, room: roomId }) => {
-    // Sanitize inputs
-    username = (username || 'Anonymous').toString().trim().substring(0, 20) || 'Anonymous';
-    roomId = (roomId || 'lobby').toString().trim().substring(0, 40).replace(/[^a-zA-Z0-9_-]/g, '-') || 'lobby';
+// ── Roster ────────────────────────────────────────────────────
+// Named players for the room. A token bound to a player keeps the player's id
+// plus copies of its shirt number (as the label) and name, so replays, exports
+// and presets show the right names without looking the roster up. Roster
+// edits reach every bound token, in every frame.
+const ROSTER_LIMIT = 60;
 
-    // Cancel any pending disconnect grace timer for this socket
-    if (disconnectTimers[socket.id]) {
-      clearTimeout(disconnectTimers[socket.id]);
-      delete disconnectTimers[socket.id];
-    }
+function initialsOf(name) {
+  return name.split(/\s+/).filter(Boolean).map(w => w[0]).join('').toUpperCase().slice(0, 3);
+}
 
-    // If socket was in a different room, leave it first
-    const prevRoom = socketRooms[socket.id];
-    if (prevRoom && prevRoom !== roomId) {
-      socket.leave(prevRoom);
-      const oldRoom = getRoom(prevRoom);
-      delete oldRoom.users[socket.id];
-      io.to(prevRoom).emit('user-list', Object.values(oldRoom.users));
-    }
+// Validated copy of a player's editable fields merged over `base`
+function cleanPlayer(fields, base = {}) {
+  const player = { name: '', number: '', position: '', initials: '', ...base };
+  const autoInitials = player.initials === initialsOf(player.name);
+  if (fields.name !== undefined)     player.name = String(fields.name || '').trim().slice(0, 40);
+  if (fields.number !== undefined)   player.number = String(fields.number ?? '').replace(/\D/g, '').slice(0, 3);
+  if (fields.position !== undefined) player.position = String(fields.position || '').trim().toUpperCase().slice(0, 4);
+  if (fields.initials !== undefined) player.initials = String(fields.initials || '').trim().toUpperCase().slice(0, 3);
+  else if (autoInitials) player.initials = initialsOf(player.name);
+  if (!player.initials) player.initials = initialsOf(player.name);
+  return player;
+}
 
-    // Join the Socket.IO room
-    socket.join(roomId);
-    socketRooms[socket.id] = roomId;
-    const room = getRoom(roomId);
+function tokenBinding(token) {
+  return { playerId: token.playerId || null, label: token.label, name: token.name || null };
+}
 
-    // Remove any stale entry for this socket id
-    if (room.users[socket.id]) {
-      delete room.users[socket.id];
-    }
+// What a token shows when bound to `player`; unbinding keeps the label
+function playerBinding(player, token) {
+  if (!player) return { playerId: null, label: token.label, name: null };
+  return { playerId: player.id, label: player.number || player.initials || token.label, name: player.name };
+}
 
-    // Remove any previous connection for the same username (cross-socket reconnect)
+// Binds tokens of the current frame and tells everyone; returns { id, from, to }
+// items for the history
+function bindTokens(roomId, room, bindings) {
+  const items = [];
+  bindings.forEach(({ id, to }) => {
+    const token = room.tokens[id];
+    if (!token) return;
+    items.push({ id, from: tokenBinding(token), to });
+    Object.assign(token, to);
+  });
+  if (items.length) {
+    const data = { items: items.map(({ id, to }) => ({ id, ...to })) };
+    io.to(roomId).emit('tokens-bind', data);
+    recordEvent(room, 'tokens-bind', JSON.parse(JSON.stringify(data)));
+  }
+  return items;
+}
+
+// Rebinds every token whose player `remap` maps to a (possibly different or
+// null) player — parked frames quietly, the current frame with a broadcast
+function rebindPlayers(roomId, room, remap) {
+  room.frames.forEach(f => {
+    if (!f) return;
+    Object.values(f.tokens).forEach(t => {
+      if (t.playerId && t.playerId in remap) Object.assign(t, playerBinding(remap[t.playerId], t));
+    });
+  });
+  return bindTokens(roomId, room, Object.values(room.tokens)
+    .filter(t => t.playerId && t.playerId in remap)
+    .map(t => ({ id: t.id, to: playerBinding(remap[t.playerId], t) })));
+}
+
+function setRoster(roomId, room, roster) {
+  room.roster = roster;
+  room.nextPlayerId = Math.max(room.nextPlayerId, ...roster.map(p => (parseInt(String(p.id).slice(1), 10) || 0) + 1));
+  io.to(roomId).emit('roster-updated', { roster: room.roster });
+}
+
+// ── Teams ─────────────────────────────────────────────────────
+// A token can play for the home or away team. Team tokens wear the room's kit
+// colour (or its goalkeeper colour), so changing a kit re-dresses the whole
+// team in every frame. Tokens without a team keep whatever colour they were given.
+const TEAMS = ['home', 'away'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function defaultKits() {
+  return { home: { kit: '#e74c3c', gk: '#f1c40f' }, away: { kit: '#3498db', gk: '#2ecc71' } };
+}
+
+function kitColor(room, token) {
+  return token.gk ? room.kits[token.team].gk : room.kits[token.team].kit;
+}
+
+function tokenTeam(token) {
+  return { team: token.team || null, gk: !!token.gk, color: token.color };
+}
+
+// Sets the team of tokens in the current frame and tells everyone; returns
+// { id, from, to } items for the history
+function setTokenTeams(roomId, room, changes) {
+  const items = [];
+  changes.forEach(({ id, to }) => {
+    const token = room.tokens[id];
+    if (!token) return;
+    items.push({ id, from: tokenTeam(token), to });
+    Object.assign(token, to);
+  });
+  if (items.length) {
+    const data = { items: items.map(({ id, to }) => ({ id, ...to })) };
+    io.to(roomId).emit('tokens-team', data);
+    recordEvent(room, 'tokens-team', JSON.parse(JSON.stringify(data)));
+  }
+  return items;
+}
+
+// Re-dresses every token of `team` — parked frames quietly, the current frame
+// with a broadcast
+function recolorTeam(roomId, room, team) {
+  room.frames.forEach(f => {
+    if (!f) return;
+    Object.values(f.tokens).forEach(t => { if (t.team === team) t.color = kitColor(room, t); });
+  });
+  const items = Object.values(room.tokens)
+    .filter(t => t.team === team && t.color !== kitColor(room, t))
+    .map(t => ({ id: t.id, color: kitColor(room, t) }));
+  if (!items.length) return;
+  items.forEach(({ id, color }) => { room.tokens[id].color = color; });
+  io.to(roomId).emit('tokens-recolor', { items });
+  recordEvent(room, 'tokens-recolor', { items });
+}
+
+// Turns a frame half a turn about the centre spot, so each side ends up
+// attacking the other goal — the same convention formations use for the away side
+function mirrorFrame(f) {
+  const mx = x => PITCH_W - x;
+  const my = y => PITCH_H - y;
+  const point = p => ({ ...p, x: mx(p.x), y: my(p.y) });
+  f.strokes.forEach(s => { if (Array.isArray(s.points)) s.points = s.points.map(point); });
+  f.arrows.forEach(a => {
+    Object.assign(a, { x1: mx(a.x1), y1: my(a.y1), x2: mx(a.x2), y2: my(a.y2) });
+    if (Number.isFinite(a.cx)) Object.assign(a, { cx: mx(a.cx), cy: my(a.cy) });
+    if (Array.isArray(a.via)) a.via = a.via.map(point);
+  });
+  f.zones.forEach(z => {
+    if (Array.isArray(z.points)) z.points = z.points.map(point);
+    else Object.assign(z, { x: mx(z.x + z.w), y: my(z.y + z.h) });
+  });
+  // Text stays readable: the box moves but is not turned. Wrapped height is
+  // only known to clients, so it is estimated from the explicit line breaks.
+  f.texts.forEach(t => {
+    const h = String(t.text).split('\n').length * t.size * 1.25 + 12;
+    Object.assign(t, { x: mx(t.x + t.w), y: my(t.y + h) });
+  });
+  Object.values(f.tokens).forEach(t => { t.x = mx(t.x); t.y = my(t.y); });
+}
+
+function swapSides(roomId, room) {
+  const seq = snapSequence(room);
+  seq.frames.forEach(mirrorFrame);
+  loadSequence(roomId, room, seq);
+}
+
+// ── Movement trails ───────────────────────────────────────────
+// A token dragged in trail mode leaves a dashed path back to a faded ghost at
+// its starting spot. Trails annotate the current view rather than the board:
+// each token keeps only its latest one, and they go whenever the frame or the
+// board is replaced. Moves carry `trail` — true while dragging, 'end' on
+// release, or 'arrow' to turn the path into a permanent arrow instead.
+// The client runs the same extendTrail, so everyone draws the same path.
+const TRAIL_MAX_POINTS = 400;
+const TRAIL_MIN_STEP = 3;       // logical units between kept points
+const TRAIL_ARROW_TOLERANCE = 6; // how far a movement arrow may stray from the dragged path
+
+// Applies one move of `token` (still at its old position) to `trails`;
+// returns the trail, or nothing when a drag has not moved yet
+function extendTrail(trails, token, x, y, trail) {
+  let t = trails[token.id];
+  if (!t || t.closed) {
+    if (x === token.x && y === token.y) return null;
+    t = trails[token.id] = {
+      points: [{ x: token.x, y: token.y }],
+      color: token.color, label: token.label, shape: token.shape, closed: false
+    };
+  }
+  const last = t.points[t.points.length - 1];
+  const step = Math.hypot(x - last.x, y - last.y);
+  if (trail === true ? step >= TRAIL_MIN_STEP && t.points.length < TRAIL_MAX_POINTS : step > 0) t.points.push({ x, y });
+  if (trail === 'end') t.closed = true;
+  if (trail === 'arrow') delete trails[token.id];
+  return t;
+}
+
+// Ramer–Douglas–Peucker: the fewest points that stay within `tolerance` of the path
+function simplifyPath(points, tolerance) {
+  if (points.length < 3) return points;
+  const a = points[0], b = points[points.length - 1];
+  const len = Math.hypot(b.x - a.x, b.y - a.y);
+  let far = 0, index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const p = points[i];
+    const d = len
+      ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len
+      : Math.hypot(p.x - a.x, p.y - a.y);
+    if (d > far) { far = d; index = i; }
+  }
+  if (far <= tolerance) return [a, b];
+  return [...simplifyPath(points.slice(0, index + 1), tolerance).slice(0, -1), ...simplifyPath(points.slice(index), tolerance)];
+}
+
+// Movement arrow for a finished trail: a run, or a pass for the ball
+function trailArrow(room, socketId, trail) {
+  const pts = simplifyPath(trail.points, TRAIL_ARROW_TOLERANCE);
+  if (pts.length < 2) return null;
+  const first = pts[0], last = pts[pts.length - 1];
+  const ball = isBall(trail);
+  const arrow = {
+    id: `ar${room.nextArrowId++}`,
+    tool: 'arrow',
+    path: pts.length > 2 ? 'poly' : 'straight',
+    x1: first.x, y1: first.y, x2: last.x, y2: last.y,
+    via: pts.length > 2 ? pts.slice(1, -1) : undefined,
+    color: trail.color === 'transparent' ? '#ffffff' : trail.color,
+    width: 3,
+    kind: ball ? 'pass' : 'run',
+    style: ball ? 'dashed' : 'solid',
+    socketId
+  };
+  return arrow;
+}
+
+// Adds server-made arrows and tells everyone; returns { index, item } history items
+function addArrows(roomId, room, arrows) {
+  return arrows.map(arrow => {
+    room.arrows.push(arrow);
+    io.to(roomId).emit('arrow-done', arrow);
+    recordEvent(room, 'arrow-done', arrow);
+    return { index: room.arrows.length - 1, item: arrow };
+  });
+}
+
+// Adds the arrows for trails released together as one undo step
+function addTrailArrows(roomId, room, socketId, trails) {
+  const items = addArrows(roomId, room, trails.map(t => trailArrow(room, socketId, t)).filter(Boolean));
+  if (items.length) pushHistory(roomId, room, socketId, { type: 'add', kind: 'arrows', items });
+}
+
+function isTrailEnd(trail) {
+  return trail === 'end' || trail === 'arrow';
+}
+
+function cleanTrailFlag(trail) {
+  return trail === true || isTrailEnd(trail) ? trail : undefined;
+}
+
+// Moves with a trail flag update the mover's trail first; returns trails that
+// became arrows
+function applyTrail(room, token, x, y, trail) {
+  if (!trail) return null;
+  const t = extendTrail(room.trails, token, x, y, trail);
+  return trail === 'arrow' ? t : null;
+}
+
+// ── Ball possession ───────────────────────────────────────────
+// A ball token can be held by a player token (ball.heldBy = the player's id).
+// Whenever a player moves, a ball it holds moves by the same amount, unless
+// the ball moves itself in the same batch. Clients and replay seeks follow
+// the same rule, so only the player's move travels over the wire.
+// Passes re-attach the ball to the receiver and draw a pass arrow; each one is
+// kept in the room's pass log.
+const BALL_OFFSET = { x: 16, y: 12 }; // where a held ball sits, relative to the player
+const PASS_LOG_LIMIT = 100;
+
+function isBall(token) {
+  return token.shape === 'ball' || (token.shape === 'icon' && token.label === 'ball');
+}
+
+function isPlayer(token) {
+  return token.shape !== 'ball' && token.shape !== 'icon' && token.shape !== 'emoji';
+}
+
+// Moves `token` in `tokens` and carries the balls it holds; `moving` holds the
+// ids of a batch moved together
+function moveWithBall(tokens, token, x, y, moving) {
+  const dx = x - token.x, dy = y - token.y;
+  token.x = x;
+  token.y = y;
+  if (!dx && !dy) return;
+  Object.values(tokens).forEach(b => {
+    if (b.heldBy !== token.id || (moving && moving.has(b.id))) return;
+    b.x += dx;
+    b.y += dy;
+  });
+}
+
+function ballState(ball) {
+  return { heldBy: ball.heldBy || null, x: ball.x, y: ball.y };
+}
+
+// Where a ball lands when `player` takes it
+function ballAtFeet(player) {
+  return { heldBy: player.id, x: player.x + BALL_OFFSET.x, y: player.y + BALL_OFFSET.y };
+}
+
+function setBall(roomId, room, ballId, state) {
+  const ball = room.tokens[ballId];
+  if (!ball) return;
+  Object.assign(ball, state);
+  const data = { id: ballId, ...state };
+  io.to(roomId).emit('ball-attach', data);
+  recordEvent(room, 'ball-attach', data);
+}
+
+function tokenTag(token) {
+  return token.name ? `${token.label} ${token.name}` : String(token.label || '?');
+}
+
+function setPassLog(roomId, passes) {
+  io.to(roomId).emit('pass-log', { passes });
+}
+
+// ── Keyframe animation ────────────────────────────────────────
+// Tokens get keyframes on one shared timeline; between keys they glide with
+// the chosen easing. Playback is driven by each client from the keyframes —
+// the server only announces the start and the stop, and puts the tokens where
+// the animation left them when it stops. Keys are addressed by token id, so
+// tokens missing from the current frame are simply skipped.
+const ANIM_MAX_DURATION = 120000;
+const ANIM_MAX_KEYS = 60; // per token
+const ANIM_STEP = 100;    // keyframe times snap to this many ms
+const ANIM_EASINGS = ['ease', 'linear'];
+
+function defaultAnimation() {
+  return { duration: 4000, easing: 'ease', tracks: {} };
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Where every keyframed token is at time `t`: [{ id, x, y }]
+function animPose(anim, t) {
+  return Object.entries(anim.tracks).filter(([, keys]) => keys.length).map(([id, keys]) => {
+    const next = keys.findIndex(k => k.t > t);
+    if (next === 0) return { id, x: keys[0].x, y: keys[0].y };
+    if (next === -1) return { id, x: keys[keys.length - 1].x, y: keys[keys.length - 1].y };
+    const a = keys[next - 1], b = keys[next];
+    const u = (t - a.t) / (b.t - a.t);
+    const e = anim.easing === 'linear' ? u : easeInOutCubic(u);
+    return { id, x: a.x + (b.x - a.x) * e, y: a.y + (b.y - a.y) * e };
+  });
+}
+
+// Puts the tokens of `tokens` in a pose; balls without keys ride with their holder
+function applyPose(tokens, moves) {
+  const present = moves.filter(m => tokens[m.id]);
+  const moving = new Set(present.map(m => m.id));
+  present.forEach(({ id, x, y }) => moveWithBall(tokens, tokens[id], x, y, moving));
+  return present;
+}
+
+function setAnimation(roomId, room, animation) {
+  room.animation = animation;
+  io.to(roomId).emit('animation-updated', { animation });
+}
+
+function animElapsed(room) {
+  const p = room.animPlay;
+  return Math.min(room.animation.duration, p.from + Date.now() - p.startedAt);
+}
+
+// Ends playback at `t` (default: wherever it got to) and leaves the tokens there
+function stopAnimation(roomId, room, t = animElapsed(room)) {
+  clearTimeout(room.animPlay.timer);
+  room.animPlay.timer = null;
+  room.animPlay.time = t;
+  const moves = applyPose(room.tokens, animPose(room.animation, t));
+  const data = { t, moves };
+  io.to(roomId).emit('anim-stopped', data);
+  recordEvent(room, 'anim-stopped', JSON.parse(JSON.stringify(data)));
+}
+
+// ── Recording reconstruction ──────────────────────────────────
+// Rebuilds what a recording shows at `position` ms: its snapshot with the
+// timeline applied up to there. Replay seeks and the recording editor share
+// it. Timeline entries are copied rather than changed — they are the
+// recording's own objects.
+function simulateRecording(recording, position, fallbackPitch) {
+  return recordingSimulator(recording, fallbackPitch)(position);
+}
+
+// The same rebuild, stepped forward: the function it returns gives the board
+// at a position no earlier than the last one asked for, applying only the
+// entries in between. Video export walks a whole recording this way.
+function recordingSimulator(recording, fallbackPitch) {
+  const simStrokes = JSON.parse(JSON.stringify(recording.snapshot.strokes || []));
+  const simArrows  = JSON.parse(JSON.stringify(recording.snapshot.arrows || []));
+  const simZones   = JSON.parse(JSON.stringify(recording.snapshot.zones || []));
+  const simTexts   = JSON.parse(JSON.stringify(recording.snapshot.texts || []));
+  const simLists   = { stroke: simStrokes, arrow: simArrows, zone: simZones, text: simTexts };
+  const simTokens  = JSON.parse(JSON.stringify(recording.snapshot.tokens || {}));
+  const simTrails  = {};
+  const simPasses  = [];
+  let simLasers    = [];   // laser strokes, which fade rather than stay
+  let simAnim      = null; // animation still playing at `position`: { at, from, animation }
+  let simPitch     = recording.snapshot.pitch || fallbackPitch;
+  let next         = 0;    // first timeline entry not applied yet
+
+  function apply(entry) {
+    if (entry.event === 'stroke-done') {
+      if (entry.data.tool !== 'laser') simStrokes.push(entry.data);
+      else simLasers.push({ ...entry.data, timestamp: entry.t });
+    } else if (entry.event === 'stroke-remove') {
+      entry.data.ids.forEach(id => {
+        const idx = simStrokes.findIndex(s => s.id === id);
+        if (idx !== -1) simStrokes.splice(idx, 1);
+      });
+    } else if (entry.event === 'arrow-done') {
+      simArrows.push(entry.data);
+    } else if (entry.event === 'arrow-remove') {
+      entry.data.ids.forEach(id => {
+        const idx = simArrows.findIndex(a => a.id === id);
+        if (idx !== -1) simArrows.splice(idx, 1);
+      });
+    } else if (entry.event === 'zone-done') {
+      simZones.push(entry.data);
+    } else if (entry.event === 'zone-remove') {
+      entry.data.ids.forEach(id => {
+        const idx = simZones.findIndex(z => z.id === id);
+        if (idx !== -1) simZones.splice(idx, 1);
+      });
+    } else if (entry.event === 'text-add') {
+      simTexts.push(entry.data);
+    } else if (entry.event === 'text-remove') {
+      entry.data.ids.forEach(id => {
+        const idx = simTexts.findIndex(t => t.id === id);
+        if (idx !== -1) simTexts.splice(idx, 1);
+      });
+    } else if (['stroke-update', 'arrow-update', 'zone-update', 'text-update'].includes(entry.event)) {
+      const list = simLists[entry.event.split('-')[0]];
+      // Copy rather than mutate: earlier entries may be the recording's own objects
+      const idx = list.findIndex(s => s.id === entry.data.id);
+      if (idx !== -1) list[idx] = { ...list[idx], ...JSON.parse(JSON.stringify(entry.data.changes)) };
+    } else if (['stroke-restore', 'arrow-restore', 'zone-restore', 'text-restore'].includes(entry.event)) {
+      const list = simLists[entry.event.split('-')[0]];
+      [...entry.data.items].sort((a, b) => a.index - b.index).forEach(({ index, item }) => {
+        if (!list.some(s => s.id === item.id)) list.splice(Math.min(index, list.length), 0, item);
+      });
+    } else if (entry.event === 'board-state' || entry.event === 'frame-changed') {
+      simStrokes.length = 0;
+      simArrows.length = 0;
+      simZones.length = 0;
+      simTexts.length = 0;
+      for (let k in simTokens) delete simTokens[k];
+      entry.data.strokes.forEach(s => simStrokes.push(s));
+      entry.data.arrows.forEach(a => simArrows.push(a));
+      (entry.data.zones || []).forEach(z => simZones.push(z));
+      (entry.data.texts || []).forEach(t => simTexts.push(t));
+      entry.data.tokens.forEach(t => { simTokens[t.id] = { ...t }; });
+      for (let k in simTrails) delete simTrails[k];
+      if (entry.data.pitch) simPitch = entry.data.pitch;
+    } else if (entry.event === 'pitch-changed') {
+      simPitch = entry.data.pitch;
+    } else if (entry.event === 'token-add') {
+      simTokens[entry.data.id] = { ...entry.data };
+    } else if (entry.event === 'tokens-add') {
+      entry.data.tokens.forEach(t => { simTokens[t.id] = { ...t }; });
+    } else if (entry.event === 'tokens-remove') {
+      entry.data.ids.forEach(id => { delete simTokens[id]; });
+    } else if (entry.event === 'tokens-move') {
+      const moving = new Set(entry.data.moves.map(m => m.id));
+      entry.data.moves.forEach(({ id, x, y }) => {
+        if (!simTokens[id]) return;
+        if (entry.data.trail) extendTrail(simTrails, simTokens[id], x, y, entry.data.trail);
+        moveWithBall(simTokens, simTokens[id], x, y, moving);
+      });
+    } else if (entry.event === 'anim-play') {
+      simAnim = { at: entry.t, ...entry.data };
+    } else if (entry.event === 'anim-stopped') {
+      applyPose(simTokens, entry.data.moves);
+      simAnim = null;
+    } else if (entry.event === 'ball-attach' || entry.event === 'ball-pass') {
+      const { id, heldBy, x, y, pass } = entry.data;
+      if (simTokens[id]) simTokens[id] = { ...simTokens[id], heldBy, x, y };
+      if (pass) simPasses.push(pass);
+    } else if (entry.event === 'tokens-bind' || entry.event === 'tokens-team') {
+      entry.data.items.forEach(({ id, ...fields }) => {
+        if (simTokens[id]) simTokens[id] = { ...simTokens[id], ...fields };
+      });
+    } else if (entry.event === 'tokens-recolor') {
+      entry.data.items.forEach(({ id, color }) => {
+        if (simTokens[id]) simTokens[id].color = color;
+      });
+    } else if (entry.event === 'token-move') {
+      if (simTokens[entry.data.id]) {
+        if (entry.data.trail) extendTrail(simTrails, simTokens[entry.data.id], entry.data.x, entry.data.y, entry.data.trail);
+        moveWithBall(simTokens, simTokens[entry.data.id], entry.data.x, entry.data.y);
+      }
+    } else if (entry.event === 'token-remove') {
+      delete simTokens[entry.data.id];
+    } else if (entry.event === 'token-relabel') {
+      if (simTokens[entry.data.id]) {
+        simTokens[entry.data.id].label = entry.data.label;
+      }
+    } else if (entry.event === 'clear-board') {
+      simStrokes.length = 0;
+      simArrows.length = 0;
+      simZones.length = 0;
+      simTexts.length = 0;
+      for (let k in simTrails) delete simTrails[k];
+    } else if (entry.event === 'trails-clear') {
+      for (let k in simTrails) delete simTrails[k];
+    } else if (entry.event === 'tokens-cleared') {
+      for (let k in simTokens) delete simTokens[k];
+    }
+  }
+
+  return function boardAt(position) {
+    const timeline = recording.timeline;
+    while (next < timeline.length && timeline[next].t <= position) apply(timeline[next++]);
+    simLasers = simLasers.filter(l => position - l.timestamp < BoardRender.LASER_FADE);
+    // A running play poses copies, so the next step starts from the real tokens
+    let tokens = simTokens;
+    if (simAnim) {
+      tokens = Object.fromEntries(Object.entries(simTokens).map(([id, t]) => [id, { ...t }]));
+      const t = Math.min(simAnim.animation.duration, simAnim.from + position - simAnim.at);
+      applyPose(tokens, animPose(simAnim.animation, t));
+    }
+    return {
+      strokes: simStrokes, arrows: simArrows, zones: simZones, texts: simTexts,
+      tokens, trails: simTrails, passes: simPasses, pitch: simPitch, anim: simAnim,
+      lasers: simLasers, now: position
+    };
+  };
+}
+
+// ── Recording editor ──────────────────────────────────────────
+// Edits rebuild a recording rather than patching it: the new snapshot is the
+// board simulateRecording() reconstructs at the cut point, and the timeline is
+// re-based around it. Times are ms from the start of the recording.
+const REC_SPEED_MIN = 0.25;
+const REC_SPEED_MAX = 4;
+
+function boardEntry(t, state) {
+  return {
+    t,
+    event: 'board-state',
+    data: JSON.parse(JSON.stringify({
+      strokes: state.strokes, arrows: state.arrows, zones: state.zones, texts: state.texts,
+      tokens: Object.values(state.tokens), pitch: state.pitch
+    }))
+  };
+}
+
+// How far into its animation a still-running simulated play is at `position`
+function animReached(anim, position) {
+  return Math.min(anim.animation.duration, anim.from + position - anim.at);
+}
+
+// Entries that pick up an animation still playing at `position` from time `t`
+function resumeAnimEntry(t, sim, position) {
+  if (!sim.anim) return [];
+  const from = animReached(sim.anim, position);
+  if (from >= sim.anim.animation.duration) return [];
+  return [{ t, event: 'anim-play', data: { from, animation: sim.anim.animation } }];
+}
+
+function stopAnimEntry(t, sim, position) {
+  if (!sim.anim) return [];
+  return [{ t, event: 'anim-stopped', data: { t: animReached(sim.anim, position), moves: [] } }];
+}
+
+function shiftEntries(entries, by) {
+  return entries.map(e => ({ ...e, t: e.t + by }));
+}
+
+function withTimeline(recording, timeline, duration) {
+  return { ...recording, duration: Math.max(0, Math.round(duration)), eventCount: timeline.length, timeline };
+}
+
+// Keep only [start, end]; the board at `start` becomes the snapshot and the
+// voice-over shifts with it
+function trimRecording(recording, start, end) {
+  const sim = simulateRecording(recording, start);
+  const snapshot = JSON.parse(JSON.stringify({
+    strokes: sim.strokes, arrows: sim.arrows, zones: sim.zones, texts: sim.texts,
+    tokens: sim.tokens, pitch: sim.pitch
+  }));
+  const kept = recording.timeline.filter(e => e.t > start && e.t <= end);
+  const timeline = [...resumeAnimEntry(0, sim, start), ...shiftEntries(kept, -start)];
+  const audio = recording.audio && { ...recording.audio, offset: recording.audio.offset - start };
+  return { ...withTimeline(recording, timeline, end - start), snapshot, audio };
+}
+
+// Drop (from, to]; a board-state at `from` jumps straight to the board at `to`.
+// A voice-over can't be cut without decoding it, so it is dropped.
+function cutRecording(recording, from, to) {
+  const atFrom = simulateRecording(recording, from);
+  const atTo = simulateRecording(recording, to);
+  const timeline = [
+    ...recording.timeline.filter(e => e.t <= from),
+    ...stopAnimEntry(from, atFrom, from),
+    boardEntry(from, atTo),
+    ...resumeAnimEntry(from, atTo, to),
+    ...shiftEntries(recording.timeline.filter(e => e.t > to), from - to)
+  ];
+  return { ...withTimeline(recording, timeline, recording.duration - (to - from)), audio: undefined };
+}
+
+// Play (from, to] at `speed`; everything after moves to keep its spacing.
+// The voice-over is dropped, as for a cut.
+function retimeRecording(recording, from, to, speed) {
+  const span = to - from;
+  const shift = span / speed - span;
+  const timeline = recording.timeline.map(e => {
+    if (e.t <= from) return { ...e };
+    if (e.t <= to) return { ...e, t: Math.round(from + (e.t - from) / speed) };
+    return { ...e, t: Math.round(e.t + shift) };
+  });
+  return { ...withTimeline(recording, timeline, recording.duration + shift), audio: undefined };
+}
+
+// `second` plays after `first`, starting from its own snapshot. Only the
+// voice-over of `first` is kept.
+function mergeRecordings(first, second) {
+  const end = simulateRecording(first, first.duration);
+  const timeline = [
+    ...shiftEntries(first.timeline, 0),
+    ...stopAnimEntry(first.duration, end, first.duration),
+    boardEntry(first.duration, { ...second.snapshot, pitch: second.snapshot.pitch || end.pitch }),
+    ...shiftEntries(second.timeline, first.duration)
+  ];
+  return {
+    ...withTimeline(first, JSON.parse(JSON.stringify(timeline)), first.duration + second.duration),
+    snapshot: JSON.parse(JSON.stringify(first.snapshot))
+  };
+}
+
+// The recording a socket may edit, or null. The one being replayed is left
+// alone until the replay ends.
+function editableRecording(roomId, room, recId) {
+  if (room.rep.active && room.rep.currentRecId === recId) return null;
+  return getRoomRecordings(roomId).find(r => r.id === recId) || null;
+}
+
+// [from, to] clamped to the recording, or null for an empty range
+function recordingRange(recording, from, to) {
+  const a = Math.max(0, Math.min(recording.duration, Math.round(Number(from) || 0)));
+  const b = Math.max(0, Math.min(recording.duration, Math.round(Number(to) || 0)));
+  return a < b ? [a, b] : null;
+}
+
+// Cuts and speed changes lose the voice-over, so the editor has to have said
+// yes to that (dropVoiceOver) — their list may predate the voice-over arriving
+function voiceOverMayDrop(socket, recording, dropVoiceOver) {
+  if (!recording.audio || dropVoiceOver === true) return true;
+  socket.emit('recording-edit-refused', {
+    recId: recording.id,
+    reason: 'This recording has a voice-over now, which the edit would remove. Try again to confirm.'
+  });
+  return false;
+}
+
+function storeEditedRecording(roomId, edited) {
+  const list = getRoomRecordings(roomId);
+  const idx = list.findIndex(r => r.id === edited.id);
+  if (idx === -1) return;
+  if (list[idx].audio && !edited.audio) deleteRecordingAudio(edited.id);
+  list[idx] = edited;
+  updateRecordingInDB(edited).then(() => saveRecordings());
+  io.to(roomId).emit('recordings-list', getRecordingsList(roomId));
+}
+
+// ── Video export ──────────────────────────────────────────────
+// Each frame is the board recordingSimulator() rebuilds at that moment, drawn
+// with the browser's own board-render.js. GIF is encoded here; MP4 and WebM go
+// through ffmpeg when the server has it, with the voice-over mixed in.
+const VIDEO_FORMATS = { gif: 'image/gif', mp4: 'video/mp4', webm: 'video/webm' };
+const VIDEO_MIN_WIDTH  = 240;
+const VIDEO_MAX_WIDTH  = 1920;
+const VIDEO_MAX_FPS    = 30;
+const VIDEO_MAX_FRAMES = 3600;
+const VIDEO_TAIL       = 1000; // ms the last frame is held
+const VIDEO_QUEUE_LIMIT = 4;   // exports waiting or rendering, across all rooms
+let renderQueue = Promise.resolve(); // one export at a time: rendering is CPU-bound
+const renderJobs = new Set();  // socket ids with an export waiting or rendering
+let boardIcons = null;
+let ffmpegFound = null;
+
+// Videos and print files wait their turn here. Refusals reject with an error
+// carrying the HTTP status: one export per socket, VIDEO_QUEUE_LIMIT in all.
+function queueRender(socketId, task) {
+  const refuse = (status, message) => Promise.reject(Object.assign(new Error(message), { status }));
+  if (renderJobs.has(socketId)) return refuse(429, 'Your last export is still rendering');
+  if (renderJobs.size >= VIDEO_QUEUE_LIMIT) return refuse(503, 'The server is busy rendering; try again shortly');
+  renderJobs.add(socketId);
+  const job = renderQueue.then(task);
+  renderQueue = job.catch(() => {});
+  job.catch(() => {}).then(() => renderJobs.delete(socketId));
+  return job;
+}
+
+function videoOptions(query) {
+  const format = VIDEO_FORMATS[query.format] ? query.format : 'gif';
+  const width = Math.max(VIDEO_MIN_WIDTH, Math.min(VIDEO_MAX_WIDTH, parseInt(query.width, 10) || 720));
+  const fps = Math.max(1, Math.min(VIDEO_MAX_FPS, parseInt(query.fps, 10) || 10));
+  // Even sizes keep the video encoders happy
+  const even = n => n - (n % 2);
+  return { format, width: even(width), height: even(Math.round(width * PITCH_H / PITCH_W)), fps };
+}
+
+function hasFfmpeg() {
+  if (ffmpegFound === null) ffmpegFound = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' }).status === 0;
+  return ffmpegFound;
+}
+
+function loadBoardIcons() {
+  if (!boardIcons) {
+    boardIcons = Promise.all(Object.entries(BoardRender.ICONS).map(async ([name, svg]) => {
+      // The icons only carry a viewBox; give them a size to rasterise at
+      const sized = svg.replace('<svg ', '<svg width="128" height="128" ');
+      return [name, await loadImage(Buffer.from(sized))];
+    })).then(Object.fromEntries);
+  }
+  return boardIcons;
+}
+
+// Draws every frame and hands its RGBA pixels to onFrame, yielding in between
+// so the rooms keep being served while a long recording renders
+async function renderFrames(recording, { width, height, fps }, onFrame) {
+  const canvas = createCanvas(width, height);
+  const layer  = createCanvas(width, height);
+  const ctx    = canvas.getContext('2d');
+  const icons  = await loadBoardIcons();
+  const frames = Math.min(VIDEO_MAX_FRAMES, Math.floor((recording.duration + VIDEO_TAIL) * fps / 1000) + 1);
+  const boardAt = recordingSimulator(recording);
+  for (let i = 0; i < frames; i++) {
+    const board = boardAt(i * 1000 / fps);
+    BoardRender.renderBoard(ctx, board, { layer, icons });
+    await onFrame(ctx.getImageData(0, 0, width, height).data);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return frames;
+}
+
+async function renderGif(recording, opts) {
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / opts.fps);
+  await renderFrames(recording, opts, rgba => {
+    const palette = quantize(rgba, 256);
+    gif.writeFrame(applyPalette(rgba, palette), opts.width, opts.height, { palette, delay });
+  });
+  gif.finish();
+  return Buffer.from(gif.bytes());
+}
+
+// Raw frames are piped into ffmpeg; the result goes through a temp file so
+// MP4 can be finished with its index at the front
+async function renderWithFfmpeg(recording, opts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tac-board-'));
+  const out = path.join(dir, `video.${opts.format}`);
+  const args = ['-loglevel', 'error', '-f', 'rawvideo', '-pix_fmt', 'rgba',
+    '-s', `${opts.width}x${opts.height}`, '-r', String(opts.fps), '-i', 'pipe:0'];
+  const audio = recording.audio && await loadRecordingAudio(recording.id);
+  if (audio) {
+    const audioFile = path.join(dir, 'voice');
+    fs.writeFileSync(audioFile, audio);
+    const offset = recording.audio.offset / 1000;
+    if (offset < 0) args.push('-ss', String(-offset));
+    else args.push('-itsoffset', String(offset));
+    args.push('-i', audioFile, '-t', String((recording.duration + VIDEO_TAIL) / 1000));
+  }
+  args.push(...(opts.format === 'mp4'
+    ? ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart', '-c:a', 'aac']
+    : ['-c:v', 'libvpx-vp9', '-b:v', '1M', '-c:a', 'libopus']), '-y', out);
+
+  const ffmpeg = spawn('ffmpeg', args, { stdio: ['pipe', 'ignore', 'pipe'] });
+  let errors = '';
+  ffmpeg.stderr.on('data', d => { errors += d; });
+  // An ffmpeg that dies early breaks the pipe (EPIPE); `done` says why it died
+  ffmpeg.stdin.on('error', () => {});
+  const done = new Promise((resolve, reject) => {
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', code => (code === 0 ? resolve() : reject(new Error(errors.trim() || `ffmpeg exited with ${code}`))));
+  });
+  done.catch(() => {}); // awaited below, but may fail while frames are still being drawn
+  try {
+    await renderFrames(recording, opts, rgba => {
+      if (ffmpeg.stdin.write(Buffer.from(rgba.buffer, rgba.byteOffset, rgba.byteLength))) return;
+      // No drain ever comes once ffmpeg has gone, so stop waiting when it goes
+      return Promise.race([new Promise(resolve => ffmpeg.stdin.once('drain', resolve)), done]);
+    });
+    ffmpeg.stdin.end();
+    await done;
+    return fs.readFileSync(out);
+  } finally {
+    ffmpeg.stdin.destroy();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function renderRecordingVideo(recording, opts) {
+  return opts.format === 'gif' ? renderGif(recording, opts) : renderWithFfmpeg(recording, opts);
+}
+
+// ── Print export (SVG / PDF) ──────────────────────────────────
+// Vector copies of a board for printing: the same board-render.js drawing,
+// sent to an SVG canvas or to PDF pages, so lines, tokens and labels stay
+// sharp at any size. PDFs get a page per frame; an SVG is one frame.
+const PRINT_PAGE   = { width: 842, height: 595 }; // A4 landscape, in points
+const PRINT_MARGIN = 36;
+const PRINT_HEADER = 34;
+
+// The frames to export, each a whole board, and which one an SVG shows
+function printBoards(roomId, room, { source, presetId }) {
+  if (source === 'preset') {
+    const preset = getRoomPresets(roomId).find(p => p.id === presetId);
+    if (!preset) return null;
+    const frames = preset.frames || [preset];
+    return { title: preset.name, current: 0, boards: frames.map(f => ({ ...f, pitch: preset.pitch })) };
+  }
+  const { frames, frameIndex, pitch } = snapSequence(room);
+  const boards = frames.map(f => ({ ...f, pitch }));
+  return source === 'frame'
+    ? { title: `${roomId} — frame ${frameIndex + 1}`, current: 0, boards: [boards[frameIndex]] }
+    : { title: roomId, current: frameIndex, boards };
+}
+
+function renderBoardSvg(board) {
+  const canvas = createCanvas(PITCH_W, PITCH_H, SvgExportFlag.NoPrettyXML);
+  BoardRender.renderBoard(canvas.getContext('2d'), board, { vector: true, Path2D, tokenScale: 1 });
+  return canvas.getContent();
+}
+
+// Both PDF renderers yield after each page or drill, so long ones don't hold up the rooms
+async function renderBoardsPdf(title, boards) {
+  const doc = new PDFDocument({ title, creator: 'Tac Board' });
+  const scale = Math.min(
+    (PRINT_PAGE.width - PRINT_MARGIN * 2) / PITCH_W,
+    (PRINT_PAGE.height - PRINT_MARGIN * 2 - PRINT_HEADER) / PITCH_H
+  );
+  const w = PITCH_W * scale, h = PITCH_H * scale;
+  for (const [i, board] of boards.entries()) {
+    const ctx = doc.beginPage(PRINT_PAGE.width, PRINT_PAGE.height);
+    const left = (PRINT_PAGE.width - w) / 2;
+    ctx.fillStyle = '#222';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillText(title, left, PRINT_MARGIN);
+    if (boards.length > 1) {
+      ctx.font = '11px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(`Frame ${i + 1} of ${boards.length}`, left + w, PRINT_MARGIN + 4);
+      ctx.textAlign = 'left';
+    }
+    ctx.save();
+    ctx.translate(left, PRINT_MARGIN + PRINT_HEADER);
+    BoardRender.renderBoard(ctx, board, { vector: true, Path2D, tokenScale: scale, size: { width: w, height: h } });
+    ctx.restore();
+    doc.endPage();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return doc.close();
+}
+
+// A session plan as an A4 portrait handout: a block per drill with the
+// board's first frame beside its name, timing, players, kit and notes
+const HANDOUT_PAGE  = { width: 595, height: 842 };
+const HANDOUT_THUMB = 220;
+const HANDOUT_GAP   = 16;
+
+function wrapText(ctx, text, width) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > width) { lines.push(line); line = word; }
+      else line = next;
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+async function renderPlanPdf(roomId, plan) {
+  const doc = new PDFDocument({ title: plan.title, creator: 'Tac Board' });
+  const presets = getRoomPresets(roomId);
+  const thumbH = HANDOUT_THUMB * PITCH_H / PITCH_W;
+  const textX = PRINT_MARGIN + HANDOUT_THUMB + HANDOUT_GAP;
+  const textW = HANDOUT_PAGE.width - PRINT_MARGIN - textX;
+  const bottom = HANDOUT_PAGE.height - PRINT_MARGIN;
+  let ctx = doc.beginPage(HANDOUT_PAGE.width, HANDOUT_PAGE.height);
+  let y = PRINT_MARGIN;
+  ctx.textBaseline = 'top';
+
+  const total = plan.drills.reduce((sum, d) => sum + d.duration, 0);
+  ctx.fillStyle = '#222';
+  ctx.font = 'bold 20px sans-serif';
+  ctx.fillText(plan.title, PRINT_MARGIN, y);
+  ctx.fillStyle = '#666';
+  ctx.font = '10px sans-serif';
+  ctx.fillText([
+    new Date(plan.timestamp).toLocaleDateString(),
+    `${plan.drills.length} drill${plan.drills.length !== 1 ? 's' : ''}`,
+    total && `${total} min`
+  ].filter(Boolean).join(' · '), PRINT_MARGIN, y + 26);
+  y += 50;
+
+  for (const [i, drill] of plan.drills.entries()) {
+    const preset = presets.find(p => p.id === drill.presetId);
+    ctx.font = '10px sans-serif';
+    const notes = drill.description ? wrapText(ctx, drill.description, textW) : [];
+    const meta = [drill.duration && `${drill.duration} min`, drill.players && `${drill.players} players`].filter(Boolean).join(' · ');
+    const height = Math.max(thumbH, 20 + (meta ? 14 : 0) + (drill.equipment ? 14 : 0) + 4 + notes.length * 13);
+    if (y + height > bottom && y > PRINT_MARGIN) {
+      doc.endPage();
+      ctx = doc.beginPage(HANDOUT_PAGE.width, HANDOUT_PAGE.height);
+      ctx.textBaseline = 'top';
+      y = PRINT_MARGIN;
+    }
+
+    ctx.save();
+    ctx.translate(PRINT_MARGIN, y);
+    if (preset) {
+      const board = { ...(preset.frames ? preset.frames[0] : preset), pitch: preset.pitch };
+      BoardRender.renderBoard(ctx, board, {
+        vector: true, Path2D, tokenScale: HANDOUT_THUMB / PITCH_W, size: { width: HANDOUT_THUMB, height: thumbH }
+      });
+    } else {
+      ctx.fillStyle = '#eee';
+      ctx.fillRect(0, 0, HANDOUT_THUMB, thumbH);
+      ctx.fillStyle = '#999';
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('No board', HANDOUT_THUMB / 2, thumbH / 2 - 5);
+    }
+    ctx.restore();
+
+    let ty = y;
+    ctx.fillStyle = '#222';
+    ctx.font = 'bold 13px sans-serif';
+    ctx.fillText(`${i + 1}. ${preset ? preset.name : 'Drill'}`, textX, ty);
+    ty += 20;
+    ctx.fillStyle = '#555';
+    ctx.font = '10px sans-serif';
+    if (meta) { ctx.fillText(meta, textX, ty); ty += 14; }
+    if (drill.equipment) { ctx.fillText(`Equipment: ${drill.equipment}`, textX, ty); ty += 14; }
+    ty += 4;
+    ctx.fillStyle = '#222';
+    notes.forEach(line => { ctx.fillText(line, textX, ty); ty += 13; });
+    y += height + HANDOUT_GAP;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  doc.endPage();
+  return doc.close();
+}
+
+// ── Frames (phases) ───────────────────────────────────────────
+// A board is an ordered sequence of frames. The current frame is the live
+// strokes/arrows/zones/texts/tokens; the others are parked in room.frames together with
+// their own undo history.
+function getFrameInfo(room) {
+  return { index: room.frameIndex, count: room.frames.length };
+}
+
+function parkCurrentFrame(room) {
+  room.frames[room.frameIndex] = {
+    strokes: room.strokes,
+    arrows:  room.arrows,
+    zones:   room.zones,
+    texts:   room.texts,
+    tokens:  room.tokens,
+    history: room.history
+  };
+}
+
+function enterFrame(room, index) {
+  const frame = room.frames[index];
+  room.strokes = frame.strokes || [];
+  room.arrows  = frame.arrows || [];
+  room.zones   = frame.zones || [];
+  room.texts   = frame.texts || [];
+  room.tokens  = frame.tokens || {};
+  room.history = frame.history || { undo: [], redo: [], sent: null };
+  room.history.sent = null; // force the next history-state broadcast
+  room.trails  = {};
+  room.frames[index] = null;
+  room.frameIndex = index;
+}
+
+// Deep copies of every frame, in order — used for presets and exports
+function snapSequence(room) {
+  return {
+    frameIndex: room.frameIndex,
+    pitch: room.pitch,
+    roster: JSON.parse(JSON.stringify(room.roster)),
+    frames: room.frames.map(f => JSON.parse(JSON.stringify({
+      strokes: (f || room).strokes,
+      arrows:  (f || room).arrows,
+      zones:   (f || room).zones,
+      texts:   (f || room).texts,
+      tokens:  (f || room).tokens
+    })))
+  };
+}
+
+function emitFrameChanged(roomId, room) {
+  const state = {
+    ...getFrameInfo(room),
+    strokes: room.strokes,
+    arrows:  room.arrows,
+    zones:   room.zones,
+    texts:   room.texts,
+    tokens:  Object.values(room.tokens)
+  };
+  io.to(roomId).emit('frame-changed', state);
+  recordEvent(room, 'frame-changed', JSON.parse(JSON.stringify(state)));
+  emitHistoryState(roomId, room);
+}
+
+function gotoFrame(roomId, room, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= room.frames.length || index === room.frameIndex) return;
+  parkCurrentFrame(room);
+  enterFrame(room, index);
+  emitFrameChanged(roomId, room);
+}
+
+// Replace the whole frame sequence (preset load, import, undo of those).
+// The current undo history is kept because the operation that did this lives in it.
+function loadSequence(roomId, room, seq) {
+  const history = room.history;
+  const frames = (seq.frames && seq.frames.length ? seq.frames : [seq])
+    .map(f => JSON.parse(JSON.stringify({ strokes: f.strokes || [], arrows: f.arrows || [], zones: f.zones || [], texts: f.texts || [], tokens: f.tokens || {} })));
+  const index = Number.isInteger(seq.frameIndex) ? Math.min(Math.max(seq.frameIndex, 0), frames.length - 1) : 0;
+  room.frames = frames;
+  enterFrame(room, index);
+  room.history = history;
+  if (PITCH_TEMPLATES.includes(seq.pitch)) room.pitch = seq.pitch;
+  if (Array.isArray(seq.roster)) {
+    setRoster(roomId, room, seq.roster.slice(0, ROSTER_LIMIT)
+      .filter(p => p && typeof p.id === 'string')
+      .map(p => ({ id: p.id, ...cleanPlayer(p) })));
+  }
+  replaceBoard(roomId, room, room);
+  emitHistoryState(roomId, room);
+}
+
+// ── Undo / redo history ───────────────────────────────────────
+// Each board mutation pushes an operation that carries enough data to invert it:
+//   { type: 'add'|'remove', kind: 'strokes'|'arrows'|'zones'|'texts', items: [{ index, item }] }
+//   { type: 'token-add'|'token-remove', token }
+//   { type: 'tokens-add'|'tokens-remove', tokens } — batches such as a whole formation
+//   { type: 'token-move', id, from: {x,y}, to: {x,y} }
+//   { type: 'tokens-move', moves: [{ id, from, to }] } — group drags, align and distribute
+//   { type: 'tokens-recolor', items: [{ id, from, to }] }
+//   { type: 'token-relabel', id, from, to }
+//   { type: 'tokens-bind', items: [{ id, from, to }] } — roster bindings, from/to = { playerId, label, name }
+//   { type: 'tokens-team', items: [{ id, from, to }] } — from/to = { team, gk, color }
+//   { type: 'ball-attach', id, from, to } — from/to = { heldBy, x, y }
+//   { type: 'ball-pass', id, from, to, arrow: { index, item } } — re-attach plus the pass arrow
+//   { type: 'update', kind, id, from, to } — select-tool edits of a stroke, arrow, zone or text
+//   { type: 'board', before, after }   — clearing the current frame
+//   { type: 'sequence', before, after } — preset loads and imports (all frames)
+//   { type: 'swap-sides' } — turning every frame is its own inverse
+//   { type: 'pitch', from, to }
+const HISTORY_LIMIT = 100;
+const MOVE_COALESCE_MS = 1500; // consecutive drags of one token within this window undo as one step
+
+function pushHistory(roomId, room, socketId, op) {
+  if (room.rep.active) return; // replay state is thrown away afterwards, so is its history
+  // Copied for the same reason as recorded events: an add op must not follow
+  // later edits of the shape it added
+  op = JSON.parse(JSON.stringify(op));
+  op.by = room.users[socketId]?.username || null;
+  op.at = Date.now();
+  room.history.undo.push(op);
+  if (room.history.undo.length > HISTORY_LIMIT) room.history.undo.shift();
+  room.history.redo = [];
+  emitHistoryState(roomId, room);
+}
+
+function recordTokenMove(roomId, room, socketId, id, from, to) {
+  const undo = room.history.undo;
+  const prev = undo[undo.length - 1];
+  const by = room.users[socketId]?.username || null;
+  if (prev && prev.type === 'token-move' && prev.id === id && prev.by === by &&
+      Date.now() - prev.at < MOVE_COALESCE_MS && !room.history.redo.length) {
+    prev.to = to;
+    prev.at = Date.now();
+    return;
+  }
+  pushHistory(roomId, room, socketId, { type: 'token-move', id, from, to });
+}
+
+// ── Shape edits ───────────────────────────────────────────────
+// Fields the select tool may change on a finished stroke, arrow, zone or text
+const EDITABLE_FIELDS = {
+  strokes: ['points', 'color', 'width', 'style'],
+  arrows:  ['x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'via', 'path', 'kind', 'color', 'width', 'style'],
+  zones:   ['x', 'y', 'w', 'h', 'points', 'color', 'opacity', 'hatch', 'width', 'style'],
+  texts:   ['x', 'y', 'w', 'text', 'size', 'color', 'background', 'rotation']
+};
+const SHAPE_EVENTS = {
+  strokes: { remove: 'stroke-remove', restore: 'stroke-restore', update: 'stroke-update' },
+  arrows:  { remove: 'arrow-remove',  restore: 'arrow-restore',  update: 'arrow-update' },
+  zones:   { remove: 'zone-remove',   restore: 'zone-restore',   update: 'zone-update' },
+  texts:   { remove: 'text-remove',   restore: 'text-restore',   update: 'text-update' }
+};
+const TEXT_MAX_LENGTH = 500;
+
+// Applies the allowed part of `changes` and returns { from, to }, or null if nothing changed
+function updateShape(room, kind, id, changes) {
+  const item = room[kind].find(s => s.id === id);
+  if (!item || !changes || typeof changes !== 'object') return null;
+  const to = {};
+  EDITABLE_FIELDS[kind].forEach(key => { if (key in changes) to[key] = changes[key]; });
+  if (!Object.keys(to).length) return null;
+  if (to.points && (!Array.isArray(to.points) || to.points.length < 2 || to.points.length > 5000)) return null;
+  if ('opacity' in to && !(to.opacity >= 0 && to.opacity <= 1)) return null;
+  if ('text' in to && (typeof to.text !== 'string' || !to.text.trim() || to.text.length > TEXT_MAX_LENGTH)) return null;
+  if (to.via && (!Array.isArray(to.via) || to.via.length > 100)) return null;
+  const from = {};
+  Object.keys(to).forEach(key => { from[key] = item[key]; });
+  Object.assign(item, JSON.parse(JSON.stringify(to)));
+  return JSON.parse(JSON.stringify({ from, to }));
+}
+
+// Dragging a shape sends many updates; within the window they undo as one step
+function recordShapeUpdate(roomId, room, socketId, kind, id, from, to) {
+  const undo = room.history.undo;
+  const prev = undo[undo.length - 1];
+  const by = room.users[socketId]?.username || null;
+  const keys = Object.keys(to).sort().join();
+  if (prev && prev.type === 'update' && prev.kind === kind && prev.id === id && prev.by === by &&
+      Object.keys(prev.to).sort().join() === keys &&
+      Date.now() - prev.at < MOVE_COALESCE_MS && !room.history.redo.length) {
+    prev.to = to;
+    prev.at = Date.now();
+    return;
+  }
+  pushHistory(roomId, room, socketId, { type: 'update', kind, id, from, to });
+}
+
+// Group drags coalesce like single ones when the same set of tokens keeps moving
+function recordTokensMove(roomId, room, socketId, moves) {
+  const undo = room.history.undo;
+  const prev = undo[undo.length - 1];
+  const by = room.users[socketId]?.username || null;
+  const sameSet = prev && prev.type === 'tokens-move' && prev.moves.length === moves.length &&
+    moves.every(m => prev.moves.some(p => p.id === m.id));
+  if (sameSet && prev.by === by && Date.now() - prev.at < MOVE_COALESCE_MS && !room.history.redo.length) {
+    moves.forEach(m => { prev.moves.find(p => p.id === m.id).to = m.to; });
+    prev.at = Date.now();
+    return;
+  }
+  pushHistory(roomId, room, socketId, { type: 'tokens-move', moves });
+}
+
+// Tokens across every frame of a board. Two full squads plus cones and balls
+// fit on dozens of frames; more is abuse.
+const MAX_TOKENS = 2000;
+
+function boardTokenCount(room) {
+  return room.frames.reduce((sum, f) => sum + (f ? Object.keys(f.tokens || {}).length : 0),
+    Object.keys(room.tokens).length);
+}
+
+// Tokens in a sequence handed to loadSequence()
+function sequenceTokenCount(seq) {
+  const frames = seq.frames && seq.frames.length ? seq.frames : [seq];
+  return frames.reduce((sum, f) => sum + Object.keys(f.tokens || {}).length, 0);
+}
+
+// Refuses (and tells the sender) when `adding` more tokens would pass the cap
+function tokensFull(socket, room, adding) {
+  const count = boardTokenCount(room);
+  if (count + adding <= MAX_TOKENS) return false;
+  console.log(`[!] Rejected ${adding} tokens from ${socket.id}: board already has ${count}`);
+  socket.emit('tokens-refused', { reason: `A board holds at most ${MAX_TOKENS} tokens across its frames` });
+  return true;
+}
+
+// Batches go out as one event so clients and replays apply them together
+function addTokens(roomId, room, list) {
+  const added = list.filter(t => !room.tokens[t.id]).map(t => JSON.parse(JSON.stringify(t)));
+  if (!added.length) return;
+  added.forEach(t => { room.tokens[t.id] = t; });
+  io.to(roomId).emit('tokens-add', { tokens: added });
+  recordEvent(room, 'tokens-add', JSON.parse(JSON.stringify({ tokens: added })));
+}
+
+function removeTokens(roomId, room, ids) {
+  const removed = ids.filter(id => room.tokens[id]);
+  if (!removed.length) return;
+  removed.forEach(id => { delete room.tokens[id]; });
+  io.to(roomId).emit('tokens-remove', { ids: removed });
+  recordEvent(room, 'tokens-remove', { ids: removed });
+}
+
+function emitHistoryState(roomId, room) {
+  const state = { undo: room.history.undo.length, redo: room.history.redo.length };
+  const sent = room.history.sent;
+  if (sent && sent.undo === state.undo && sent.redo === state.redo) return;
+  room.history.sent = state;
+  io.to(roomId).emit('history-state', state);
+}
+
+function removeShapes(roomId, room, kind, ids) {
+  room[kind] = room[kind].filter(s => !ids.includes(s.id));
+  const event = SHAPE_EVENTS[kind].remove;
+  io.to(roomId).emit(event, { ids });
+  recordEvent(room, event, { ids });
+}
+
+function restoreShapes(roomId, room, kind, items) {
+  const missing = items.filter(({ item }) => !room[kind].some(s => s.id === item.id));
+  if (!missing.length) return;
+  // Re-insert in ascending index order so each one lands where it used to be
+  [...missing].sort((a, b) => a.index - b.index).forEach(({ index, item }) => {
+    room[kind].splice(Math.min(index, room[kind].length), 0, JSON.parse(JSON.stringify(item)));
+  });
+  const event = SHAPE_EVENTS[kind].restore;
+  io.to(roomId).emit(event, { items: missing });
+  recordEvent(room, event, JSON.parse(JSON.stringify({ items: missing })));
+}
+
+function applyHistoryOp(roomId, room, op, direction) {
+  const undoing = direction === 'undo';
+  switch (op.type) {
+    case 'add':
+    case 'remove': {
+      const removing = (op.type === 'add') === undoing;
+      if (removing) removeShapes(roomId, room, op.kind, op.items.map(({ item }) => item.id));
+      else restoreShapes(roomId, room, op.kind, op.items);
+      break;
+    }
+    case 'token-add':
+    case 'token-remove': {
+      const removing = (op.type === 'token-add') === undoing;
+      const id = op.token.id;
+      if (removing) {
+        if (!room.tokens[id]) break;
+        delete room.tokens[id];
+        io.to(roomId).emit('token-remove', { id });
+        recordEvent(room, 'token-remove', { id });
+      } else {
+        if (room.tokens[id]) break;
+        room.tokens[id] = JSON.parse(JSON.stringify(op.token));
+        io.to(roomId).emit('token-add', room.tokens[id]);
+        recordEvent(room, 'token-add', JSON.parse(JSON.stringify(op.token)));
+      }
+      break;
+    }
+    case 'tokens-add':
+    case 'tokens-remove':
+      if ((op.type === 'tokens-add') === undoing) removeTokens(roomId, room, op.tokens.map(t => t.id));
+      else addTokens(roomId, room, op.tokens);
+      break;
+    case 'tokens-move': {
+      const moves = op.moves
+        .filter(m => room.tokens[m.id])
+        .map(m => ({ id: m.id, ...(undoing ? m.from : m.to) }));
+      const moving = new Set(moves.map(m => m.id));
+      moves.forEach(({ id, x, y }) => moveWithBall(room.tokens, room.tokens[id], x, y, moving));
+      io.to(roomId).emit('tokens-move', { moves });
+      recordEvent(room, 'tokens-move', JSON.parse(JSON.stringify({ moves })));
+      break;
+    }
+    case 'tokens-recolor': {
+      const items = op.items
+        .filter(i => room.tokens[i.id])
+        .map(i => ({ id: i.id, color: undoing ? i.from : i.to }));
+      items.forEach(({ id, color }) => { room.tokens[id].color = color; });
+      io.to(roomId).emit('tokens-recolor', { items });
+      recordEvent(room, 'tokens-recolor', JSON.parse(JSON.stringify({ items })));
+      break;
+    }
+    case 'tokens-bind':
+      bindTokens(roomId, room, op.items.map(i => ({ id: i.id, to: undoing ? i.from : i.to })));
+      break;
+    case 'tokens-team':
+      // The kit may have changed since, so team tokens take today's colours
+      setTokenTeams(roomId, room, op.items.map(i => {
+        const to = undoing ? i.from : i.to;
+        return { id: i.id, to: to.team ? { ...to, color: kitColor(room, to) } : to };
+      }));
+      break;
+    case 'ball-attach':
+      setBall(roomId, room, op.id, undoing ? op.from : op.to);
+      break;
+    case 'ball-pass':
+      if (undoing) removeShapes(roomId, room, 'arrows', [op.arrow.item.id]);
+      else restoreShapes(roomId, room, 'arrows', [op.arrow]);
+      setBall(roomId, room, op.id, undoing ? op.from : op.to);
+      break;
+    case 'token-move': {
+      const token = room.tokens[op.id];
+      if (!token) break;
+      const { x, y } = undoing ? op.from : op.to;
+      moveWithBall(room.tokens, token, x, y);
+      io.to(roomId).emit('token-move', { id: op.id, x, y });
+      recordEvent(room, 'token-move', { id: op.id, x, y });
+      break;
+    }
+    case 'token-relabel': {
+      const token = room.tokens[op.id];
+      if (!token) break;
+      token.label = undoing ? op.from : op.to;
+      io.to(roomId).emit('token-relabel', { id: op.id, label: token.label });
+      recordEvent(room, 'token-relabel', { id: op.id, label: token.label });
+      break;
+    }
+    case 'update': {
+      const item = room[op.kind].find(s => s.id === op.id);
+      if (!item) break;
+      const changes = JSON.parse(JSON.stringify(undoing ? op.from : op.to));
+      Object.assign(item, changes);
+      io.to(roomId).emit(SHAPE_EVENTS[op.kind].update, { id: op.id, changes });
+      recordEvent(room, SHAPE_EVENTS[op.kind].update, { id: op.id, changes });
+      break;
+    }
+    case 'board':
+      replaceBoard(roomId, room, undoing ? op.before : op.after);
+      break;
+    case 'sequence':
+      loadSequence(roomId, room, undoing ? op.before : op.after);
+      break;
+    case 'swap-sides':
+      swapSides(roomId, room);
+      break;
+    case 'pitch':
+      setPitch(roomId, room, undoing ? op.from : op.to);
+      break;
+  }
+}
+
+// Undoing or redoing a Clear All, preset load or import replaces the board
+// just as doing it does, so it takes the same permission
+const HISTORY_OP_PERMISSIONS = { board: 'destroy', sequence: 'destroy' };
+
+// Tokens that undoing or redoing `op` would add to the board (negative if it removes them)
+function historyOpTokens(room, op, direction) {
+  const undoing = direction === 'undo';
+  switch (op.type) {
+    case 'token-add':
+    case 'token-remove':
+      return (op.type === 'token-add') === undoing ? 0 : 1;
+    case 'tokens-add':
+    case 'tokens-remove':
+      return (op.type === 'tokens-add') === undoing ? 0 : op.tokens.length;
+    case 'board':
+      return Object.keys((undoing ? op.before : op.after).tokens || {}).length - Object.keys(room.tokens).length;
+    case 'sequence':
+      return sequenceTokenCount(undoing ? op.before : op.after) - boardTokenCount(room);
+    default:
+      return 0;
+  }
+}
+
+// Move one operation between the undo and redo stacks for `socket`.
+// With `username`, only that user's own most recent operation is considered.
+// False when there was nothing to step; true once stepped or refused.
+function stepHistory(socket, roomId, room, direction, username) {
+  const from = direction === 'undo' ? room.history.undo : room.history.redo;
+  const to   = direction === 'undo' ? room.history.redo : room.history.undo;
+  let idx = from.length - 1;
+  if (username) {
+    while (idx >= 0 && from[idx].by !== username) idx--;
+  }
+  if (idx < 0) return false;
+  if (!requirePermission(socket, room, HISTORY_OP_PERMISSIONS[from[idx].type] || 'edit', direction)) return true;
+  if (tokensFull(socket, room, historyOpTokens(room, from[idx], direction))) return true;
+  const [op] = from.splice(idx, 1);
+  applyHistoryOp(roomId, room, op, direction);
+  op.at = 0; // never coalesce a later drag into an undone/redone move
+  to.push(op);
+  emitHistoryState(roomId, room);
+  return true;
+}
+
+// ── Helpers ───────────────────────────────────────────────────
+const USER_COLORS = [
+  '#e74c3c','#3498db','#2ecc71','#f39c12',
+  '#9b59b6','#1abc9c','#e67e22','#e91e63'
+];
+
+function getNextColor(room) {
+  const c = USER_COLORS[room.colorIndex % USER_COLORS.length];
+  room.colorIndex++;
+  return c;
+}
+
+// ── Roles & permissions ───────────────────────────────────────
+// viewer  — cursors and pings only
+// analyst — draw, move tokens, record, replay and save presets
+// coach   — everything, including clearing/replacing the board and managing roles
+const ROLE_PERMISSIONS = {
+  coach:   ['edit', 'record', 'replay', 'save', 'destroy', 'manage'],
+  analyst: ['edit', 'record', 'replay', 'save'],
+  viewer:  []
+};
+
+// Longer passwords are cut to PASSWORD_MAX here, on setting and on checking alike
+const PASSWORD_MAX = 100;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password).substring(0, PASSWORD_MAX), salt, 32).toString('hex');
+  return { salt, hash };
+}
+
+function checkPassword(stored, password) {
+  if (!stored) return true;
+  if (typeof password !== 'string' || !password) return false;
+  const { hash } = hashPassword(password, stored.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+}
+
+// Owner key and password of a room, without loading it: a join that fails
+// must not leave an empty room behind for the autosave to keep writing
+function roomLock(roomId) {
+  const data = rooms[roomId] || savedBoards[roomId]?.data;
+  return { ownerKey: data?.ownerKey || null, password: data?.password || null };
+}
+
+function can(room, socketId, perm) {
+  const user = room.users[socketId];
+  return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(perm);
+}
+
+// Returns true when allowed; otherwise tells the caller why the action was dropped
+function requirePermission(socket, room, perm, action) {
+  if (can(room, socket.id, perm)) return true;
+  socket.emit('permission-denied', { action, role: room.users[socket.id]?.role || 'viewer' });
+  return false;
+}
+
+function getRoomSettings(room) {
+  return {
+    owner: room.owner,
+    hasPassword: !!room.password,
+    defaultRole: room.defaultRole
+  };
+}
+
+// ── Rate Limiting ─────────────────────────────────────────────
+const rateLimits = {};  // socketId → { count, resetAt }
+const RATE_LIMIT_MAX = 60;  // max events per second
+const RATE_LIMIT_WINDOW = 1000;  // 1 second window
+
+function isRateLimited(socketId) {
+  const now = Date.now();
+  if (!rateLimits[socketId] || now > rateLimits[socketId].resetAt) {
+    rateLimits[socketId] = { count: 1, resetAt: now + RATE_LIMIT_WINDOW };
+    return false;
+  }
+  rateLimits[socketId].count++;
+  if (rateLimits[socketId].count > RATE_LIMIT_MAX) {
+    return true; // over limit, drop this event
+  }
+  return false;
+}
+
+// ── Socket events ─────────────────────────────────────────────
+io.on('connection', (socket) => {
+  console.log(`[+] connected: ${socket.id}`);
+
+  // 1. New user joins a room
+  socket.on('join', ({ username, room: roomId, password, ownerKey, userKey }) => {
+    // Sanitize inputs
+    username = (username || 'Anonymous').toString().trim().substring(0, 20) || 'Anonymous';
+    roomId = (roomId || 'lobby').toString().trim().substring(0, 40).replace(/[^a-zA-Z0-9_-]/g, '-') || 'lobby';
+    if (typeof userKey !== 'string' || !/^[0-9a-f]{32}$/.test(userKey)) {
+      userKey = crypto.randomBytes(16).toString('hex');
+    }
+
+    const lock = roomLock(roomId);
+    const isOwner = !!lock.ownerKey && ownerKey === lock.ownerKey;
+    if (!isOwner && !checkPassword(lock.password, password)) {
+      socket.emit('join-error', { room: roomId, reason: password ? 'wrong-password' : 'password-required' });
+      return;
+    }
+
+    // A name belongs to one person at a time; only its own key takes it over
+    const room = getRoom(roomId);
     const existingSocketId = Object.keys(room.users).find(
-      id => room.users[id].username === username
+      id => id !== socket.id && room.users[id].username === username
     );
+    if (existingSocketId && socketUserKeys[existingSocketId] !== userKey) {
+      socket.emit('join-error', { room: roomId, reason: 'name-taken' });
+      return;
+    }
+
+    // First person into an unowned room becomes its owner
+    let newOwnerKey = null;
+    if (!room.ownerKey) {
+      newOwnerKey = crypto.randomBytes(16).toString('hex');
+      room.ownerKey = newOwnerKey;
+      room.owner = username;
+      if (typeof password === 'string' && password) room.password = hashPassword(password);
+      console.log(`[+] Room "${roomId}" owned by ${username}${room.password ? ' (password protected)' : ''}`);
+    }
+    const ownsRoom = isOwner || !!newOwnerKey;
+
+    // Cancel any pending disconnect grace timer for this socket
+    if (disconnectTimers[socket.id]) {
+      clearTimeout(disconnectTimers[socket.id]);
+      delete disconnectTimers[socket.id];
+    }
+
+    // If socket was in a different room, leave it first
+    const prevRoom = socketRooms[socket.id];
+    if (prevRoom && prevRoom !== roomId) {
+      socket.leave(prevRoom);
+      const oldRoom = getRoom(prevRoom);
+      delete oldRoom.users[socket.id];
+      io.to(prevRoom).emit('user-list', Object.values(oldRoom.users));
+    }
+
+    // Join the Socket.IO room
+    socket.join(roomId);
+    socketRooms[socket.id] = roomId;
+
+    // Remove any stale entry for this socket id
+    if (room.users[socket.id]) {
+      delete room.users[socket.id];
+    }
+
+    // Remove their previous connection (cross-socket reconnect)
     let color;
     if (existingSocketId) {
       color = room.users[existingSocketId].color; // keep their colour
@@ -435,26 +2640,49 @@ io.on('connection', (socket) => {
     } else {
       color = getNextColor(room);
     }
-    room.users[socket.id] = { id: socket.id, username, color };
+    if (ownsRoom) room.owner = username;
+    const role = ownsRoom ? 'coach' : (room.roles[userKey] || room.defaultRole);
+    room.users[socket.id] = { id: socket.id, username, color, role, owner: ownsRoom };
+    socketUserKeys[socket.id] = userKey;
 
     // Send full current state to the new user
     socket.emit('init-state', {
       strokes: room.strokes,
       tokens: Object.values(room.tokens),
       arrows: room.arrows,
+      zones: room.zones,
+      texts: room.texts,
       users: Object.values(room.users),
       you: room.users[socket.id],
       room: roomId,
       recActive: room.rec.active,
       repActive: room.rep.active,
-      repDuration: room.rep.currentRecId ? (recordings.find(r => r.id === room.rep.currentRecId)?.duration || 0) : 0,
+      repDuration: room.rep.currentRecId ? (getRoomRecordings(roomId).find(r => r.id === room.rep.currentRecId)?.duration || 0) : 0,
       repPosition: room.rep.playbackPosition,
-      repPaused: !room.rep.isPlaying
+      repPaused: !room.rep.isPlaying,
+      repRate: room.rep.rate,
+      repRecId: room.rep.currentRecId,
+      repAudio: getRoomRecordings(roomId).find(r => r.id === room.rep.currentRecId)?.audio || null,
+      repMarkers: room.rep.active ? replayMarkers(getRoomRecordings(roomId).find(r => r.id === room.rep.currentRecId) || { timeline: [] }) : [],
+      permissions: ROLE_PERMISSIONS[role],
+      ownerKey: ownsRoom ? room.ownerKey : undefined,
+      userKey,
+      settings: getRoomSettings(room),
+      history: { undo: room.history.undo.length, redo: room.history.redo.length },
+      frame: getFrameInfo(room),
+      pitch: room.pitch,
+      roster: room.roster,
+      kits: room.kits,
+      trails: room.trails,
+      passes: room.passes,
+      animation: room.animation,
+      animTime: room.animPlay.time
     });
 
     // Proactively push lists so client doesn't need to request them
-    socket.emit('recordings-list', getRecordingsList());
-    socket.emit('presets-list', getBoardPresetsList());
+    socket.emit('recordings-list', getRecordingsList(roomId));
+    socket.emit('presets-list', getBoardPresetsList(roomId));
+    socket.emit('plans-list', getRoomPlans(roomId));
 
     // Announce join to others in the same room
     socket.to(roomId).emit('user-joined', room.users[socket.id]);
@@ -468,6 +2696,7 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'draw-move')) return;
     socket.to(roomId).emit('draw-move', {
       ...data,
       socketId: socket.id,
@@ -480,114 +2709,598 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    socket.to(roomId).emit('board-ping', {
-      ...data,
-      socketId: socket.id,
-      color: room.users[socket.id]?.color || '#fff'
-    });
+    socket.to(roomId).emit('board-ping', {
+      ...data,
+      socketId: socket.id,
+      color: room.users[socket.id]?.color || '#fff'
+    });
+  });
+
+  // 3. Completed stroke — store it
+  socket.on('stroke-done', (stroke) => {
+    if (isRateLimited(socket.id)) return;
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'stroke-done')) return;
+
+    // Basic protection against malicious huge payloads
+    if (stroke && stroke.points && stroke.points.length > 5000) {
+      console.log(`[!] Rejected large stroke (${stroke.points.length} points) from ${socket.id}`);
+      return;
+    }
+    
+    const saved = { ...stroke, socketId: socket.id };
+    room.strokes.push(saved);
+    socket.to(roomId).emit('stroke-done', saved);
+    recordEvent(room, 'stroke-done', saved);
+    if (saved.tool !== 'laser') {
+      pushHistory(roomId, room, socket.id, { type: 'add', kind: 'strokes', items: [{ index: room.strokes.length - 1, item: saved }] });
+    }
+  });
+
+  // 3b. Remove specific strokes by ID
+  socket.on('stroke-remove', ({ ids }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'stroke-remove')) return;
+    // Remember original positions so undo can put them back in drawing order
+    const items = room.strokes
+      .map((item, index) => ({ index, item }))
+      .filter(({ item }) => ids.includes(item.id));
+    room.strokes = room.strokes.filter(s => !ids.includes(s.id));
+    io.to(roomId).emit('stroke-remove', { ids });
+    recordEvent(room, 'stroke-remove', { ids });
+    if (items.length) pushHistory(roomId, room, socket.id, { type: 'remove', kind: 'strokes', items });
+  });
+
+  // 4. Token added
+  socket.on('token-add', (token) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'token-add')) return;
+    if (tokensFull(socket, room, 1)) return;
+    const id = `t${room.nextTokenId++}`;
+    const newToken = { ...token, id };
+    room.tokens[id] = newToken;
+    io.to(roomId).emit('token-add', newToken);
+    recordEvent(room, 'token-add', newToken);
+    pushHistory(roomId, room, socket.id, { type: 'token-add', token: JSON.parse(JSON.stringify(newToken)) });
+  });
+
+  // 4b. Several tokens at once (formations)
+  socket.on('tokens-add', ({ tokens: list } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'tokens-add')) return;
+    if (!Array.isArray(list) || !list.length || tokensFull(socket, room, list.length)) return;
+    const created = list.map(token => ({ ...token, id: `t${room.nextTokenId++}` }));
+    addTokens(roomId, room, created);
+    pushHistory(roomId, room, socket.id, { type: 'tokens-add', tokens: JSON.parse(JSON.stringify(created)) });
+  });
+
+  // 5. Token moved
+  socket.on('token-move', ({ id, x, y, trail }) => {
+    // The release that ends a trail is never dropped, or the trail would stay open
+    if (!isTrailEnd(trail) && isRateLimited(socket.id)) return;
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'token-move')) return;
+    if (room.tokens[id]) {
+      trail = cleanTrailFlag(trail);
+      const from = { x: room.tokens[id].x, y: room.tokens[id].y };
+      const finished = applyTrail(room, room.tokens[id], x, y, trail);
+      moveWithBall(room.tokens, room.tokens[id], x, y);
+      const data = trail ? { id, x, y, trail } : { id, x, y };
+      socket.to(roomId).emit('token-move', data);
+      recordEvent(room, 'token-move', data);
+      recordTokenMove(roomId, room, socket.id, id, from, { x, y });
+      if (finished) addTrailArrows(roomId, room, socket.id, [finished]);
+    }
+  });
+
+  // 5b. Group move — every position lands in one event
+  socket.on('tokens-move', ({ moves, trail }) => {
+    if (!isTrailEnd(trail) && isRateLimited(socket.id)) return;
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'tokens-move')) return;
+    if (!Array.isArray(moves)) return;
+    const applied = moves
+      .filter(m => room.tokens[m.id] && Number.isFinite(m.x) && Number.isFinite(m.y))
+      .map(({ id, x, y }) => ({ id, x, y }));
+    if (!applied.length) return;
+    trail = cleanTrailFlag(trail);
+    const finished = [];
+    const moving = new Set(applied.map(m => m.id));
+    const history = applied.map(({ id, x, y }) => {
+      const token = room.tokens[id];
+      const from = { x: token.x, y: token.y };
+      const done = applyTrail(room, token, x, y, trail);
+      if (done) finished.push(done);
+      moveWithBall(room.tokens, token, x, y, moving);
+      return { id, from, to: { x, y } };
+    });
+    const data = trail ? { moves: applied, trail } : { moves: applied };
+    socket.to(roomId).emit('tokens-move', data);
+    recordEvent(room, 'tokens-move', data);
+    recordTokensMove(roomId, room, socket.id, history);
+    addTrailArrows(roomId, room, socket.id, finished);
+  });
+
+  // 5c. Ball possession — playerId null lets go of the ball where it lies
+  socket.on('ball-attach', ({ id, playerId }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'ball-attach')) return;
+    const ball = room.tokens[id];
+    const player = playerId ? room.tokens[playerId] : null;
+    if (!ball || !isBall(ball) || (playerId && (!player || !isPlayer(player)))) return;
+    if ((ball.heldBy || null) === (playerId || null)) return;
+    const from = ballState(ball);
+    const to = player ? ballAtFeet(player) : { ...from, heldBy: null };
+    setBall(roomId, room, id, to);
+    pushHistory(roomId, room, socket.id, { type: 'ball-attach', id, from, to });
+  });
+
+  socket.on('ball-pass', ({ id, to: receiverId }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'ball-pass')) return;
+    const ball = room.tokens[id];
+    const passer = ball && room.tokens[ball.heldBy];
+    const receiver = room.tokens[receiverId];
+    if (!ball || !isBall(ball) || !passer || !receiver || !isPlayer(receiver) || passer.id === receiverId) return;
+    const from = ballState(ball);
+    const to = ballAtFeet(receiver);
+    const [arrow] = addArrows(roomId, room, [{
+      id: `ar${room.nextArrowId++}`,
+      tool: 'arrow',
+      path: 'straight',
+      x1: from.x, y1: from.y, x2: to.x, y2: to.y,
+      color: '#ffffff',
+      width: 3,
+      kind: 'pass',
+      style: 'dashed',
+      socketId: socket.id
+    }]);
+    const pass = { ballId: id, from: passer.id, to: receiverId, fromLabel: tokenTag(passer), toLabel: tokenTag(receiver), at: Date.now() };
+    Object.assign(ball, to);
+    const data = { id, ...to, pass };
+    io.to(roomId).emit('ball-pass', data);
+    recordEvent(room, 'ball-pass', data);
+    // A replay's passes belong to the recording, not to the room's log
+    if (!room.rep.active) room.passes = [...room.passes, pass].slice(-PASS_LOG_LIMIT);
+    pushHistory(roomId, room, socket.id, { type: 'ball-pass', id, from, to, arrow });
+  });
+
+  // 5d. Keyframe animation
+  socket.on('anim-key', ({ ids, t }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'anim-key')) return;
+    if (!Array.isArray(ids) || !Number.isFinite(t)) return;
+    t = Math.min(Math.max(Math.round(t / ANIM_STEP) * ANIM_STEP, 0), room.animation.duration);
+    const tracks = { ...room.animation.tracks };
+    ids.filter(id => room.tokens[id]).forEach(id => {
+      const keys = (tracks[id] || []).filter(k => k.t !== t);
+      if (keys.length >= ANIM_MAX_KEYS) return;
+      keys.push({ t, x: room.tokens[id].x, y: room.tokens[id].y });
+      tracks[id] = keys.sort((a, b) => a.t - b.t);
+    });
+    setAnimation(roomId, room, { ...room.animation, tracks });
+  });
+
+  socket.on('anim-key-remove', ({ ids, t }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'anim-key-remove')) return;
+    if (!Array.isArray(ids) || !Number.isFinite(t)) return;
+    const tracks = { ...room.animation.tracks };
+    ids.filter(id => tracks[id]).forEach(id => {
+      tracks[id] = tracks[id].filter(k => Math.abs(k.t - t) >= ANIM_STEP / 2);
+      if (!tracks[id].length) delete tracks[id];
+    });
+    setAnimation(roomId, room, { ...room.animation, tracks });
+  });
+
+  // Length and easing; shortening drops the keys past the new end
+  socket.on('anim-settings', ({ duration, easing }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'anim-settings')) return;
+    const anim = { ...room.animation };
+    if (Number.isFinite(duration)) {
+      anim.duration = Math.min(Math.max(Math.round(duration / ANIM_STEP) * ANIM_STEP, 1000), ANIM_MAX_DURATION);
+      anim.tracks = {};
+      Object.entries(room.animation.tracks).forEach(([id, keys]) => {
+        const kept = keys.filter(k => k.t <= anim.duration);
+        if (kept.length) anim.tracks[id] = kept;
+      });
+    }
+    if (ANIM_EASINGS.includes(easing)) anim.easing = easing;
+    setAnimation(roomId, room, anim);
+  });
+
+  socket.on('anim-clear', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'anim-clear')) return;
+    setAnimation(roomId, room, { ...room.animation, tracks: {} });
+  });
+
+  // Scrubbing moves the real tokens, so a key set afterwards starts from the pose
+  socket.on('anim-seek', ({ t }) => {
+    if (isRateLimited(socket.id)) return;
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'anim-seek')) return;
+    if (!Number.isFinite(t)) return;
+    t = Math.min(Math.max(t, 0), room.animation.duration);
+    if (room.animPlay.timer) { stopAnimation(roomId, room, t); return; }
+    room.animPlay.time = t;
+    const moves = applyPose(room.tokens, animPose(room.animation, t));
+    io.to(roomId).emit('anim-time', { t });
+    if (!moves.length) return;
+    io.to(roomId).emit('tokens-move', { moves });
+    recordEvent(room, 'tokens-move', JSON.parse(JSON.stringify({ moves })));
+  });
+
+  socket.on('anim-play', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'anim-play')) return;
+    if (room.animPlay.timer) return;
+    const { duration } = room.animation;
+    const from = room.animPlay.time >= duration ? 0 : room.animPlay.time;
+    Object.assign(room.animPlay, { from, startedAt: Date.now() });
+    room.animPlay.timer = setTimeout(() => stopAnimation(roomId, room, duration), duration - from);
+    // The keyframes travel with the start, so replays animate what was played
+    const data = { from, animation: room.animation };
+    io.to(roomId).emit('anim-play', data);
+    recordEvent(room, 'anim-play', JSON.parse(JSON.stringify(data)));
+  });
+
+  socket.on('anim-pause', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'anim-pause')) return;
+    if (room.animPlay.timer) stopAnimation(roomId, room);
+  });
+
+  socket.on('pass-log-clear', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'pass-log-clear')) return;
+    room.passes = [];
+    setPassLog(roomId, room.passes);
+  });
+
+  socket.on('trails-clear', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'trails-clear')) return;
+    room.trails = {};
+    io.to(roomId).emit('trails-clear');
+    recordEvent(room, 'trails-clear', {});
+  });
+
+  // 6. Token removed
+  socket.on('token-remove', ({ id }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'token-remove')) return;
+    const removed = room.tokens[id];
+    delete room.tokens[id];
+    io.to(roomId).emit('token-remove', { id });
+    recordEvent(room, 'token-remove', { id });
+    if (removed) pushHistory(roomId, room, socket.id, { type: 'token-remove', token: JSON.parse(JSON.stringify(removed)) });
+  });
+
+  // 6a. Several tokens removed at once
+  socket.on('tokens-remove', ({ ids }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'tokens-remove')) return;
+    if (!Array.isArray(ids)) return;
+    const removed = ids.filter(id => room.tokens[id]).map(id => JSON.parse(JSON.stringify(room.tokens[id])));
+    if (!removed.length) return;
+    removeTokens(roomId, room, removed.map(t => t.id));
+    pushHistory(roomId, room, socket.id, { type: 'tokens-remove', tokens: removed });
+  });
+
+  // 6b. Token label edit
+  socket.on('token-relabel', ({ id, label }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'token-relabel')) return;
+    const from = room.tokens[id]?.label;
+    if (room.tokens[id]) room.tokens[id].label = label;
+    io.to(roomId).emit('token-relabel', { id, label });
+    recordEvent(room, 'token-relabel', { id, label });
+    if (room.tokens[id] && from !== label) {
+      pushHistory(roomId, room, socket.id, { type: 'token-relabel', id, from, to: label });
+    }
+  });
+
+  // 6b. Roster — players are room-wide; only token bindings go on the undo stack
+  socket.on('roster-add', ({ player }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'roster-add')) return;
+    if (!player || room.roster.length >= ROSTER_LIMIT) return;
+    room.roster.push({ id: `p${room.nextPlayerId++}`, ...cleanPlayer(player) });
+    io.to(roomId).emit('roster-updated', { roster: room.roster });
+  });
+
+  socket.on('roster-update', ({ id, changes }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'roster-update')) return;
+    const idx = room.roster.findIndex(p => p.id === id);
+    if (idx === -1 || !changes) return;
+    const { id: _id, ...base } = room.roster[idx];
+    room.roster[idx] = { id, ...cleanPlayer(changes, base) };
+    io.to(roomId).emit('roster-updated', { roster: room.roster });
+    rebindPlayers(roomId, room, { [id]: room.roster[idx] });
+  });
+
+  socket.on('roster-remove', ({ id }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'roster-remove')) return;
+    if (!room.roster.some(p => p.id === id)) return;
+    room.roster = room.roster.filter(p => p.id !== id);
+    io.to(roomId).emit('roster-updated', { roster: room.roster });
+    rebindPlayers(roomId, room, { [id]: null });
+  });
+
+  // Every token of one player goes to the other and vice versa
+  socket.on('roster-swap', ({ a, b }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'roster-swap')) return;
+    const pa = room.roster.find(p => p.id === a);
+    const pb = room.roster.find(p => p.id === b);
+    if (!pa || !pb || a === b) return;
+    rebindPlayers(roomId, room, { [a]: pb, [b]: pa });
+  });
+
+  socket.on('token-bind', ({ id, playerId }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'token-bind')) return;
+    const token = room.tokens[id];
+    const player = playerId ? room.roster.find(p => p.id === playerId) : null;
+    if (!token || (playerId && !player)) return;
+    const items = bindTokens(roomId, room, [{ id, to: playerBinding(player, token) }]);
+    if (items.length) pushHistory(roomId, room, socket.id, { type: 'tokens-bind', items });
+  });
+
+  socket.on('tokens-team', ({ ids, team, gk }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'tokens-team')) return;
+    if (!Array.isArray(ids) || (team !== null && !TEAMS.includes(team))) return;
+    // Icons and emoji draw their own colours, so they cannot wear a kit
+    const changes = ids
+      .map(id => room.tokens[id])
+      .filter(t => t && t.color !== 'transparent')
+      .map(t => {
+        const to = { team, gk: team ? (gk === undefined ? !!t.gk : !!gk) : false, color: t.color };
+        if (team) to.color = kitColor(room, to);
+        return { id: t.id, to };
+      })
+      .filter(({ id, to }) => JSON.stringify(tokenTeam(room.tokens[id])) !== JSON.stringify(to));
+    const items = setTokenTeams(roomId, room, changes);
+    if (items.length) pushHistory(roomId, room, socket.id, { type: 'tokens-team', items });
+  });
+
+  // Kit colours are a room setting like the roster, so they are not undoable
+  socket.on('kits-set', ({ team, kit, gk }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'kits-set')) return;
+    if (!TEAMS.includes(team)) return;
+    if ((kit !== undefined && !HEX_COLOR.test(kit)) || (gk !== undefined && !HEX_COLOR.test(gk))) return;
+    room.kits[team] = { kit: kit || room.kits[team].kit, gk: gk || room.kits[team].gk };
+    io.to(roomId).emit('kits-updated', { kits: room.kits });
+    recolorTeam(roomId, room, team);
+  });
+
+  socket.on('swap-sides', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'swap-sides')) return;
+    swapSides(roomId, room);
+    pushHistory(roomId, room, socket.id, { type: 'swap-sides' });
+    console.log(`[*] Sides swapped in room ${roomId}`);
+  });
+
+  // 6c. Group recolour
+  socket.on('tokens-recolor', ({ ids, color }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'tokens-recolor')) return;
+    if (!Array.isArray(ids) || typeof color !== 'string') return;
+    // Icons and emoji draw their own colours
+    const history = ids
+      .filter(id => room.tokens[id] && room.tokens[id].color !== 'transparent' && room.tokens[id].color !== color)
+      .map(id => ({ id, from: room.tokens[id].color, to: color }));
+    if (!history.length) return;
+    const items = history.map(({ id }) => ({ id, color }));
+    items.forEach(({ id }) => { room.tokens[id].color = color; });
+    io.to(roomId).emit('tokens-recolor', { items });
+    recordEvent(room, 'tokens-recolor', { items });
+    pushHistory(roomId, room, socket.id, { type: 'tokens-recolor', items: history });
+  });
+
+  // 7. Arrow added
+  socket.on('arrow-done', (arrow) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'arrow-done')) return;
+    const saved = { ...arrow, id: `ar${room.nextArrowId++}`, socketId: socket.id };
+    room.arrows.push(saved);
+    socket.to(roomId).emit('arrow-done', saved);
+    socket.emit('arrow-confirmed', { tempId: arrow.id, arrow: saved });
+    recordEvent(room, 'arrow-done', saved);
+    pushHistory(roomId, room, socket.id, { type: 'add', kind: 'arrows', items: [{ index: room.arrows.length - 1, item: saved }] });
+  });
+
+  // 7b. Arrow removed (undo)
+  socket.on('arrow-remove', ({ ids }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'arrow-remove')) return;
+    const items = room.arrows
+      .map((item, index) => ({ index, item }))
+      .filter(({ item }) => ids.includes(item.id));
+    room.arrows = room.arrows.filter(a => !ids.includes(a.id));
+    io.to(roomId).emit('arrow-remove', { ids });
+    recordEvent(room, 'arrow-remove', { ids });
+    if (items.length) pushHistory(roomId, room, socket.id, { type: 'remove', kind: 'arrows', items });
   });
 
-  // 3. Completed stroke — store it
-  socket.on('stroke-done', (stroke) => {
+  // 7c. Edit a finished stroke or arrow with the select tool
+  socket.on('stroke-update', ({ id, changes }) => {
     if (isRateLimited(socket.id)) return;
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-
-    // Basic protection against malicious huge payloads
-    if (stroke && stroke.points && stroke.points.length > 5000) {
-      console.log(`[!] Rejected large stroke (${stroke.points.length} points) from ${socket.id}`);
-      return;
-    }
-    
-    const saved = { ...stroke, socketId: socket.id };
-    room.strokes.push(saved);
-    socket.to(roomId).emit('stroke-done', saved);
-    recordEvent(room, 'stroke-done', saved);
+    if (!requirePermission(socket, room, 'edit', 'stroke-update')) return;
+    const result = updateShape(room, 'strokes', id, changes);
+    if (!result) return;
+    socket.to(roomId).emit('stroke-update', { id, changes: result.to });
+    recordEvent(room, 'stroke-update', { id, changes: result.to });
+    recordShapeUpdate(roomId, room, socket.id, 'strokes', id, result.from, result.to);
   });
 
-  // 3b. Remove specific strokes by ID
-  socket.on('stroke-remove', ({ ids }) => {
+  socket.on('arrow-update', ({ id, changes }) => {
+    if (isRateLimited(socket.id)) return;
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    ids.forEach(id => {
-      const idx = room.strokes.findIndex(s => s.id === id);
-      if (idx !== -1) room.strokes.splice(idx, 1);
-    });
-    io.to(roomId).emit('stroke-remove', { ids });
-    recordEvent(room, 'stroke-remove', { ids });
+    if (!requirePermission(socket, room, 'edit', 'arrow-update')) return;
+    const result = updateShape(room, 'arrows', id, changes);
+    if (!result) return;
+    socket.to(roomId).emit('arrow-update', { id, changes: result.to });
+    recordEvent(room, 'arrow-update', { id, changes: result.to });
+    recordShapeUpdate(roomId, room, socket.id, 'arrows', id, result.from, result.to);
   });
 
-  // 4. Token added
-  socket.on('token-add', (token) => {
+  // 7d. Zone added — shaded rectangle, ellipse or polygon
+  socket.on('zone-done', (zone) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    const id = `t${room.nextTokenId++}`;
-    const newToken = { ...token, id };
-    room.tokens[id] = newToken;
-    io.to(roomId).emit('token-add', newToken);
-    recordEvent(room, 'token-add', newToken);
+    if (!requirePermission(socket, room, 'edit', 'zone-done')) return;
+    if (zone && zone.points && (!Array.isArray(zone.points) || zone.points.length > 5000)) return;
+    const saved = { ...zone, id: `z${room.nextZoneId++}`, socketId: socket.id };
+    room.zones.push(saved);
+    socket.to(roomId).emit('zone-done', saved);
+    socket.emit('zone-confirmed', { tempId: zone.id, zone: saved });
+    recordEvent(room, 'zone-done', saved);
+    pushHistory(roomId, room, socket.id, { type: 'add', kind: 'zones', items: [{ index: room.zones.length - 1, item: saved }] });
   });
 
-  // 5. Token moved
-  socket.on('token-move', ({ id, x, y }) => {
-    if (isRateLimited(socket.id)) return;
+  socket.on('zone-remove', ({ ids }) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    if (room.tokens[id]) {
-      room.tokens[id].x = x;
-      room.tokens[id].y = y;
-      socket.to(roomId).emit('token-move', { id, x, y });
-      recordEvent(room, 'token-move', { id, x, y });
-    }
+    if (!requirePermission(socket, room, 'edit', 'zone-remove')) return;
+    const items = room.zones
+      .map((item, index) => ({ index, item }))
+      .filter(({ item }) => ids.includes(item.id));
+    room.zones = room.zones.filter(z => !ids.includes(z.id));
+    io.to(roomId).emit('zone-remove', { ids });
+    recordEvent(room, 'zone-remove', { ids });
+    if (items.length) pushHistory(roomId, room, socket.id, { type: 'remove', kind: 'zones', items });
   });
 
-  // 6. Token removed
-  socket.on('token-remove', ({ id }) => {
+  socket.on('zone-update', ({ id, changes }) => {
+    if (isRateLimited(socket.id)) return;
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    delete room.tokens[id];
-    io.to(roomId).emit('token-remove', { id });
-    recordEvent(room, 'token-remove', { id });
+    if (!requirePermission(socket, room, 'edit', 'zone-update')) return;
+    const result = updateShape(room, 'zones', id, changes);
+    if (!result) return;
+    socket.to(roomId).emit('zone-update', { id, changes: result.to });
+    recordEvent(room, 'zone-update', { id, changes: result.to });
+    recordShapeUpdate(roomId, room, socket.id, 'zones', id, result.from, result.to);
   });
 
-  // 6b. Token label edit
-  socket.on('token-relabel', ({ id, label }) => {
+  // 7e. Text annotation added
+  socket.on('text-add', (text) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    if (room.tokens[id]) room.tokens[id].label = label;
-    io.to(roomId).emit('token-relabel', { id, label });
-    recordEvent(room, 'token-relabel', { id, label });
+    if (!requirePermission(socket, room, 'edit', 'text-add')) return;
+    if (!text || typeof text.text !== 'string' || !text.text.trim() || text.text.length > TEXT_MAX_LENGTH) return;
+    const saved = { ...text, id: `tx${room.nextTextId++}`, socketId: socket.id };
+    room.texts.push(saved);
+    socket.to(roomId).emit('text-add', saved);
+    socket.emit('text-confirmed', { tempId: text.id, text: saved });
+    recordEvent(room, 'text-add', saved);
+    pushHistory(roomId, room, socket.id, { type: 'add', kind: 'texts', items: [{ index: room.texts.length - 1, item: saved }] });
   });
 
-  // 7. Arrow added
-  socket.on('arrow-done', (arrow) => {
+  socket.on('text-remove', ({ ids }) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    const saved = { ...arrow, id: `ar${room.nextArrowId++}`, socketId: socket.id };
-    room.arrows.push(saved);
-    socket.to(roomId).emit('arrow-done', saved);
-    socket.emit('arrow-confirmed', { tempId: arrow.id, arrow: saved });
-    recordEvent(room, 'arrow-done', saved);
+    if (!requirePermission(socket, room, 'edit', 'text-remove')) return;
+    const items = room.texts
+      .map((item, index) => ({ index, item }))
+      .filter(({ item }) => ids.includes(item.id));
+    room.texts = room.texts.filter(t => !ids.includes(t.id));
+    io.to(roomId).emit('text-remove', { ids });
+    recordEvent(room, 'text-remove', { ids });
+    if (items.length) pushHistory(roomId, room, socket.id, { type: 'remove', kind: 'texts', items });
   });
 
-  // 7b. Arrow removed (undo)
-  socket.on('arrow-remove', ({ ids }) => {
+  socket.on('text-update', ({ id, changes }) => {
+    if (isRateLimited(socket.id)) return;
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    ids.forEach(id => {
-      const idx = room.arrows.findIndex(a => a.id === id);
-      if (idx !== -1) room.arrows.splice(idx, 1);
-    });
-    io.to(roomId).emit('arrow-remove', { ids });
-    recordEvent(room, 'arrow-remove', { ids });
+    if (!requirePermission(socket, room, 'edit', 'text-update')) return;
+    const result = updateShape(room, 'texts', id, changes);
+    if (!result) return;
+    socket.to(roomId).emit('text-update', { id, changes: result.to });
+    recordEvent(room, 'text-update', { id, changes: result.to });
+    recordShapeUpdate(roomId, room, socket.id, 'texts', id, result.from, result.to);
   });
 
   // 8. Clear board
@@ -595,13 +3308,19 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'clear-board')) return;
+    const before = snapState(room);
     room.strokes = [];
     room.arrows = [];
+    room.zones = [];
+    room.texts = [];
     room.tokens = {};
+    room.trails = {};
     io.to(roomId).emit('clear-board');
     io.to(roomId).emit('tokens-cleared');
     recordEvent(room, 'clear-board', {});
     recordEvent(room, 'tokens-cleared', {});
+    pushHistory(roomId, room, socket.id, { type: 'board', before, after: snapState(room) });
   });
 
   // 9. Clear drawings only
@@ -609,10 +3328,156 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'clear-drawings')) return;
+    const before = snapState(room);
     room.strokes = [];
     room.arrows = [];
+    room.zones = [];
+    room.texts = [];
     io.to(roomId).emit('clear-board');
     recordEvent(room, 'clear-board', {});
+    pushHistory(roomId, room, socket.id, { type: 'board', before, after: snapState(room) });
+  });
+
+  // 9b. Shared undo / redo — scope 'mine' only steps through the caller's own actions
+  socket.on('undo', ({ scope } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'undo')) return;
+    if (room.rep.active) return;
+    const username = scope === 'mine' ? room.users[socket.id]?.username : null;
+    if (!stepHistory(socket, roomId, room, 'undo', username)) socket.emit('history-empty', { direction: 'undo' });
+  });
+
+  socket.on('redo', ({ scope } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'redo')) return;
+    if (room.rep.active) return;
+    const username = scope === 'mine' ? room.users[socket.id]?.username : null;
+    if (!stepHistory(socket, roomId, room, 'redo', username)) socket.emit('history-empty', { direction: 'redo' });
+  });
+
+  // 9c. Pitch template
+  socket.on('pitch-set', ({ pitch }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'pitch-set')) return;
+    if (room.rep.active || !PITCH_TEMPLATES.includes(pitch) || pitch === room.pitch) return;
+    const from = room.pitch;
+    setPitch(roomId, room, pitch);
+    pushHistory(roomId, room, socket.id, { type: 'pitch', from, to: pitch });
+  });
+
+  // 9d. Frames — step-by-step phases of a move
+  socket.on('frame-goto', ({ index } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'frame-goto')) return;
+    if (room.rep.active) return;
+    gotoFrame(roomId, room, index);
+  });
+
+  socket.on('frame-next', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'frame-next')) return;
+    if (room.rep.active) return;
+    gotoFrame(roomId, room, room.frameIndex + 1);
+  });
+
+  socket.on('frame-prev', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'frame-prev')) return;
+    if (room.rep.active) return;
+    gotoFrame(roomId, room, room.frameIndex - 1);
+  });
+
+  // New frame after the current one, starting as a copy of it
+  socket.on('frame-add', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'edit', 'frame-add')) return;
+    if (room.rep.active || tokensFull(socket, room, Object.keys(room.tokens).length)) return;
+    const copy = JSON.parse(JSON.stringify({ strokes: room.strokes, arrows: room.arrows, zones: room.zones, texts: room.texts, tokens: room.tokens }));
+    parkCurrentFrame(room);
+    room.frames.splice(room.frameIndex + 1, 0, copy);
+    enterFrame(room, room.frameIndex + 1);
+    emitFrameChanged(roomId, room);
+  });
+
+  socket.on('frame-delete', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'frame-delete')) return;
+    if (room.rep.active || room.frames.length < 2) return;
+    room.frames.splice(room.frameIndex, 1);
+    enterFrame(room, Math.min(room.frameIndex, room.frames.length - 1));
+    emitFrameChanged(roomId, room);
+  });
+
+  // Full board with every frame, for the .tacboard file export
+  socket.on('export-board', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    const { frames, pitch, roster } = snapSequence(room);
+    socket.emit('board-export', {
+      pitch,
+      roster,
+      strokes: frames[0].strokes,
+      arrows:  frames[0].arrows,
+      zones:   frames[0].zones,
+      texts:   frames[0].texts,
+      tokens:  Object.values(frames[0].tokens),
+      frames:  frames.length > 1
+        ? frames.map(f => ({ strokes: f.strokes, arrows: f.arrows, zones: f.zones, texts: f.texts, tokens: Object.values(f.tokens) }))
+        : undefined
+    });
+  });
+
+  // 9e. SVG / PDF for printing: { source: 'board' | 'frame' | 'preset' | 'plan', presetId, planId, format }
+  // Rendering waits in the video export queue; the boards are taken now.
+  socket.on('export-print', async ({ source, presetId, planId, format } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'save', 'export-print')) return;
+    if (source === 'plan') {
+      const found = getRoomPlans(roomId).find(p => p.id === planId);
+      if (!found) return;
+      const plan = JSON.parse(JSON.stringify(found));
+      try {
+        const data = await queueRender(socket.id, () => renderPlanPdf(roomId, plan));
+        socket.emit('print-export', { name: plan.title, format: 'pdf', data });
+        console.log(`[+] Exported session plan "${plan.title}" as PDF`);
+      } catch (err) {
+        if (!err.status) console.error('[!] Error exporting session plan:', err.message);
+        socket.emit('print-export', { error: err.status ? err.message : 'Export failed' });
+      }
+      return;
+    }
+    const print = printBoards(roomId, room, { source, presetId });
+    if (!print) return;
+    try {
+      const data = await queueRender(socket.id, () => format === 'pdf'
+        ? renderBoardsPdf(print.title, print.boards)
+        : renderBoardSvg(print.boards[print.current]));
+      socket.emit('print-export', { name: print.title, format: format === 'pdf' ? 'pdf' : 'svg', data });
+      console.log(`[+] Exported "${print.title}" as ${format === 'pdf' ? `a ${print.boards.length}-page PDF` : 'SVG'}`);
+    } catch (err) {
+      if (!err.status) console.error('[!] Error exporting for print:', err.message);
+      socket.emit('print-export', { error: err.status ? err.message : 'Export failed' });
+    }
   });
 
   // 10. Cursor movement
@@ -634,18 +3499,23 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    if (room.rec.active || room.rep.active) return;
+    if (!requirePermission(socket, room, 'record', 'recording-start')) return;
+    if (room.rec.active || room.rep.active) {
+      socket.emit('recording-refused', { reason: room.rec.active ? 'A recording is already running' : 'Stop the replay before recording' });
+      return;
+    }
     room.rec.active   = true;
     room.rec.start    = Date.now();
     room.rec.timeline = [];
-    room.rec.snapshot = snapState(room);
-    io.to(roomId).emit('recording-started');
+    room.rec.snapshot = { ...snapState(room), pitch: room.pitch };
+    io.to(roomId).emit('recording-started', { by: socket.id });
   });
 
   socket.on('recording-stop', () => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'record', 'recording-stop')) return;
     if (!room.rec.active) return;
     room.rec.active = false;
     const duration = room.rec.timeline.length
@@ -658,11 +3528,43 @@ io.on('connection', (socket) => {
       duration,
       eventCount: room.rec.timeline.length,
       snapshot: room.rec.snapshot,
-      timeline: room.rec.timeline
+      timeline: room.rec.timeline,
+      byKey: socketUserKeys[socket.id] // the author's user key, which a name can't claim
     };
-    recordings.push(savedRec);
-    addRecordingToDB(savedRec).then(() => saveRecordings());
-    io.to(roomId).emit('recording-saved', getRecordingsList());
+    getRoomRecordings(roomId).push(savedRec);
+    addRecordingToDB(roomId, savedRec).then(() => saveRecordings());
+    io.to(roomId).emit('recording-saved', getRecordingsList(roomId));
+  });
+
+  // Tokens for the HTTP side of a recording: 'audio' and 'video' for anyone
+  // in the room, 'voice-over' for the recording's author or a coach
+  socket.on('recording-token', ({ recId, purpose } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    const recording = getRoomRecordings(roomId).find(r => r.id === recId);
+    if (!recording || !['audio', 'video', 'voice-over'].includes(purpose)) {
+      socket.emit('recording-token', { recId, purpose, error: 'Recording not found' });
+      return;
+    }
+    if (purpose === 'voice-over') {
+      if (!requirePermission(socket, room, 'record', 'recording-audio')) {
+        socket.emit('recording-token', { recId, purpose, error: 'Not allowed' });
+        return;
+      }
+      if (recording.byKey !== socketUserKeys[socket.id] && !can(room, socket.id, 'destroy')) {
+        socket.emit('recording-token', { recId, purpose, error: 'Only whoever made the recording can add its voice-over' });
+        return;
+      }
+    }
+    socket.emit('recording-token', { recId, purpose, token: issueFileToken(roomId, recId, purpose, socket.id) });
+  });
+
+  // Token for GET /api/presets, scoped to this socket's room
+  socket.on('presets-token', () => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    socket.emit('presets-token', { token: issueFileToken(roomId, null, 'presets', socket.id) });
   });
 
   // 10c. Replay controls
@@ -670,30 +3572,47 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-start')) return;
     if (room.rep.active) return;
-    const recording = recordings.find(r => r.id === recId);
+    const recording = getRoomRecordings(roomId).find(r => r.id === recId);
     if (!recording) return;
 
     room.rep.active       = true;
     room.rep.currentRecId = recId;
-    room.rep.preSnap      = snapState(room);
+    room.rep.preSnap      = { ...snapState(room), pitch: room.pitch };
 
     // Temporarily set room state to recording snapshot
     room.strokes = JSON.parse(JSON.stringify(recording.snapshot.strokes));
     room.arrows  = JSON.parse(JSON.stringify(recording.snapshot.arrows));
+    room.zones   = JSON.parse(JSON.stringify(recording.snapshot.zones || []));
+    room.texts   = JSON.parse(JSON.stringify(recording.snapshot.texts || []));
     room.tokens  = JSON.parse(JSON.stringify(recording.snapshot.tokens));
+    room.pitch   = recording.snapshot.pitch || room.pitch;
+    room.trails  = {};
 
     room.rep.isPlaying = true;
     room.rep.playbackPosition = 0;
 
     io.to(roomId).emit('clear-board');
     io.to(roomId).emit('tokens-cleared');
-    io.to(roomId).emit('replay-started', { duration: recording.duration, recId });
+    io.to(roomId).emit('replay-started', {
+      duration: recording.duration, recId, rate: room.rep.rate, markers: replayMarkers(recording),
+      audio: recording.audio || null
+    });
+    setPassLog(roomId, []); // the recording's passes are logged as they replay
     setTimeout(() => {
       io.to(roomId).emit('replay-init', {
         strokes: recording.snapshot.strokes,
         arrows:  recording.snapshot.arrows,
-        tokens:  Object.values(recording.snapshot.tokens)
+        zones:   recording.snapshot.zones || [],
+        texts:   recording.snapshot.texts || [],
+        tokens:  Object.values(recording.snapshot.tokens),
+        pitch:   room.pitch
+      });
+      // The ticks only send entries after the playhead, so anything at t = 0
+      // (e.g. an animation a trimmed recording starts in) goes out with the snapshot
+      recording.timeline.forEach(entry => {
+        if (entry.t === 0) io.to(roomId).emit(entry.event, entry.data);
       });
       room.rep.lastTick = Date.now();
       room.rep.interval = setInterval(() => {
@@ -703,7 +3622,7 @@ io.on('connection', (socket) => {
         room.rep.lastTick = now;
 
         const prevPos = room.rep.playbackPosition;
-        room.rep.playbackPosition += delta;
+        room.rep.playbackPosition += delta * room.rep.rate;
 
         recording.timeline.forEach(entry => {
           if (entry.t > prevPos && entry.t <= room.rep.playbackPosition) {
@@ -722,6 +3641,7 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-stop')) return;
     if (room.rep.active) finishReplay(roomId);
   });
 
@@ -729,6 +3649,7 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-pause')) return;
     if (!room.rep.active || !room.rep.isPlaying) return;
     room.rep.isPlaying = false;
     io.to(roomId).emit('replay-paused');
@@ -738,6 +3659,7 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-resume')) return;
     if (!room.rep.active || room.rep.isPlaying) return;
     room.rep.isPlaying = true;
     room.rep.lastTick = Date.now();
@@ -748,167 +3670,340 @@ io.on('connection', (socket) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-seek')) return;
     if (!room.rep.active) return;
-    const recording = recordings.find(r => r.id === room.rep.currentRecId);
+    const recording = getRoomRecordings(roomId).find(r => r.id === room.rep.currentRecId);
     if (!recording) return;
+    seekReplay(roomId, room, recording, position);
+  });
 
-    room.rep.playbackPosition = position;
-    if (room.rep.isPlaying) room.rep.lastTick = Date.now();
-
-    // Recalculate board state up to position
-    const simStrokes = JSON.parse(JSON.stringify(recording.snapshot.strokes || []));
-    const simArrows  = JSON.parse(JSON.stringify(recording.snapshot.arrows || []));
-    const simTokens  = JSON.parse(JSON.stringify(recording.snapshot.tokens || {}));
-
-    recording.timeline.forEach(entry => {
-      if (entry.t <= position) {
-        if (entry.event === 'stroke-done') {
-          simStrokes.push(entry.data);
-        } else if (entry.event === 'stroke-remove') {
-          entry.data.ids.forEach(id => {
-            const idx = simStrokes.findIndex(s => s.id === id);
-            if (idx !== -1) simStrokes.splice(idx, 1);
-          });
-        } else if (entry.event === 'arrow-done') {
-          simArrows.push(entry.data);
-        } else if (entry.event === 'arrow-remove') {
-          entry.data.ids.forEach(id => {
-            const idx = simArrows.findIndex(a => a.id === id);
-            if (idx !== -1) simArrows.splice(idx, 1);
-          });
-        } else if (entry.event === 'token-add') {
-          simTokens[entry.data.id] = entry.data;
-        } else if (entry.event === 'token-move') {
-          if (simTokens[entry.data.id]) {
-            simTokens[entry.data.id].x = entry.data.x;
-            simTokens[entry.data.id].y = entry.data.y;
-          }
-        } else if (entry.event === 'token-remove') {
-          delete simTokens[entry.data.id];
-        } else if (entry.event === 'token-relabel') {
-          if (simTokens[entry.data.id]) {
-            simTokens[entry.data.id].label = entry.data.label;
-          }
-        } else if (entry.event === 'clear-board') {
-          simStrokes.length = 0;
-          simArrows.length = 0;
-        } else if (entry.event === 'tokens-cleared') {
-          for (let k in simTokens) delete simTokens[k];
-        }
-      }
-    });
-
-    room.strokes = simStrokes;
-    room.arrows = simArrows;
-    room.tokens = simTokens;
+  // Step to the next/previous marker; stepping pauses so the moment can be discussed
+  socket.on('replay-step', ({ dir }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-step')) return;
+    if (!room.rep.active) return;
+    const recording = getRoomRecordings(roomId).find(r => r.id === room.rep.currentRecId);
+    if (!recording) return;
+    const target = stepTarget(recording, room.rep.playbackPosition, dir);
+    if (target === undefined) return;
+    if (room.rep.isPlaying) {
+      room.rep.isPlaying = false;
+      io.to(roomId).emit('replay-paused');
+    }
+    seekReplay(roomId, room, recording, target);
+  });
 
-    io.to(roomId).emit('replay-sync-state', {
-      position,
-      strokes: simStrokes,
-      arrows: simArrows,
-      tokens: Object.values(simTokens)
-    });
+  socket.on('replay-rate', ({ rate }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'replay', 'replay-rate')) return;
+    if (!REPLAY_RATES.includes(rate)) return;
+    room.rep.rate = rate;
+    io.to(roomId).emit('replay-rate', { rate, position: room.rep.playbackPosition });
   });
 
   socket.on('get-recordings', () => {
-    socket.emit('recordings-list', getRecordingsList());
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    socket.emit('recordings-list', getRecordingsList(roomId));
   });
 
   socket.on('rename-recording', ({ recId, newName }) => {
-    const recording = recordings.find(r => r.id === recId);
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'save', 'rename-recording')) return;
+    const recording = getRoomRecordings(roomId).find(r => r.id === recId);
     if (recording) {
       recording.name = newName;
       updateRecordingInDB(recording).then(() => saveRecordings());
-      io.emit('recordings-list', getRecordingsList());
+      io.to(roomId).emit('recordings-list', getRecordingsList(roomId));
     }
   });
 
   socket.on('delete-recording', ({ recId }) => {
-    const idx = recordings.findIndex(r => r.id === recId);
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'delete-recording')) return;
+    const list = getRoomRecordings(roomId);
+    const idx = list.findIndex(r => r.id === recId);
     if (idx !== -1) {
-      recordings.splice(idx, 1);
+      const [removed] = list.splice(idx, 1);
+      if (removed.audio) deleteRecordingAudio(recId);
       deleteRecordingFromDB(recId).then(() => saveRecordings());
-      io.emit('recordings-list', getRecordingsList());
+      io.to(roomId).emit('recordings-list', getRecordingsList(roomId));
     }
   });
 
+  // 10c. Recording editor. Edits replace the recording in place; merging
+  // makes a new one. All of them need destroy, like deleting a recording.
+  socket.on('trim-recording', ({ recId, start, end }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'trim-recording')) return;
+    const recording = editableRecording(roomId, room, recId);
+    const range = recording && recordingRange(recording, start, end);
+    if (!range) return;
+    storeEditedRecording(roomId, trimRecording(recording, ...range));
+    console.log(`[*] Recording ${recId} trimmed to ${range[0]}–${range[1]}ms in room ${roomId}`);
+  });
+
+  socket.on('cut-recording', ({ recId, from, to, dropVoiceOver }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'cut-recording')) return;
+    const recording = editableRecording(roomId, room, recId);
+    const range = recording && recordingRange(recording, from, to);
+    if (!range || !voiceOverMayDrop(socket, recording, dropVoiceOver)) return;
+    storeEditedRecording(roomId, cutRecording(recording, ...range));
+    console.log(`[*] Cut ${range[0]}–${range[1]}ms from recording ${recId} in room ${roomId}`);
+  });
+
+  socket.on('retime-recording', ({ recId, from, to, speed, dropVoiceOver }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'retime-recording')) return;
+    const recording = editableRecording(roomId, room, recId);
+    const range = recording && recordingRange(recording, from, to);
+    speed = Number(speed);
+    if (!range || !(speed >= REC_SPEED_MIN && speed <= REC_SPEED_MAX) || speed === 1) return;
+    if (!voiceOverMayDrop(socket, recording, dropVoiceOver)) return;
+    storeEditedRecording(roomId, retimeRecording(recording, ...range, speed));
+    console.log(`[*] Recording ${recId} ${range[0]}–${range[1]}ms set to ${speed}× in room ${roomId}`);
+  });
+
+  socket.on('merge-recordings', ({ recIds }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'merge-recordings')) return;
+    if (!Array.isArray(recIds) || recIds.length !== 2) return;
+    const list = getRoomRecordings(roomId);
+    const [first, second] = recIds.map(id => list.find(r => r.id === id));
+    if (!first || !second) return;
+    const merged = {
+      ...mergeRecordings(first, second),
+      id: nextRecId++,
+      name: `${first.name} + ${second.name}`,
+      timestamp: Date.now(),
+      byKey: socketUserKeys[socket.id]
+    };
+    list.push(merged);
+    addRecordingToDB(roomId, merged)
+      .then(() => merged.audio && loadRecordingAudio(first.id))
+      .then(audio => audio && saveRecordingAudio(merged.id, audio))
+      .then(() => saveRecordings());
+    io.to(roomId).emit('recordings-list', getRecordingsList(roomId));
+  });
+
   // 10d. Board presets
-  socket.on('save-preset', ({ name }) => {
+  socket.on('save-preset', ({ name, tags, folder } = {}) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'save', 'save-preset')) return;
+    const { frames, pitch, roster } = snapSequence(room);
     const preset = {
       id: nextPresetId++,
       name: name || `Preset ${new Date().toLocaleString()}`,
       timestamp: Date.now(),
-      strokes: JSON.parse(JSON.stringify(room.strokes)),
-      arrows: JSON.parse(JSON.stringify(room.arrows)),
-      tokens: JSON.parse(JSON.stringify(room.tokens))
+      // Top-level board is the first frame so single-frame readers still work
+      strokes: frames[0].strokes,
+      arrows: frames[0].arrows,
+      zones: frames[0].zones,
+      texts: frames[0].texts,
+      tokens: frames[0].tokens,
+      frames: frames.length > 1 ? frames : undefined,
+      pitch,
+      roster,
+      tags: cleanTags(tags),
+      folder: cleanFolder(folder)
     };
     
     console.log(`[*] Saving preset "${preset.name}": ${preset.strokes.length} strokes, ${preset.arrows.length} arrows, ${Object.keys(preset.tokens).length} tokens`);
     
-    boardPresets.push(preset);
-    addPresetToDB(preset).then(() => savePresets());
-    io.to(roomId).emit('presets-list', getBoardPresetsList());
+    getRoomPresets(roomId).push(preset);
+    const stored = addPresetToDB(roomId, preset).then(() => savePresets());
+    io.to(roomId).emit('presets-list', getBoardPresetsList(roomId));
     socket.emit('preset-saved', { id: preset.id, name: preset.name });
+
+    // The thumbnail follows once drawn, unless the preset was deleted meanwhile
+    Promise.all([presetThumbnail(preset), stored]).then(([thumbnail]) => {
+      if (!getRoomPresets(roomId).includes(preset)) return;
+      preset.thumbnail = thumbnail;
+      updatePresetInDB(preset).then(() => savePresets());
+      io.to(roomId).emit('presets-list', getBoardPresetsList(roomId));
+    });
   });
 
   socket.on('load-preset', ({ presetId }) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    const preset = boardPresets.find(p => p.id === presetId);
+    if (!requirePermission(socket, room, 'destroy', 'load-preset')) return;
+    const preset = getRoomPresets(roomId).find(p => p.id === presetId);
     if (!preset) return;
-    room.strokes = JSON.parse(JSON.stringify(preset.strokes));
-    room.arrows = JSON.parse(JSON.stringify(preset.arrows));
-    room.tokens = JSON.parse(JSON.stringify(preset.tokens));
-    io.to(roomId).emit('clear-board');
-    io.to(roomId).emit('tokens-cleared');
-    io.to(roomId).emit('preset-loaded', {
-      strokes: preset.strokes,
-      arrows: preset.arrows,
-      tokens: Object.values(preset.tokens)
-    });
+    const seq = { frames: preset.frames, strokes: preset.strokes, arrows: preset.arrows, zones: preset.zones, texts: preset.texts, tokens: preset.tokens, pitch: preset.pitch, roster: preset.roster };
+    if (tokensFull(socket, room, sequenceTokenCount(seq) - boardTokenCount(room))) return;
+    const before = snapSequence(room);
+    loadSequence(roomId, room, seq);
+    pushHistory(roomId, room, socket.id, { type: 'sequence', before, after: snapSequence(room) });
   });
 
-  socket.on('import-board', ({ strokes, arrows, tokens }) => {
+  socket.on('import-board', ({ strokes, arrows, zones, texts, tokens, frames, pitch, roster }) => {
     const roomId = socketRooms[socket.id];
     if (!roomId) return;
     const room = getRoom(roomId);
-    room.strokes = JSON.parse(JSON.stringify(strokes || []));
-    room.arrows = JSON.parse(JSON.stringify(arrows || []));
-    room.tokens = {};
-    (tokens || []).forEach(t => { room.tokens[t.id] = t; });
-    io.to(roomId).emit('clear-board');
-    io.to(roomId).emit('tokens-cleared');
-    io.to(roomId).emit('preset-loaded', {
-      strokes: room.strokes,
-      arrows: room.arrows,
-      tokens: Object.values(room.tokens)
-    });
+    if (!requirePermission(socket, room, 'destroy', 'import-board')) return;
+    // Exported files carry tokens as arrays; rooms key them by id
+    const toTokenMap = list => {
+      const map = {};
+      (list || []).forEach(t => { map[t.id] = t; });
+      return map;
+    };
+    const seq = Array.isArray(frames) && frames.length
+      ? { frames: frames.map(f => ({ strokes: f.strokes, arrows: f.arrows, zones: f.zones, texts: f.texts, tokens: toTokenMap(f.tokens) })), pitch, roster }
+      : { strokes, arrows, zones, texts, tokens: toTokenMap(tokens), pitch, roster };
+    if (tokensFull(socket, room, sequenceTokenCount(seq) - boardTokenCount(room))) return;
+    const before = snapSequence(room);
+    loadSequence(roomId, room, seq);
+    pushHistory(roomId, room, socket.id, { type: 'sequence', before, after: snapSequence(room) });
   });
 
   socket.on('rename-preset', ({ presetId, newName }) => {
-    const preset = boardPresets.find(p => p.id === presetId);
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'save', 'rename-preset')) return;
+    const preset = getRoomPresets(roomId).find(p => p.id === presetId);
     if (preset) {
       preset.name = newName;
       updatePresetInDB(preset).then(() => savePresets());
-      io.emit('presets-list', getBoardPresetsList());
+      io.to(roomId).emit('presets-list', getBoardPresetsList(roomId));
     }
   });
 
+  // Library details: { presetId, tags, folder }, either may be left out
+  socket.on('update-preset', ({ presetId, tags, folder } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'save', 'update-preset')) return;
+    const preset = getRoomPresets(roomId).find(p => p.id === presetId);
+    if (!preset) return;
+    if (tags !== undefined) preset.tags = cleanTags(tags);
+    if (folder !== undefined) preset.folder = cleanFolder(folder);
+    updatePresetInDB(preset).then(() => savePresets());
+    io.to(roomId).emit('presets-list', getBoardPresetsList(roomId));
+  });
+
   socket.on('delete-preset', ({ presetId }) => {
-    const idx = boardPresets.findIndex(p => p.id === presetId);
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'delete-preset')) return;
+    const list = getRoomPresets(roomId);
+    const idx = list.findIndex(p => p.id === presetId);
     if (idx !== -1) {
-      boardPresets.splice(idx, 1);
+      list.splice(idx, 1);
       deletePresetFromDB(presetId).then(() => savePresets());
-      io.emit('presets-list', getBoardPresetsList());
+      io.to(roomId).emit('presets-list', getBoardPresetsList(roomId));
     }
   });
 
   socket.on('get-presets', () => {
-    socket.emit('presets-list', getBoardPresetsList());
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    socket.emit('presets-list', getBoardPresetsList(roomId));
+  });
+
+  // Session plans: a new plan has no id; an existing one is replaced whole
+  socket.on('save-plan', ({ plan } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId || !plan) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'save', 'save-plan')) return;
+    const list = getRoomPlans(roomId);
+    const fields = {
+      title: String(plan.title || '').trim().slice(0, 80) || `Session ${new Date().toLocaleDateString()}`,
+      timestamp: Date.now(),
+      drills: (Array.isArray(plan.drills) ? plan.drills : [])
+        .filter(d => d && typeof d === 'object').slice(0, PLAN_DRILL_LIMIT).map(d => cleanDrill(d))
+    };
+    const existing = plan.id !== undefined && list.find(p => p.id === plan.id);
+    if (existing) {
+      Object.assign(existing, fields);
+      updatePlanInDB(existing).then(() => savePlans());
+    } else if (plan.id === undefined) {
+      const created = { id: nextPlanId++, ...fields };
+      list.push(created);
+      addPlanToDB(roomId, created).then(() => savePlans());
+      socket.emit('plan-created', { planId: created.id });
+      console.log(`[*] Session plan "${created.title}" created in ${roomId}`);
+    } else {
+      return;
+    }
+    io.to(roomId).emit('plans-list', getRoomPlans(roomId)); // small enough to send whole
+  });
+
+  socket.on('delete-plan', ({ planId } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'destroy', 'delete-plan')) return;
+    const list = getRoomPlans(roomId);
+    const idx = list.findIndex(p => p.id === planId);
+    if (idx !== -1) {
+      list.splice(idx, 1);
+      deletePlanFromDB(planId).then(() => savePlans());
+      io.to(roomId).emit('plans-list', getRoomPlans(roomId));
+    }
+  });
+
+  // 10e. Roles & room settings
+  // { userId, role }: userId is the socket id from the user list; the role
+  // sticks to that user's key, so it comes back with them on rejoin
+  socket.on('set-role', ({ userId, role } = {}) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!requirePermission(socket, room, 'manage', 'set-role')) return;
+    const target = room.users[userId];
+    if (!ROLE_PERMISSIONS[role] || !target || target.owner) return; // the owner is always a coach
+    const key = socketUserKeys[userId];
+    room.roles[key] = role;
+    Object.values(room.users)
+      .filter(u => socketUserKeys[u.id] === key)
+      .forEach(u => {
+        u.role = role;
+        io.to(u.id).emit('role-changed', { role, permissions: ROLE_PERMISSIONS[role] });
+      });
+    io.to(roomId).emit('user-list', Object.values(room.users));
+  });
+
+  socket.on('room-settings', ({ password, defaultRole }) => {
+    const roomId = socketRooms[socket.id];
+    if (!roomId) return;
+    const room = getRoom(roomId);
+    if (!room.users[socket.id]?.owner) {
+      socket.emit('permission-denied', { action: 'room-settings', role: room.users[socket.id]?.role || 'viewer' });
+      return;
+    }
+    // password: string sets it, '' or null removes it, undefined leaves it alone
+    if (password !== undefined) {
+      room.password = password ? hashPassword(password) : null;
+    }
+    if (defaultRole !== undefined && ROLE_PERMISSIONS[defaultRole]) {
+      room.defaultRole = defaultRole;
+    }
+    io.to(roomId).emit('room-settings', getRoomSettings(room));
   });
 
   // 11. Disconnect — use a grace period so brief hiccups don't spam user-left
@@ -930,14 +4025,23 @@ io.on('connection', (socket) => {
       if (!departedUser) return;
       delete room.users[socket.id];
       delete socketRooms[socket.id];
+      delete socketUserKeys[socket.id];
       delete rateLimits[socket.id];
       console.log(`[-] removed user: ${departedUser.username} from room: ${roomId}`);
       io.to(roomId).emit('cursor-remove', { socketId: socket.id });
       io.to(roomId).emit('user-left', departedUser);
       io.to(roomId).emit('user-list', Object.values(room.users));
 
-      // Clean up empty rooms to prevent memory leaks
+      // Clean up empty rooms to prevent memory leaks — the board is saved first
+      // so the next visitor gets it back
       if (Object.keys(room.users).length === 0) {
+        clearTimeout(room.animPlay.timer);
+        if (room.rep.active) {
+          clearInterval(room.rep.interval);
+          room.rep.active = false;
+          Object.assign(room, room.rep.preSnap);
+        }
+        persistRoom(roomId);
         delete rooms[roomId];
         console.log(`[*] Room "${roomId}" cleaned up (empty)`);
       }
@@ -952,12 +4056,15 @@ async function startServer() {
   try {
     await initDatabase();
     await loadPresets();
+    await loadPlans();
     await loadRecordings();
+    await loadSavedBoards();
     
     server.listen(PORT, () => {
       console.log(`⚽ Tac Board running → http://localhost:${PORT}`);
       console.log(`📊 Database mode: ${useDatabase ? 'PostgreSQL' : 'File-based'}`);
       console.log(`🏠 Room system: enabled (URL hash-based)`);
+      fillPresetThumbnails().catch(err => console.error('[!] Error drawing preset thumbnails:', err.message));
     });
   } catch (err) {
     console.error('[!] Server startup error:', err.message);
@@ -965,4 +4072,16 @@ async function startServer() {
   }
 }
 
+// Flush every live board before the process goes away (redeploys send SIGTERM)
+async function shutdown(signal) {
+  console.log(`[*] ${signal} received, saving boards…`);
+  try {
+    await Promise.all(Object.keys(rooms).map(roomId => persistRoom(roomId)));
+  } finally {
+    process.exit(0);
+  }
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
+
 startServer();